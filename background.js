@@ -1,4 +1,32 @@
 // Background service worker for TrinTasks
+// Loaded as a module worker so it shares the popup's parser, date helpers and merge logic
+
+import { loadFeeds } from './src/feed-manager.js';
+import { refreshFeeds } from './src/refresh-pipeline.js';
+import { runMigrations } from './src/migrations.js';
+import { initSync, syncNow, SYNC_RETRY_ALARM } from './src/sync.js';
+import { findChangeAlerts, CHANGE_ALERT_PREFIX } from './src/change-alerts.js';
+import {
+  getReminderMessage,
+  isReminderAlarm,
+  REMINDER_ALARM_PREFIX,
+  scheduleTestReminder,
+  snoozeReminder,
+  syncReminders,
+  takeDueReminder
+} from './src/reminder-scheduler.js';
+import { DAILY_DIGEST_ALARM, scheduleDailyDigest, takeDailyDigest } from './src/daily-digest.js';
+import { NOTIFICATION_ACTIONS, getReminderActions, getTonightTime } from './src/notification-actions.js';
+import { toggleAssignmentComplete } from './src/storage-manager.js';
+import { getEventId } from './src/utils.js';
+
+// Stored data is brought up to the current schema before any handler reads it
+const migrationsReady = runMigrations().catch(err => {
+  console.error('Failed to run storage migrations:', err);
+});
+
+// Mirror assignment status and settings through chrome.storage.sync (when enabled in settings)
+initSync();
 
 // Set up periodic alarms on install/startup
 chrome.runtime.onInstalled.addListener(() => {
@@ -14,15 +42,18 @@ chrome.runtime.onStartup.addListener(() => {
 // Single consolidated alarm listener for all alarm types
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   console.log('Alarm fired:', alarm.name);
+  await migrationsReady;
 
   if (alarm.name === 'checkUpcomingAssignments') {
     await checkUpcomingAssignments();
   } else if (alarm.name === 'refreshCalendar') {
     await refreshCalendarData();
-  } else if (alarm.name.startsWith('assignment_reminder_')) {
-    await handleAssignmentReminderAlarm(alarm);
-  } else if (alarm.name.startsWith('reminder_')) {
+  } else if (isReminderAlarm(alarm.name)) {
     await handleReminderAlarm(alarm);
+  } else if (alarm.name === DAILY_DIGEST_ALARM) {
+    await handleDailyDigest();
+  } else if (alarm.name === SYNC_RETRY_ALARM) {
+    await syncNow();
   }
 });
 
@@ -31,80 +62,79 @@ async function handleReminderAlarm(alarm) {
   console.log('handleReminderAlarm called for:', alarm.name);
 
   try {
-    const data = await chrome.storage.local.get(['reminders', 'reminderHistory']);
-    const reminders = data.reminders || {};
-    const reminderHistory = data.reminderHistory || {};
-    const reminder = reminders[alarm.name];
-
-    console.log('Reminder data:', reminder);
+    const { reminderSettings } = await chrome.storage.local.get(['reminderSettings']);
+    const now = Date.now();
+    const due = await takeDueReminder(alarm.name, record =>
+      getReminderActions((reminderSettings || {}).actions, record, now));
+    if (!due) {
+      console.warn('No pending reminder for alarm:', alarm.name);
+      return;
+    }
+    const { record } = due;
 
-    if (reminder) {
-      // Get the icon URL - try multiple approaches
-      let iconUrl;
-      try {
-        iconUrl = chrome.runtime.getURL('icon-128.png');
-        console.log('Icon URL:', iconUrl);
-      } catch (e) {
-        console.warn('Failed to get icon URL:', e);
-        iconUrl = 'icon-128.png';
-      }
+    // Get the icon URL - try multiple approaches
+    let iconUrl;
+    try {
+      iconUrl = chrome.runtime.getURL('icon-128.png');
+    } catch (e) {
+      console.warn('Failed to get icon URL:', e);
+      iconUrl = 'icon-128.png';
+    }
 
-      // Create notification - simplified version without buttons for better compatibility
-      // Buttons have limited support on Mac OS X
-      const notificationOptions = {
-        type: 'basic',
-        iconUrl: iconUrl,
-        title: 'TrinTasks - Assignment Reminder',
-        message: reminder.message || 'You have an upcoming assignment!',
-        priority: 2,
-        requireInteraction: true
-      };
-
-      console.log('Creating notification with options:', JSON.stringify(notificationOptions));
-
-      // Use Promise wrapper for better error handling
-      const notificationId = await new Promise((resolve, reject) => {
-        chrome.notifications.create(alarm.name, notificationOptions, (id) => {
-          const err = chrome.runtime.lastError;
-          if (err) {
-            console.error('Notification create error:', err.message);
-            reject(new Error(err.message));
-          } else {
-            console.log('Notification created with ID:', id);
-            resolve(id);
-          }
-        });
-      });
+    // Buttons come from the notification action settings; clicking the notification itself opens TrinTasks
+    const notificationOptions = {
+      type: 'basic',
+      iconUrl: iconUrl,
+      title: 'TrinTasks - Assignment Reminder',
+      message: getReminderMessage(record),
+      priority: 2,
+      requireInteraction: true
+    };
+    const actions = record.actions || [];
+    if (actions.length > 0) {
+      notificationOptions.buttons = actions.map(action => ({ title: NOTIFICATION_ACTIONS[action].title }));
+    }
 
-      // Store success result
-      await chrome.storage.local.set({
-        lastNotificationResult: {
-          id: notificationId,
-          status: 'ok',
-          error: null,
-          timestamp: Date.now(),
-          message: 'Notification displayed successfully'
+    console.log('Creating notification with options:', JSON.stringify(notificationOptions));
+
+    // Use Promise wrapper for better error handling
+    const createNotification = (options) => new Promise((resolve, reject) => {
+      chrome.notifications.create(alarm.name, options, (id) => {
+        const err = chrome.runtime.lastError;
+        if (err) {
+          console.error('Notification create error:', err.message);
+          reject(new Error(err.message));
+        } else {
+          console.log('Notification created with ID:', id);
+          resolve(id);
         }
       });
+    });
 
-      // Remember we sent this reminder so we don't re-create it
-      reminderHistory[alarm.name] = true;
+    let notificationId;
+    try {
+      notificationId = await createNotification(notificationOptions);
+    } catch (err) {
+      // Buttons have limited support on some platforms (e.g. macOS); the reminder still goes out without them
+      if (!notificationOptions.buttons) throw err;
+      console.warn('Retrying notification without buttons:', err.message);
+      const { buttons, ...withoutButtons } = notificationOptions;
+      notificationId = await createNotification(withoutButtons);
+    }
 
-      // Remove the used reminder
-      delete reminders[alarm.name];
-      await chrome.storage.local.set({ reminders, reminderHistory });
+    // Store success result
+    await chrome.storage.local.set({
+      lastNotificationResult: {
+        id: notificationId,
+        status: 'ok',
+        type: record.source,
+        error: null,
+        timestamp: Date.now(),
+        message: 'Notification displayed successfully'
+      }
+    });
 
-      console.log('Reminder processed successfully');
-    } else {
-      console.warn('No reminder data found for alarm:', alarm.name);
-      await chrome.storage.local.set({
-        lastNotificationResult: {
-          status: 'error',
-          error: 'No reminder data found for alarm: ' + alarm.name,
-          timestamp: Date.now()
-        }
-      });
-    }
+    console.log('Reminder processed successfully');
   } catch (err) {
     console.error('Error handling reminder alarm:', err);
     await chrome.storage.local.set({
@@ -117,22 +147,22 @@ async function handleReminderAlarm(alarm) {
   }
 }
 
-// Handle per-assignment reminder alarm (set from action menu)
-async function handleAssignmentReminderAlarm(alarm) {
-  console.log('handleAssignmentReminderAlarm called for:', alarm.name);
-
+// Plan reminders for upcoming assignments (idempotent; also moves reminders whose due time changed)
+async function checkUpcomingAssignments() {
   try {
-    // Extract eventId from alarm name: assignment_reminder_${eventId}
-    const eventId = alarm.name.replace('assignment_reminder_', '');
-
-    const data = await chrome.storage.local.get(['assignmentReminders']);
-    const assignmentReminders = data.assignmentReminders || {};
-    const reminder = assignmentReminders[eventId];
-
-    console.log('Assignment reminder data:', reminder);
+    await syncReminders();
+    // Digest settings may have arrived from another device
+    await scheduleDailyDigest();
+  } catch (err) {
+    console.error('Error in checkUpcomingAssignments:', err);
+  }
+}
 
-    if (reminder) {
-      // Get the icon URL
+// Send the morning digest (days with nothing due are skipped), then schedule tomorrow's
+async function handleDailyDigest() {
+  try {
+    const digest = await takeDailyDigest();
+    if (digest) {
       let iconUrl;
       try {
         iconUrl = chrome.runtime.getURL('icon-128.png');
@@ -141,329 +171,162 @@ async function handleAssignmentReminderAlarm(alarm) {
         iconUrl = 'icon-128.png';
       }
 
-      // Create notification
-      const notificationOptions = {
-        type: 'basic',
-        iconUrl: iconUrl,
-        title: 'TrinTasks - Assignment Reminder',
-        message: reminder.title || 'You have an upcoming assignment!',
-        priority: 2,
-        requireInteraction: true
-      };
-
-      console.log('Creating assignment reminder notification:', JSON.stringify(notificationOptions));
-
-      const notificationId = await new Promise((resolve, reject) => {
-        chrome.notifications.create(alarm.name, notificationOptions, (id) => {
+      await new Promise((resolve) => {
+        chrome.notifications.create(`${DAILY_DIGEST_ALARM}_${Date.now()}`, {
+          type: 'basic',
+          iconUrl,
+          title: digest.title,
+          message: digest.message,
+          priority: 1
+        }, () => {
           const err = chrome.runtime.lastError;
-          if (err) {
-            console.error('Notification create error:', err.message);
-            reject(new Error(err.message));
-          } else {
-            console.log('Assignment reminder notification created with ID:', id);
-            resolve(id);
-          }
+          if (err) console.error('Notification create error:', err.message);
+          resolve();
         });
       });
-
-      // Store success result
-      await chrome.storage.local.set({
-        lastNotificationResult: {
-          id: notificationId,
-          status: 'ok',
-          type: 'assignment_reminder',
-          error: null,
-          timestamp: Date.now(),
-          message: 'Assignment reminder notification displayed successfully'
-        }
-      });
-
-      // Remove the used reminder from storage
-      delete assignmentReminders[eventId];
-      await chrome.storage.local.set({ assignmentReminders });
-
-      console.log('Assignment reminder processed successfully');
+      console.log('Daily digest shown:', digest.dueToday.length, 'due today,', digest.overdue.length, 'overdue');
     } else {
-      console.warn('No assignment reminder data found for alarm:', alarm.name);
-      await chrome.storage.local.set({
-        lastNotificationResult: {
-          status: 'error',
-          type: 'assignment_reminder',
-          error: 'No reminder data found for alarm: ' + alarm.name,
-          timestamp: Date.now()
-        }
-      });
+      console.log('Daily digest not sent (turned off, already sent today or nothing due)');
     }
   } catch (err) {
-    console.error('Error handling assignment reminder alarm:', err);
-    await chrome.storage.local.set({
-      lastNotificationResult: {
-        status: 'error',
-        type: 'assignment_reminder',
-        error: err.message || String(err),
-        timestamp: Date.now()
-      }
-    });
+    console.error('Error sending daily digest:', err);
   }
+
+  await scheduleDailyDigest();
 }
 
-// Check for upcoming assignments and schedule reminders
-async function checkUpcomingAssignments() {
+// Open TrinTasks; the popup can't be opened without a browser window, so fall back to a tab
+async function openTrinTasks() {
   try {
-    const data = await chrome.storage.local.get(['events', 'completedAssignments', 'reminderSettings', 'reminders', 'reminderHistory']);
-    const events = data.events || [];
-    const completedAssignments = data.completedAssignments || {};
-    const settings = data.reminderSettings || { enabled: true, hours: 24 };
-    const reminders = data.reminders || {};
-    const reminderHistory = data.reminderHistory || {};
-
-    if (!settings.enabled) {
-      console.log('Reminders disabled, skipping check');
-      return;
-    }
+    await chrome.action.openPopup();
+  } catch (err) {
+    console.warn('Could not open popup, opening a tab instead:', err);
+    await chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') });
+  }
+}
 
-    // Get all existing alarms ONCE before the loop (optimization)
-    const existingAlarms = await chrome.alarms.getAll();
-    const existingAlarmNames = new Set(existingAlarms.map(a => a.name));
+// Mark a reminder's assignment complete the way the popup's checkbox does (also clears in-progress and drops its
+// other reminders); an open popup picks the change up from storage
+async function completeReminderAssignment(reminder) {
+  const { events } = await chrome.storage.local.get(['events']);
+  const event = (events || []).find(item => getEventId(item) === reminder.eventId) ||
+    { uid: reminder.eventId, title: reminder.title };
+  // Completed from the popup in the meantime: stays completed rather than toggling back
+  await toggleAssignmentComplete({ ...event, isCompleted: false });
+  console.log('Marked complete:', reminder.eventId);
+}
 
+// Carry out the action behind a reminder notification button
+async function runReminderAction(action, key, reminder) {
+  if (action === 'open') {
+    await openTrinTasks();
+  } else if (!reminder) {
+    console.warn('Reminder no longer exists, ignoring action:', action, key);
+  } else if (action === 'complete' && reminder.eventId) {
+    await completeReminderAssignment(reminder);
+  } else if (action === 'tonight') {
     const now = Date.now();
-    const leadHours = parseInt(settings.hours, 10) || 24;
-    let scheduledCount = 0;
-
-    for (const event of events) {
-      // Skip if not an assignment or already completed
-      if (!event.isAssignment || event.isCompleted) continue;
-
-      const eventId = event.uid || `${event.title}_${event.dueRaw || event.startRaw}`;
-
-      // Skip if already completed
-      if (completedAssignments[eventId]) continue;
-
-      // Calculate time until due
-      const dueTimestamp = ICalDateToTimestamp(event.dueRaw || event.startRaw);
-      const timeUntilDue = dueTimestamp - now;
-
-      // Skip overdue
-      if (timeUntilDue <= 0) continue;
-
-      const intervalMs = leadHours * 60 * 60 * 1000;
-      const targetTime = dueTimestamp - intervalMs;
-      const reminderId = `reminder_${eventId}_${leadHours}h`;
-
-      // Skip if already reminded (this is the key check to prevent duplicates)
-      if (reminderHistory[reminderId]) continue;
-
-      // Skip if already scheduled and alarm still exists (O(1) lookup now)
-      if (reminders[reminderId]) {
-        if (existingAlarmNames.has(reminderId)) continue;
-        // Alarm was cleared but reminder data exists - clean it up
-        delete reminders[reminderId];
-      }
-
-      if (targetTime <= now) {
-        // If we're already past the target but before due, trigger soon
-        // Chrome requires minimum 0.5 minutes for alarms
-        reminders[reminderId] = {
-          eventId,
-          title: event.title,
-          message: `${event.title} is due in ${leadHours} hours!`,
-          dueTime: event.dueTime,
-          intervalHours: leadHours
-        };
-        // Mark in history BEFORE creating alarm to prevent race conditions
-        reminderHistory[reminderId] = true;
-        chrome.alarms.create(reminderId, { delayInMinutes: 0.5 });
-        scheduledCount++;
-        console.log('Scheduled immediate reminder for:', event.title);
-      } else {
-        // Schedule for the future (minimum 0.5 minutes)
-        const delayMinutes = Math.max((targetTime - now) / (1000 * 60), 0.5);
-        reminders[reminderId] = {
-          eventId,
-          title: event.title,
-          message: `${event.title} is due in ${leadHours} hours!`,
-          dueTime: event.dueTime,
-          intervalHours: leadHours
-        };
-        // Mark in history BEFORE creating alarm to prevent duplicate scheduling
-        // This is the key fix - we mark it as "handled" as soon as we schedule it
-        reminderHistory[reminderId] = true;
-        chrome.alarms.create(reminderId, { delayInMinutes: delayMinutes });
-        scheduledCount++;
-        console.log('Scheduled future reminder for:', event.title, 'in', Math.round(delayMinutes), 'minutes');
-      }
-    }
-
-    await chrome.storage.local.set({ reminders, reminderHistory });
-    console.log('checkUpcomingAssignments complete. Scheduled:', scheduledCount, 'reminders');
-  } catch (err) {
-    console.error('Error in checkUpcomingAssignments:', err);
+    await snoozeReminder(key, Math.max(1, Math.ceil((getTonightTime(now) - now) / 60000)));
+    console.log('Snoozed reminder until tonight:', key);
+  } else if (NOTIFICATION_ACTIONS[action] && NOTIFICATION_ACTIONS[action].minutes) {
+    await snoozeReminder(key, NOTIFICATION_ACTIONS[action].minutes);
+    console.log(`Snoozed reminder for ${NOTIFICATION_ACTIONS[action].minutes} minutes:`, key);
+  } else {
+    console.warn('Unknown notification action:', action);
   }
 }
 
-// Handle notification button clicks
+// Handle notification button clicks (each reminder notification stores the actions its buttons were given)
 chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
   console.log('Notification button clicked:', notificationId, 'button:', buttonIndex);
+  await migrationsReady;
 
-  if (notificationId.startsWith('reminder_')) {
-    // Extract the actual eventId from the reminder ID format: reminder_${eventId}_${leadHours}h
-    // We need to remove 'reminder_' prefix AND the '_XXh' suffix
-    const withoutPrefix = notificationId.replace('reminder_', '');
-    const lastUnderscoreIdx = withoutPrefix.lastIndexOf('_');
-    const eventId = lastUnderscoreIdx > 0 ? withoutPrefix.substring(0, lastUnderscoreIdx) : withoutPrefix;
-
-    if (buttonIndex === 0) {
-      // Mark as complete
-      const data = await chrome.storage.local.get(['completedAssignments', 'reminders']);
-      const completedAssignments = data.completedAssignments || {};
-      const reminders = data.reminders || {};
-      const reminder = reminders[notificationId];
-
-      completedAssignments[eventId] = {
-        completedDate: new Date().toISOString(),
-        title: reminder ? reminder.title : 'Completed via reminder'
-      };
-
-      await chrome.storage.local.set({ completedAssignments });
-      chrome.notifications.clear(notificationId);
-      console.log('Marked complete:', eventId);
-    } else if (buttonIndex === 1) {
-      // Snooze for 1 hour - reload reminder data first
-      const data = await chrome.storage.local.get(['reminders']);
-      const reminders = data.reminders || {};
-      const originalReminder = reminders[notificationId];
-
-      // Create a new snooze reminder
-      const snoozeId = `${notificationId}_snooze_${Date.now()}`;
-      if (originalReminder) {
-        reminders[snoozeId] = {
-          ...originalReminder,
-          message: `SNOOZED: ${originalReminder.title} - reminder snoozed 1 hour`
-        };
-      } else {
-        reminders[snoozeId] = {
-          eventId,
-          title: 'Snoozed Reminder',
-          message: 'Assignment reminder (snoozed)',
-          intervalHours: 1
-        };
-      }
+  if (isReminderAlarm(notificationId)) {
+    const key = notificationId.slice(REMINDER_ALARM_PREFIX.length);
+    const data = await chrome.storage.local.get(['reminders']);
+    const reminder = (data.reminders || {})[key] || null;
+    const action = reminder && reminder.actions ? reminder.actions[buttonIndex] : null;
 
-      await chrome.storage.local.set({ reminders });
-      chrome.alarms.create(snoozeId, { delayInMinutes: 60 });
-      chrome.notifications.clear(notificationId);
-      console.log('Snoozed reminder for 1 hour:', snoozeId);
+    chrome.notifications.clear(notificationId);
+    if (action) {
+      await runReminderAction(action, key, reminder);
+    } else {
+      console.warn('No action for notification button:', notificationId, buttonIndex);
     }
   }
 });
 
-// Also handle notification click (not just buttons)
-chrome.notifications.onClicked.addListener((notificationId) => {
+// Clicking the notification itself opens TrinTasks (for reminders, the only action where buttons aren't shown)
+chrome.notifications.onClicked.addListener(async (notificationId) => {
   console.log('Notification clicked:', notificationId);
-  // Just clear the notification when clicked
   chrome.notifications.clear(notificationId);
+  if (notificationId.startsWith(CHANGE_ALERT_PREFIX)) {
+    // The popup opens the What changed panel when it finds this
+    await chrome.storage.local.set({ openPanel: 'changes' });
+    await openTrinTasks();
+  } else if (notificationId.startsWith(DAILY_DIGEST_ALARM) || isReminderAlarm(notificationId)) {
+    await openTrinTasks();
+  }
 });
 
-async function refreshCalendarData(overrideUrl, isManualRefresh = false) {
+// Notify about refresh changes to upcoming assignments (each kind has its own setting)
+async function notifyAssignmentChanges(changes) {
   try {
-    const data = await chrome.storage.local.get(['icalUrl', 'events', 'completedAssignments', 'inProgressAssignments']);
-    const icalUrl = overrideUrl || data.icalUrl;
-    if (!icalUrl) {
-      console.log('No iCal URL configured, skipping refresh');
-      return null;
-    }
-
-    const previousEvents = data.events || [];
-    const completedAssignments = data.completedAssignments || {};
-    const inProgressAssignments = data.inProgressAssignments || {};
-
-    console.log('Refreshing calendar from:', icalUrl);
-    const newEvents = await ICalParser.fetchAndParse(icalUrl);
-
-    const prevMap = new Map();
-    previousEvents.forEach(ev => {
-      const id = ev.uid || `${ev.title}_${ev.dueRaw || ev.startRaw}`;
-      prevMap.set(id, ev);
-    });
-
-    const nextEvents = [];
-    let added = 0;
-    let updated = 0;
-
-    newEvents.forEach(ev => {
-      const id = ev.uid || `${ev.title}_${ev.dueRaw || ev.startRaw}`;
-      const prev = prevMap.get(id);
-      if (!prev) {
-        added++;
-      } else {
-        // Detect meaningful changes ignoring completion fields
-        const prevClone = { ...prev };
-        delete prevClone.isCompleted;
-        delete prevClone.completedDate;
-        delete prevClone.isInProgress;
-        delete prevClone.inProgressDate;
-        const currClone = { ...ev };
-        if (JSON.stringify(prevClone) !== JSON.stringify(currClone)) {
-          updated++;
-        }
-      }
-      // Preserve completion status if present
-      if (completedAssignments[id]) {
-        ev.isCompleted = true;
-        ev.completedDate = completedAssignments[id].completedDate;
-      }
-      // Preserve in-progress status if present (and not completed)
-      if (inProgressAssignments[id] && !ev.isCompleted) {
-        ev.isInProgress = true;
-        ev.inProgressDate = inProgressAssignments[id].inProgressDate;
-      }
-      nextEvents.push(ev);
+    const data = await chrome.storage.local.get(['reminderSettings', 'completedAssignments']);
+    const changeAlerts = (data.reminderSettings && data.reminderSettings.changeAlerts) || {};
+    const enabled = {
+      dueEarlier: changeAlerts.dueEarlier !== false,
+      newMajor: changeAlerts.newMajor !== false,
+      cancelled: changeAlerts.cancelled !== false
+    };
+    if (!enabled.dueEarlier && !enabled.newMajor && !enabled.cancelled) return;
+
+    const disabledFeeds = new Set((await loadFeeds()).filter(feed => !feed.enabled).map(feed => feed.id));
+    const alerts = findChangeAlerts(changes, {
+      enabled,
+      completedAssignments: data.completedAssignments || {},
+      disabledFeeds
     });
 
-    // Preserve custom assignments (user-created, not from iCal)
-    previousEvents.forEach(ev => {
-      if (ev.uid && ev.uid.startsWith('custom_')) {
-        // Keep custom assignments, preserve their status
-        const id = ev.uid;
-        if (completedAssignments[id]) {
-          ev.isCompleted = true;
-          ev.completedDate = completedAssignments[id].completedDate;
-        }
-        if (inProgressAssignments[id] && !ev.isCompleted) {
-          ev.isInProgress = true;
-          ev.inProgressDate = inProgressAssignments[id].inProgressDate;
-        }
-        nextEvents.push(ev);
-      }
-    });
+    let iconUrl;
+    try {
+      iconUrl = chrome.runtime.getURL('icon-128.png');
+    } catch (e) {
+      console.warn('Failed to get icon URL:', e);
+      iconUrl = 'icon-128.png';
+    }
 
-    // Removed events: present before but not now (excluding custom assignments)
-    const nextIds = new Set(nextEvents.map(ev => ev.uid || `${ev.title}_${ev.dueRaw || ev.startRaw}`));
-    let removed = 0;
-    previousEvents.forEach(ev => {
-      const id = ev.uid || `${ev.title}_${ev.dueRaw || ev.startRaw}`;
-      // Don't count custom assignments as removed
-      if (!nextIds.has(id) && !(ev.uid && ev.uid.startsWith('custom_'))) {
-        removed++;
-        delete completedAssignments[id];
-        delete inProgressAssignments[id];
-      }
-    });
+    for (const alert of alerts) {
+      const notificationId = `${CHANGE_ALERT_PREFIX}${alert.type}_${alert.id}_${Date.now()}`;
+      await new Promise((resolve) => {
+        chrome.notifications.create(notificationId, {
+          type: 'basic',
+          iconUrl,
+          title: `TrinTasks - ${alert.title}`,
+          message: alert.message,
+          priority: 2
+        }, () => {
+          const err = chrome.runtime.lastError;
+          if (err) console.error('Notification create error:', err.message);
+          resolve();
+        });
+      });
+      console.log('Change notification shown:', alert.type, alert.id);
+    }
+  } catch (err) {
+    console.error('Error notifying assignment changes:', err);
+  }
+}
 
-    await chrome.storage.local.set({
-      events: nextEvents,
-      completedAssignments,
-      inProgressAssignments,
-      lastUpdated: new Date().toISOString(),
-      lastRefreshSummary: {
-        added,
-        updated,
-        removed,
-        timestamp: Date.now()
-      }
+// Refresh feeds through the shared pipeline (same fetch, parse and merge as the popup fallback)
+async function refreshCalendarData(feedId = null, isManualRefresh = false) {
+  try {
+    const summary = await refreshFeeds({
+      feedId,
+      retries: 3,
+      onChanges: (changes) => notifyAssignmentChanges(changes)
     });
-    console.log(`Calendar refreshed: +${added}, updated ${updated}, removed ${removed}`);
-    return { added, updated, removed, timestamp: Date.now() };
+    return summary;
   } catch (err) {
     console.error('Failed to refresh calendar in background:', err.message);
     // Store error info for debugging
@@ -485,12 +348,9 @@ async function refreshCalendarData(overrideUrl, isManualRefresh = false) {
 // Allow popup to request an immediate refresh when opened
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   if (message && message.action === 'refreshCalendarNow') {
-    const overrideUrl = message.icalUrl || null;
-    if (overrideUrl) {
-      chrome.storage.local.set({ icalUrl: overrideUrl });
-    }
     // Manual refresh from popup - pass true to throw errors
-    refreshCalendarData(overrideUrl, true)
+    migrationsReady
+      .then(() => refreshCalendarData(message.feedId || null, true))
       .then(summary => sendResponse({ success: true, summary }))
       .catch(error => sendResponse({ success: false, error: error?.message || 'Unknown error' }));
     return true; // keep the message channel open for async response
@@ -498,398 +358,30 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
   if (message && message.action === 'triggerTestReminder') {
     const leadHours = parseInt(message.leadHours, 10) || 24;
-    const reminderId = `reminder_test_${Date.now()}`;
-    // Chrome requires minimum 0.5 minutes (30 seconds) for alarms
-    const delayMinutes = 0.5;
-    const fireAt = Date.now() + (delayMinutes * 60 * 1000);
-    console.log('triggerTestReminder received', { leadHours, reminderId, delayMinutes, fireAt });
-
-    chrome.storage.local.get(['reminders', 'reminderHistory']).then(data => {
-      const reminders = data.reminders || {};
-      const reminderHistory = data.reminderHistory || {};
-
-      reminders[reminderId] = {
-        eventId: 'test',
-        title: 'Test Reminder',
-        message: `If you see this notification, reminders are working. Lead time setting: ${leadHours}h.`,
-        dueTime: new Date(Date.now() + leadHours * 60 * 60 * 1000).toLocaleString(),
-        intervalHours: leadHours
-      };
-
-      // Ensure test reminders are allowed to fire even if run multiple times
-      delete reminderHistory[reminderId];
-
-      const scheduledInfo = {
-        status: 'scheduled',
-        message: `Test reminder scheduled for ~30 seconds from now`,
-        alarm: reminderId,
-        timestamp: Date.now()
-      };
-
-      chrome.storage.local.set({ reminders, reminderHistory, lastNotificationResult: scheduledInfo }).then(() => {
-        // Use delayInMinutes which is more reliable than absolute 'when'
-        chrome.alarms.create(reminderId, { delayInMinutes: delayMinutes });
-        console.log('Test alarm created:', reminderId);
-        sendResponse({ success: true, alarm: reminderId, when: fireAt });
-      }).catch(err => {
-        console.error('Failed to save test reminder:', err);
-        sendResponse({ success: false, error: err?.message || 'Failed to save test reminder' });
+    console.log('triggerTestReminder received', { leadHours });
+
+    migrationsReady
+      .then(() => scheduleTestReminder(`If you see this notification, reminders are working. Lead time setting: ${leadHours}h.`))
+      .then(async ({ key, fireAt }) => {
+        await chrome.storage.local.set({
+          lastNotificationResult: {
+            status: 'scheduled',
+            message: 'Test reminder scheduled for ~30 seconds from now',
+            alarm: key,
+            timestamp: Date.now()
+          }
+        });
+        console.log('Test alarm created:', key);
+        sendResponse({ success: true, alarm: key, when: fireAt });
+      })
+      .catch(err => {
+        console.error('Failed to create test reminder:', err);
+        sendResponse({ success: false, error: err?.message || 'Failed to create test reminder' });
       });
-    }).catch(err => {
-      console.error('Failed to get storage for test reminder:', err);
-      sendResponse({ success: false, error: err?.message || 'Failed to create test reminder' });
-    });
     return true; // keep channel open
   }
 });
 
-// Minimal iCal parser (based on popup logic) for background refresh
-class ICalParser {
-  static parseICalContent(icalContent) {
-    const events = [];
-    const eventRegex = /BEGIN:VEVENT([\s\S]*?)END:VEVENT/g;
-    let eventMatch;
-    while ((eventMatch = eventRegex.exec(icalContent)) !== null) {
-      const eventData = eventMatch[1];
-      const event = this.parseEvent(eventData);
-      if (event) events.push(event);
-    }
-    return events;
-  }
-
-  static parseEvent(eventData) {
-    const event = {};
-
-    let match = eventData.match(/SUMMARY:(.+?)(?=\r?\n[A-Z-]+:|$)/s);
-    if (match) {
-      let title = match[1].replace(/\r?\n[ \t]/g, '');
-      title = title.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
-      title = title.replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCharCode(parseInt(code, 16)));
-      title = title.replace(/&amp;/g, '&')
-                   .replace(/&lt;/g, '<')
-                   .replace(/&gt;/g, '>')
-                   .replace(/&quot;/g, '"')
-                   .replace(/&#39;/g, "'")
-                   .replace(/&nbsp;/g, ' ')
-                   .replace(/&ndash;/g, '–')
-                   .replace(/&mdash;/g, '—')
-                   .replace(/&ldquo;/g, '"')
-                   .replace(/&rdquo;/g, '"')
-                   .replace(/&lsquo;/g, "'")
-                   .replace(/&rsquo;/g, "'");
-      event.title = this.decodeText(title.trim());
-    } else {
-      event.title = 'Untitled Event';
-    }
-
-    const hasKeywords = /\b(due|assignment|homework|test|quiz|exam|project|paper|lab|presentation|read|watch|complete|finish|study)\b/i.test(event.title);
-    const hasClassPrefix = /^(?:ADV\.\s+)?[A-Z][A-Z0-9\s:\/]+-\s*[A-Z0-9]+:/i.test(event.title);
-    event.isAssignment = hasKeywords || hasClassPrefix;
-
-    if (event.isAssignment && event.title) {
-      const timeMatch = event.title.match(/(\d{1,2}:\d{2}\s*[ap]\.?m\.?|\d{1,2}\s*[ap]\.?m\.?)/i);
-      if (timeMatch) event.extractedTime = timeMatch[1];
-    }
-
-    match = eventData.match(/DESCRIPTION:(.+?)(?=\r?\n[A-Z-]+:|$)/s);
-    if (match) {
-      let description = match[1].replace(/\r?\n[ \t]/g, '');
-      description = description.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
-      description = description.replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCharCode(parseInt(code, 16)));
-      description = description.replace(/&amp;/g, '&')
-                              .replace(/&lt;/g, '<')
-                              .replace(/&gt;/g, '>')
-                              .replace(/&quot;/g, '"')
-                              .replace(/&#39;/g, "'")
-                              .replace(/&nbsp;/g, ' ')
-                              .replace(/&ndash;/g, '–')
-                              .replace(/&mdash;/g, '—')
-                              .replace(/&ldquo;/g, '"')
-                              .replace(/&rdquo;/g, '"')
-                              .replace(/&lsquo;/g, "'")
-                              .replace(/&rsquo;/g, "'");
-      event.description = this.decodeText(description.trim());
-    }
-
-    match = eventData.match(/LOCATION:(.+?)(?=\r?\n[A-Z-]+:|$)/s);
-    if (match) {
-      let location = match[1].replace(/\r?\n[ \t]/g, '');
-      event.location = this.decodeText(location.trim());
-    } else {
-      event.location = null;
-    }
-
-    match = eventData.match(/DTSTART(?:;TZID=[^:]*)?(?:;VALUE=DATE)?:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      const rawStart = match[1].trim();
-      event.startRaw = rawStart;
-      event.startTime = this.formatDateTime(rawStart);
-    }
-
-    match = eventData.match(/(?:DUE|DTDUE)(?:;TZID=[^:]*)?:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      const rawDue = match[1].trim();
-      event.dueRaw = rawDue;
-      event.dueTime = this.formatDateTime(rawDue);
-    } else if (event.isAssignment && event.startRaw) {
-      event.dueRaw = event.startRaw;
-      if (event.extractedTime) {
-        const dateStr = event.startRaw.replace(/[^\d]/g, '').substring(0, 8);
-        event.dueTime = this.formatDateTimeWithExtractedTime(dateStr, event.extractedTime);
-      } else {
-        event.dueTime = event.startTime;
-      }
-      event.trinityFormat = true;
-    }
-
-    match = eventData.match(/DTEND(?:;TZID=[^:]*)?(?:;VALUE=DATE)?:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      const rawEnd = match[1].trim();
-      event.endRaw = rawEnd;
-      event.endTime = this.formatDateTime(rawEnd);
-    }
-
-    match = eventData.match(/UID:(.+?)(?:\r?\n|$)/);
-    event.uid = match ? match[1].trim() : null;
-
-    match = eventData.match(/STATUS:(.+?)(?:\r?\n|$)/);
-    event.status = match ? match[1].trim() : null;
-
-    match = eventData.match(/PRIORITY:(.+?)(?:\r?\n|$)/);
-    if (match) event.priority = parseInt(match[1].trim(), 10);
-
-    match = eventData.match(/PERCENT-COMPLETE:(.+?)(?:\r?\n|$)/);
-    if (match) event.percentComplete = parseInt(match[1].trim(), 10);
-
-    match = eventData.match(/RRULE:(.+?)(?:\r?\n|$)/);
-    event.rrule = match ? match[1].trim() : null;
-
-    return event;
-  }
-
-  static formatDateTimeWithExtractedTime(dateStr, timeStr) {
-    if (!dateStr || dateStr.length < 8) return null;
-    try {
-      const year = parseInt(dateStr.substring(0, 4), 10);
-      const month = parseInt(dateStr.substring(4, 6), 10) - 1;
-      const day = parseInt(dateStr.substring(6, 8), 10);
-      const normalizedTime = timeStr.toLowerCase().replace(/\s/g, '').replace('.', '');
-      const isPM = normalizedTime.includes('pm');
-      const isAM = normalizedTime.includes('am');
-      const timeMatch = normalizedTime.match(/(\d{1,2}):?(\d{2})?/);
-      if (!timeMatch) {
-        const date = new Date(year, month, day);
-        return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-      }
-      let hours = parseInt(timeMatch[1], 10);
-      const minutes = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
-      if (isPM && hours !== 12) hours += 12;
-      else if (isAM && hours === 12) hours = 0;
-      const date = new Date(year, month, day, hours, minutes);
-      return date.toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
-    } catch (e) {
-      const year = dateStr.substring(0, 4);
-      const month = dateStr.substring(4, 6);
-      const day = dateStr.substring(6, 8);
-      return `${year}-${month}-${day} ${timeStr}`;
-    }
-  }
-
-  static formatDateTime(dateTime) {
-    if (!dateTime) return null;
-    const isDateTime = dateTime.includes('T');
-    if (!isDateTime) {
-      const year = dateTime.substring(0, 4);
-      const month = dateTime.substring(4, 6);
-      const day = dateTime.substring(6, 8);
-      return `${year}-${month}-${day}`;
-    }
-    const year = dateTime.substring(0, 4);
-    const month = dateTime.substring(4, 6);
-    const day = dateTime.substring(6, 8);
-    const hour = dateTime.substring(9, 11);
-    const minute = dateTime.substring(11, 13);
-    const second = dateTime.substring(13, 15);
-    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
-    return date.toLocaleString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit'
-    });
-  }
-
-  static decodeText(text) {
-    return text
-      .replace(/\\\\/g, '\u0000BACKSLASH\u0000')
-      .replace(/\\[nN]/g, '\n')
-      .replace(/\\r/g, '\r')
-      .replace(/\\,/g, ',')
-      .replace(/\\;/g, ';')
-      .replace(/\\:/g, ':')
-      .replace(/<[^>]*>/g, '')
-      .replace(/\u0000BACKSLASH\u0000/g, '\\')
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
-  }
-
-  static async fetchAndParse(url, retries = 3) {
-    let fetchUrl = url;
-    if (url.startsWith('webcal://')) {
-      fetchUrl = url.replace('webcal://', 'https://');
-    } else if (url.startsWith('webcals://')) {
-      fetchUrl = url.replace('webcals://', 'https://');
-    }
-
-    let lastError;
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-
-        const response = await fetch(fetchUrl, {
-          signal: controller.signal,
-          cache: 'no-cache',
-          headers: {
-            'Accept': 'text/calendar, text/plain, */*'
-          }
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const icalContent = await response.text();
-        return this.parseICalContent(icalContent);
-      } catch (err) {
-        lastError = err;
-        console.warn(`Fetch attempt ${attempt}/${retries} failed:`, err.message);
-
-        // Don't retry on abort (timeout) or if it's the last attempt
-        if (err.name === 'AbortError') {
-          lastError = new Error('Request timed out after 30 seconds');
-          break;
-        }
-
-        // Wait before retrying (exponential backoff)
-        if (attempt < retries) {
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
-      }
-    }
-
-    throw lastError || new Error('Failed to fetch calendar data');
-  }
-}
-
-// Helper function to convert iCal date to timestamp
-function ICalDateToTimestamp(dateTime) {
-  if (!dateTime) return 0;
-
-  try {
-    // DateTime with time: YYYYMMDDTHHMMSS (optionally ending with Z)
-    if (dateTime.includes('T')) {
-      const year = parseInt(dateTime.substring(0, 4), 10);
-      const month = parseInt(dateTime.substring(4, 6), 10) - 1;
-      const day = parseInt(dateTime.substring(6, 8), 10);
-      const hour = parseInt(dateTime.substring(9, 11) || '0', 10);
-      const minute = parseInt(dateTime.substring(11, 13) || '0', 10);
-      const second = parseInt(dateTime.substring(13, 15) || '0', 10);
-
-      if (dateTime.endsWith('Z')) {
-        return Date.UTC(year, month, day, hour, minute, second);
-      }
-
-      return new Date(year, month, day, hour, minute, second).getTime();
-    }
-
-    // Date only: YYYYMMDD
-    if (dateTime.length >= 8) {
-      const year = parseInt(dateTime.substring(0, 4), 10);
-      const month = parseInt(dateTime.substring(4, 6), 10) - 1;
-      const day = parseInt(dateTime.substring(6, 8), 10);
-      return new Date(year, month, day).getTime();
-    }
-  } catch (e) {
-    return 0;
-  }
-
-  return 0;
-}
-
-// Clean up stale reminder data for past-due assignments
-async function cleanupStaleReminders() {
-  try {
-    const data = await chrome.storage.local.get(['events', 'reminders', 'reminderHistory', 'assignmentReminders']);
-    const events = data.events || [];
-    const reminders = data.reminders || {};
-    const reminderHistory = data.reminderHistory || {};
-    const assignmentReminders = data.assignmentReminders || {};
-
-    const now = Date.now();
-    let cleanedCount = 0;
-
-    // Build a set of valid event IDs
-    const validEventIds = new Set();
-    events.forEach(event => {
-      const eventId = event.uid || `${event.title}_${event.dueRaw || event.startRaw}`;
-      const dueTimestamp = ICalDateToTimestamp(event.dueRaw || event.startRaw);
-      // Only keep events that are still in the future
-      if (dueTimestamp > now) {
-        validEventIds.add(eventId);
-      }
-    });
-
-    // Clean up reminders for past-due or removed assignments
-    for (const reminderId of Object.keys(reminders)) {
-      // Extract eventId from reminder ID: reminder_${eventId}_${leadHours}h
-      const match = reminderId.match(/^reminder_(.+)_\d+h$/);
-      if (match) {
-        const eventId = match[1];
-        if (!validEventIds.has(eventId)) {
-          delete reminders[reminderId];
-          delete reminderHistory[reminderId];
-          // Also clear any existing alarm
-          await chrome.alarms.clear(reminderId);
-          cleanedCount++;
-        }
-      }
-    }
-
-    // Clean up reminderHistory entries for past-due assignments
-    for (const reminderId of Object.keys(reminderHistory)) {
-      const match = reminderId.match(/^reminder_(.+)_\d+h$/);
-      if (match) {
-        const eventId = match[1];
-        if (!validEventIds.has(eventId)) {
-          delete reminderHistory[reminderId];
-          cleanedCount++;
-        }
-      }
-    }
-
-    // Clean up assignment-specific reminders for past-due assignments
-    for (const eventId of Object.keys(assignmentReminders)) {
-      if (!validEventIds.has(eventId)) {
-        delete assignmentReminders[eventId];
-        await chrome.alarms.clear(`assignment_reminder_${eventId}`);
-        cleanedCount++;
-      }
-    }
-
-    if (cleanedCount > 0) {
-      await chrome.storage.local.set({ reminders, reminderHistory, assignmentReminders });
-      console.log(`Cleaned up ${cleanedCount} stale reminder entries`);
-    }
-  } catch (err) {
-    console.error('Error cleaning up stale reminders:', err);
-  }
-}
-
 // Initialize on service worker startup (after helpers are defined to avoid TDZ errors)
 (async function initializeServiceWorker() {
   console.log('TrinTasks service worker initializing...');
@@ -908,6 +400,12 @@ async function cleanupStaleReminders() {
     console.log('Created refreshCalendar alarm');
   }
 
+  // Bring stored data up to the current schema before refreshing or scheduling from it
+  await migrationsReady;
+
+  // Pick up status changed on other devices while this one was offline
+  await syncNow();
+
   // Refresh calendar data
   try {
     await refreshCalendarData();
@@ -916,15 +414,7 @@ async function cleanupStaleReminders() {
     console.warn('Failed to refresh calendar on startup:', err);
   }
 
-  // Clean up stale reminders before checking for new ones
-  try {
-    await cleanupStaleReminders();
-    console.log('Cleaned up stale reminders on startup');
-  } catch (err) {
-    console.warn('Failed to clean up stale reminders:', err);
-  }
-
-  // Check for upcoming assignments and schedule reminders
+  // Check for upcoming assignments and schedule reminders (and the daily digest)
   try {
     await checkUpcomingAssignments();
     console.log('Checked upcoming assignments on startup');
@@ -0,0 +1,153 @@
+// Archive View - Browse, search and restore assignments that dropped out of their feeds
+
+import { getCleanTitle } from './utils.js';
+import { formatEventWhen } from './event-model.js';
+import { searchArchive } from './archive.js';
+
+export class ArchiveView {
+  constructor(options = {}) {
+    this.modal = options.modal;
+    this.searchInput = options.searchInput;
+    this.courseSelect = options.courseSelect;
+    this.termSelect = options.termSelect;
+    this.listDiv = options.listDiv;
+    this.countSpan = options.countSpan;
+    this.loadArchive = options.loadArchive || (async () => ({}));
+    this.onRestore = options.onRestore || (() => {});
+    this.getSubjectColor = options.getSubjectColor || (() => null);
+    this.archivedEvents = {};
+
+    if (this.searchInput) {
+      this.searchInput.addEventListener('input', () => this.render());
+    }
+    [this.courseSelect, this.termSelect].forEach(select => {
+      if (select) select.addEventListener('change', () => this.render());
+    });
+  }
+
+  /**
+   * Open the archive with fresh data and cleared filters
+   */
+  async open() {
+    this.archivedEvents = await this.loadArchive();
+    if (this.searchInput) this.searchInput.value = '';
+    if (this.courseSelect) this.courseSelect.value = '';
+    if (this.termSelect) this.termSelect.value = '';
+    this.populateFilters();
+    this.render();
+    this.modal.classList.remove('hidden');
+    if (this.searchInput) this.searchInput.focus();
+  }
+
+  close() {
+    this.modal.classList.add('hidden');
+  }
+
+  /**
+   * Fill the course and term dropdowns from the archived assignments
+   */
+  populateFilters() {
+    const all = searchArchive(this.archivedEvents);
+    const fill = (select, label, values) => {
+      if (!select) return;
+      const selected = select.value;
+      select.innerHTML = '';
+      const any = document.createElement('option');
+      any.value = '';
+      any.textContent = label;
+      select.appendChild(any);
+      values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+      });
+      select.value = values.includes(selected) ? selected : '';
+    };
+
+    const courses = [...new Set(all.map(item => item.course))].sort((a, b) => a.localeCompare(b));
+    // Terms are listed most recent first, in the order the search returns them
+    const terms = [...new Set(all.map(item => item.term))];
+    fill(this.courseSelect, 'All courses', courses);
+    fill(this.termSelect, 'All terms', terms);
+  }
+
+  /**
+   * Show the archived assignments matching the current search and filters
+   */
+  render() {
+    if (!this.listDiv) return;
+    const results = searchArchive(this.archivedEvents, {
+      query: this.searchInput ? this.searchInput.value : '',
+      course: this.courseSelect ? this.courseSelect.value : '',
+      term: this.termSelect ? this.termSelect.value : ''
+    });
+
+    if (this.countSpan) {
+      const total = Object.keys(this.archivedEvents).length;
+      this.countSpan.textContent = results.length === total ? `${total} archived` : `${results.length} of ${total}`;
+    }
+
+    this.listDiv.innerHTML = '';
+    if (results.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'archive-empty';
+      empty.textContent = Object.keys(this.archivedEvents).length === 0
+        ? 'Nothing archived yet. Assignments that drop out of a calendar show up here with their status.'
+        : 'No archived assignments match';
+      this.listDiv.appendChild(empty);
+      return;
+    }
+
+    results.forEach(item => this.listDiv.appendChild(this.createItem(item)));
+  }
+
+  /**
+   * Create the row for one archived assignment
+   * @param {{id: string, entry: Object, course: string, term: string}} item - Search result
+   * @returns {HTMLElement} The row element
+   */
+  createItem({ id, entry, course, term }) {
+    const row = document.createElement('div');
+    row.className = 'archive-item';
+    const color = this.getSubjectColor(entry.event);
+    if (color) row.style.borderLeftColor = color;
+
+    const info = document.createElement('div');
+    info.className = 'archive-item-info';
+
+    const title = document.createElement('div');
+    title.className = 'archive-item-title';
+    title.textContent = getCleanTitle(entry.event.title) || entry.event.title;
+    info.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'archive-item-meta';
+    meta.textContent = [course, formatEventWhen(entry.event), term].filter(Boolean).join(' · ');
+    info.appendChild(meta);
+
+    if (entry.completed || entry.inProgress) {
+      const status = document.createElement('span');
+      status.className = `archive-item-status ${entry.completed ? 'completed' : 'in-progress'}`;
+      status.textContent = entry.completed ? 'Completed' : 'In progress';
+      info.appendChild(status);
+    }
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'btn-secondary archive-restore-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.title = 'Put this assignment back in your list';
+    restoreBtn.addEventListener('click', async () => {
+      restoreBtn.disabled = true;
+      await this.onRestore(id);
+      delete this.archivedEvents[id];
+      this.populateFilters();
+      this.render();
+    });
+
+    row.appendChild(info);
+    row.appendChild(restoreBtn);
+    return row;
+  }
+}
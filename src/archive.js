@@ -0,0 +1,93 @@
+// Archive - Keeps assignments that dropped out of their feed, with the status the student gave them
+
+import { getCleanTitle, getCourseName } from './utils.js';
+import { getEventTime } from './event-model.js';
+
+// Oldest entries without a status are dropped first once the archive grows past this
+export const ARCHIVE_MAX_ENTRIES = 2000;
+
+// Fields derived from the status maps that aren't kept on archived events
+const VOLATILE_EVENT_FIELDS = ['isCompleted', 'completedDate', 'isInProgress', 'inProgressDate', 'statusSource'];
+
+/**
+ * Create an archive entry for an event that is no longer in its feed
+ * @param {Object} event - The removed event
+ * @param {string} feedId - The feed it came from
+ * @param {Object|null} completed - Its completedAssignments entry
+ * @param {Object|null} inProgress - Its inProgressAssignments entry
+ * @returns {{event: Object, feedId: string, archivedAt: number, completed: Object|null, inProgress: Object|null}}
+ */
+export function createArchiveEntry(event, feedId, completed, inProgress) {
+  const archived = { ...event };
+  VOLATILE_EVENT_FIELDS.forEach(field => delete archived[field]);
+  return {
+    event: archived,
+    feedId,
+    archivedAt: Date.now(),
+    completed: completed || null,
+    inProgress: inProgress || null
+  };
+}
+
+/**
+ * Drop the least useful entries once the archive is over its size limit (updated in place)
+ * Entries without a completed or in-progress status go first, oldest first
+ * @param {Object} archivedEvents - Map of assignment ID to archive entry
+ */
+export function trimArchive(archivedEvents) {
+  const ids = Object.keys(archivedEvents);
+  if (ids.length <= ARCHIVE_MAX_ENTRIES) return;
+
+  const hasStatus = id => !!(archivedEvents[id].completed || archivedEvents[id].inProgress);
+  ids.sort((a, b) => {
+    if (hasStatus(a) !== hasStatus(b)) return hasStatus(a) ? 1 : -1;
+    return archivedEvents[a].archivedAt - archivedEvents[b].archivedAt;
+  });
+  ids.slice(0, ids.length - ARCHIVE_MAX_ENTRIES).forEach(id => delete archivedEvents[id]);
+}
+
+/**
+ * Name the school term a date falls in (Spring: Jan-May, Summer: Jun-Jul, Fall: Aug-Dec)
+ * @param {number} time - Local epoch ms
+ * @returns {string} e.g. "Fall 2025"
+ */
+export function getAcademicTerm(time) {
+  const date = new Date(time);
+  const month = date.getMonth();
+  const season = month <= 4 ? 'Spring' : month <= 6 ? 'Summer' : 'Fall';
+  return `${season} ${date.getFullYear()}`;
+}
+
+/**
+ * Get the course and term an archive entry is filed under
+ * @param {Object} entry - Archive entry
+ * @returns {{course: string, term: string, time: number}}
+ */
+export function describeArchiveEntry(entry) {
+  const time = getEventTime(entry.event) || entry.archivedAt;
+  return {
+    course: entry.event.summary || getCourseName(entry.event.title) || 'Other',
+    term: getAcademicTerm(time),
+    time
+  };
+}
+
+/**
+ * Search the archive
+ * @param {Object} archivedEvents - Map of assignment ID to archive entry
+ * @param {{query?: string, course?: string, term?: string}} [filters] - Text to look for, and course/term to narrow to
+ * @returns {Array<{id: string, entry: Object, course: string, term: string, time: number}>} Matches, most recent first
+ */
+export function searchArchive(archivedEvents, { query = '', course = '', term = '' } = {}) {
+  const needle = query.trim().toLowerCase();
+  return Object.entries(archivedEvents || {})
+    .map(([id, entry]) => ({ id, entry, ...describeArchiveEntry(entry) }))
+    .filter(item => !course || item.course === course)
+    .filter(item => !term || item.term === term)
+    .filter(item => {
+      if (!needle) return true;
+      const text = `${getCleanTitle(item.entry.event.title)} ${item.course} ${item.entry.event.description || ''}`;
+      return text.toLowerCase().includes(needle);
+    })
+    .sort((a, b) => b.time - a.time);
+}
@@ -0,0 +1,311 @@
+// Backup - Versioned JSON backups of user data, validation and restore planning
+
+import { getEventId } from './utils.js';
+import { getEventSource, isStaticFeed } from './feed-manager.js';
+import { CURRENT_SCHEMA_VERSION, migrateSnapshot } from './migrations.js';
+import { isCustomReminder } from './reminder-scheduler.js';
+
+// Identifies TrinTasks backup files
+export const BACKUP_FORMAT = 'trintasks-backup';
+
+// Version of the backup file layout (the stored data inside follows CURRENT_SCHEMA_VERSION)
+export const BACKUP_VERSION = 1;
+
+// Settings carried in a backup, as returned by loadSettings()
+const BACKUP_SETTING_KEYS = [
+  'autoRefresh',
+  'enableReminders',
+  'reminderHours',
+  'feedAlarms',
+  'notifyDueEarlier',
+  'notifyNewMajor',
+  'notifyCancelled',
+  'dailyDigest',
+  'digestTime',
+  'quietHours',
+  'reminderProfiles',
+  'majorReminderProfile',
+  'minorReminderProfile',
+  'notificationActions',
+  'theme',
+  'uiStyle',
+  'showMajorAssignmentsBar',
+  'hideTentative',
+  'weatherUnlocked',
+  'weather'
+];
+
+// Keyed maps copied as they are stored
+const BACKUP_MAP_KEYS = [
+  'completedAssignments',
+  'inProgressAssignments',
+  'pinnedAssignments',
+  'subjectTags',
+  'eventOrder',
+  'reminders',
+  'archivedEvents'
+];
+
+// Storage keys read when exporting or restoring
+export const BACKUP_STORAGE_KEYS = ['feeds', 'events', ...BACKUP_MAP_KEYS];
+
+// Labels used in the restore preview
+const SECTION_LABELS = {
+  feeds: 'Calendars',
+  events: 'Custom and imported assignments',
+  completedAssignments: 'Completed assignments',
+  inProgressAssignments: 'In-progress assignments',
+  pinnedAssignments: 'Pinned assignments',
+  subjectTags: 'Subject colors',
+  eventOrder: 'Custom day orders',
+  reminders: 'Assignment reminders',
+  archivedEvents: 'Archived assignments'
+};
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether an event can only be restored from a backup (custom, or from an imported file)
+ * Events from URL feeds are left out because the next refresh fetches them again
+ * @param {Object} event - Stored event
+ * @param {Set<string>} staticFeedIds - IDs of static feeds
+ * @returns {boolean} True if the event belongs in a backup
+ */
+function isBackedUpEvent(event, staticFeedIds) {
+  const source = getEventSource(event);
+  return source === null || staticFeedIds.has(source);
+}
+
+/**
+ * Keep only the reminders a student set that are still to come
+ * Reminders planned from the settings are scheduled again from the restored assignments
+ * @param {Object} reminders - Map of reminder key to record
+ * @param {number} now - Current time in epoch ms
+ * @returns {Object} The pending custom reminders
+ */
+function getPendingCustomReminders(reminders, now) {
+  const pending = {};
+  Object.entries(reminders || {}).forEach(([key, record]) => {
+    if (isCustomReminder(record) && !record.delivered && record.fireAt > now) pending[key] = record;
+  });
+  return pending;
+}
+
+/**
+ * Build a backup from stored data
+ * @param {Object} stored - Values read from storage (feeds, events and the keyed maps)
+ * @param {Object} settings - Settings as returned by loadSettings()
+ * @returns {Object} Backup ready to be written as JSON
+ */
+export function createBackup(stored, settings) {
+  const feeds = (stored.feeds || []).map(({ cache, lastRefresh, ...feed }) => feed);
+  const staticFeedIds = new Set(feeds.filter(isStaticFeed).map(feed => feed.id));
+
+  const data = {
+    settings: {},
+    feeds,
+    events: (stored.events || []).filter(ev => isBackedUpEvent(ev, staticFeedIds))
+  };
+  BACKUP_SETTING_KEYS.forEach(key => {
+    data.settings[key] = settings[key];
+  });
+  BACKUP_MAP_KEYS.forEach(key => {
+    data[key] = stored[key] || {};
+  });
+  data.reminders = getPendingCustomReminders(stored.reminders, Date.now());
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Parse and validate a backup file, bringing its data up to the current schema
+ * @param {string} text - Contents of the backup file
+ * @returns {Object} The validated backup
+ * @throws {Error} With a message that can be shown to the user if the file can't be restored
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a TrinTasks backup (it is not valid JSON)');
+  }
+
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a TrinTasks backup');
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of TrinTasks. Update the extension and try again.');
+  }
+  const schemaVersion = Number.isInteger(backup.schemaVersion) ? backup.schemaVersion : 0;
+  if (schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of TrinTasks. Update the extension and try again.');
+  }
+  if (!isPlainObject(backup.data)) {
+    throw new Error('This backup is damaged: it has no data');
+  }
+
+  const data = migrateSnapshot(backup.data, schemaVersion);
+
+  if (data.settings !== undefined && !isPlainObject(data.settings)) {
+    throw new Error('This backup is damaged: "settings" is not an object');
+  }
+  ['feeds', 'events'].forEach(key => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      throw new Error(`This backup is damaged: "${key}" is not a list`);
+    }
+  });
+  BACKUP_MAP_KEYS.forEach(key => {
+    if (data[key] !== undefined && !isPlainObject(data[key])) {
+      throw new Error(`This backup is damaged: "${key}" is not an object`);
+    }
+  });
+
+  const feeds = data.feeds || [];
+  feeds.forEach((feed, i) => {
+    if (!isPlainObject(feed) || typeof feed.id !== 'string' || typeof feed.name !== 'string') {
+      throw new Error(`This backup is damaged: calendar ${i + 1} has no ID or name`);
+    }
+    if (!isStaticFeed(feed) && typeof feed.url !== 'string') {
+      throw new Error(`This backup is damaged: calendar "${feed.name}" has no URL`);
+    }
+  });
+  (data.events || []).forEach((event, i) => {
+    if (!isPlainObject(event) || typeof event.title !== 'string') {
+      throw new Error(`This backup is damaged: assignment ${i + 1} has no title`);
+    }
+  });
+
+  const settings = {};
+  BACKUP_SETTING_KEYS.forEach(key => {
+    if (data.settings && data.settings[key] !== undefined) settings[key] = data.settings[key];
+  });
+
+  const validated = { settings, feeds, events: data.events || [] };
+  BACKUP_MAP_KEYS.forEach(key => {
+    validated[key] = data[key] || {};
+  });
+
+  return { ...backup, schemaVersion: CURRENT_SCHEMA_VERSION, data: validated };
+}
+
+/**
+ * Count the keys added and removed between two versions of a section
+ * @param {Array<string>} before - Keys currently stored
+ * @param {Array<string>} after - Keys stored after the restore
+ * @returns {{added: number, removed: number}}
+ */
+function diffKeys(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  return {
+    added: after.filter(key => !beforeSet.has(key)).length,
+    removed: before.filter(key => !afterSet.has(key)).length
+  };
+}
+
+/**
+ * Work out what restoring a backup would store
+ * Merge keeps everything already stored and adds what is missing (local settings and colors win);
+ * replace makes the backup's data and settings the only data, keeping only the events of
+ * subscribed calendars that are still in the restored list until they are refreshed.
+ * @param {Object} backup - Backup returned by parseBackup()
+ * @param {Object} current - Values currently in storage (feeds, events and the keyed maps)
+ * @param {Object} currentSettings - Settings as returned by loadSettings()
+ * @param {'merge'|'replace'} mode - How to combine the backup with current data
+ * @returns {{updates: Object, settings: Object|null, changes: Array<{key: string, label: string, added: number, removed: number}>, settingsChanged: Array<string>}}
+ */
+export function planRestore(backup, current, currentSettings, mode) {
+  const now = Date.now();
+  const data = { ...backup.data, reminders: getPendingCustomReminders(backup.data.reminders, now) };
+  const currentFeeds = current.feeds || [];
+  const currentEvents = current.events || [];
+  const updates = {};
+
+  // Restored URL feeds have no cache, so the next refresh fetches them in full
+  const restoredFeeds = data.feeds.map(feed => ({ ...feed, lastRefresh: null }));
+
+  if (mode === 'replace') {
+    updates.feeds = restoredFeeds;
+    const urlFeedIds = new Set(restoredFeeds.filter(feed => !isStaticFeed(feed)).map(feed => feed.id));
+    updates.events = currentEvents
+      .filter(ev => urlFeedIds.has(getEventSource(ev)))
+      .concat(data.events);
+    BACKUP_MAP_KEYS.forEach(key => {
+      updates[key] = data[key];
+    });
+  } else {
+    const feedIds = new Set(currentFeeds.map(feed => feed.id));
+    const feedUrls = new Set(currentFeeds.map(feed => feed.url).filter(Boolean));
+    const addedFeeds = restoredFeeds.filter(feed => !feedIds.has(feed.id) && !(feed.url && feedUrls.has(feed.url)));
+    updates.feeds = currentFeeds.concat(addedFeeds);
+
+    const keptFeedIds = new Set(updates.feeds.map(feed => feed.id));
+    const eventIds = new Set(currentEvents.map(getEventId));
+    const addedEvents = data.events.filter(ev => {
+      const source = getEventSource(ev);
+      return !eventIds.has(getEventId(ev)) && (source === null || keptFeedIds.has(source));
+    });
+    updates.events = currentEvents.concat(addedEvents);
+
+    BACKUP_MAP_KEYS.forEach(key => {
+      updates[key] = { ...data[key], ...(current[key] || {}) };
+    });
+
+    // An assignment is either completed or in progress; whichever is stored locally wins
+    const localCompleted = current.completedAssignments || {};
+    const localInProgress = current.inProgressAssignments || {};
+    Object.keys(updates.inProgressAssignments).forEach(id => {
+      if (!updates.completedAssignments[id]) return;
+      if (localInProgress[id] && !localCompleted[id]) {
+        delete updates.completedAssignments[id];
+      } else {
+        delete updates.inProgressAssignments[id];
+      }
+    });
+  }
+
+  // Replacing keeps the reminders planned from the settings; they are re-planned for the restored assignments
+  if (mode === 'replace') {
+    Object.entries(current.reminders || {}).forEach(([key, record]) => {
+      if (!isCustomReminder(record)) updates.reminders[key] = record;
+    });
+  }
+
+  const staticFeedIds = new Set(currentFeeds.concat(updates.feeds).filter(isStaticFeed).map(feed => feed.id));
+  const sectionKeys = (key, value) => {
+    if (key === 'feeds') return value.map(feed => feed.id);
+    if (key === 'events') return value.filter(ev => isBackedUpEvent(ev, staticFeedIds)).map(getEventId);
+    if (key === 'reminders') return Object.keys(getPendingCustomReminders(value, now));
+    return Object.keys(value || {});
+  };
+  const before = { ...current, feeds: currentFeeds, events: currentEvents };
+  const changes = Object.keys(SECTION_LABELS).map(key => ({
+    key,
+    label: SECTION_LABELS[key],
+    ...diffKeys(sectionKeys(key, before[key]), sectionKeys(key, updates[key]))
+  }));
+
+  let settings = null;
+  let settingsChanged = [];
+  if (mode === 'replace') {
+    settings = { ...currentSettings, ...data.settings };
+    // Quiet hours and reminder profiles are objects, so settings are compared by value
+    settingsChanged = BACKUP_SETTING_KEYS.filter(key => JSON.stringify(settings[key]) !== JSON.stringify(currentSettings[key]));
+  }
+
+  return { updates, settings, changes, settingsChanged };
+}
@@ -0,0 +1,73 @@
+// Change Alerts - Picks out refresh changes worth a notification (due date moved earlier, new major assignment soon, cancelled)
+
+import { formatEventDay, toLocalTime } from './event-model.js';
+import { isMajorAssignment } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// New major assignments are announced if they are due within this many days
+const NEW_MAJOR_WINDOW_DAYS = 7;
+
+// Notification IDs start with this so they aren't mistaken for reminders
+export const CHANGE_ALERT_PREFIX = 'change_';
+
+/**
+ * Get the time a change entry is due (or starts)
+ * @param {Object} change - Change log entry (see refresh-pipeline.js)
+ * @returns {{field: string, time: number}} The time field used and its local epoch ms (0 if none)
+ */
+function getChangeTime(change) {
+  const field = change.dueAt !== null && change.dueAt !== undefined ? 'dueAt' : 'startAt';
+  return { field, time: toLocalTime(change[field], change.allDay) };
+}
+
+/**
+ * Pick out the changes from a refresh that should be notified
+ * @param {Array} changes - Change log entries from the refresh, tagged with feedId
+ * @param {Object} options
+ * @param {{dueEarlier: boolean, newMajor: boolean, cancelled: boolean}} options.enabled - Which alerts are turned on
+ * @param {Object} [options.completedAssignments] - Map of completed assignment IDs (these aren't notified)
+ * @param {Set<string>} [options.disabledFeeds] - IDs of feeds that are hidden
+ * @param {number} [options.now] - Current time in epoch ms
+ * @returns {Array<{type: string, id: string, title: string, message: string}>} Alerts to show
+ */
+export function findChangeAlerts(changes, { enabled, completedAssignments = {}, disabledFeeds = new Set(), now = Date.now() }) {
+  const alerts = [];
+
+  changes.forEach(change => {
+    if (completedAssignments[change.id] || disabledFeeds.has(change.feedId)) return;
+
+    const { field, time } = getChangeTime(change);
+    // Only upcoming assignments are worth interrupting the student for
+    if (!time || time <= now) return;
+    const when = formatEventDay(change[field], change.allDay);
+    const fields = change.fields || [];
+
+    const statusChange = fields.find(diff => diff.field === 'status');
+    if (statusChange && statusChange.to === 'CANCELLED') {
+      if (enabled.cancelled) {
+        alerts.push({ type: 'cancelled', id: change.id, title: 'Assignment cancelled', message: `${change.title} (${when}) was cancelled` });
+      }
+      return;
+    }
+
+    const timeChange = fields.find(diff => diff.field === field);
+    if (timeChange && timeChange.from !== null) {
+      const previousTime = toLocalTime(timeChange.from, change.previousAllDay ?? change.allDay);
+      if (enabled.dueEarlier && time < previousTime) {
+        const was = formatEventDay(timeChange.from, change.previousAllDay ?? change.allDay);
+        alerts.push({ type: 'dueEarlier', id: change.id, title: 'Due date moved earlier', message: `${change.title} is now due ${when} (was ${was})` });
+      }
+      return;
+    }
+
+    // Everything in a newly added calendar counts as added; that isn't news
+    // (the popup's major check works on change entries directly, they carry title and status)
+    if (change.type === 'added' && !change.initial && enabled.newMajor &&
+        isMajorAssignment(change) && time - now <= NEW_MAJOR_WINDOW_DAYS * DAY_MS) {
+      alerts.push({ type: 'newMajor', id: change.id, title: 'New major assignment', message: `${change.title} is due ${when}` });
+    }
+  });
+
+  return alerts;
+}
@@ -0,0 +1,176 @@
+// Changes View - The "What changed" panel listing what recent refreshes changed, field by field
+
+import { getCleanTitle, getTimeAgo } from './utils.js';
+import { formatEventDay, formatEventWhen, getEventDate } from './event-model.js';
+
+// How each kind of change is labelled
+const CHANGE_TYPE_LABELS = {
+  added: 'New',
+  updated: 'Updated',
+  moved: 'Moved',
+  renamed: 'Renamed',
+  removed: 'Removed'
+};
+
+// How each changed field is labelled
+const FIELD_LABELS = {
+  title: 'Title',
+  dueAt: 'Due',
+  startAt: 'Starts',
+  endAt: 'Ends',
+  allDay: 'All day',
+  description: 'Description',
+  location: 'Location',
+  status: 'Status'
+};
+
+// Fields holding stored event times
+const TIME_FIELDS = ['dueAt', 'startAt', 'endAt'];
+
+export class ChangesView {
+  constructor(options = {}) {
+    this.modal = options.modal;
+    this.listDiv = options.listDiv;
+    this.loadHistory = options.loadHistory || (async () => []);
+    this.onNavigateToDate = options.onNavigateToDate || (() => {});
+    this.getSubjectColor = options.getSubjectColor || (() => null);
+  }
+
+  /**
+   * Open the panel with the latest refresh history
+   */
+  async open() {
+    this.render(await this.loadHistory());
+    this.modal.classList.remove('hidden');
+  }
+
+  close() {
+    this.modal.classList.add('hidden');
+  }
+
+  /**
+   * List each refresh with the assignments it changed
+   * @param {Array} history - Refresh change logs, most recent first
+   */
+  render(history) {
+    if (!this.listDiv) return;
+    this.listDiv.innerHTML = '';
+
+    if (history.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'changes-empty';
+      empty.textContent = 'No changes yet. When a refresh adds, moves or edits assignments, they show up here.';
+      this.listDiv.appendChild(empty);
+      return;
+    }
+
+    history.forEach(refresh => {
+      const group = document.createElement('div');
+      group.className = 'changes-refresh';
+
+      const heading = document.createElement('div');
+      heading.className = 'changes-refresh-time';
+      heading.textContent = getTimeAgo(new Date(refresh.timestamp));
+      heading.title = new Date(refresh.timestamp).toLocaleString();
+      group.appendChild(heading);
+
+      refresh.changes.forEach(change => group.appendChild(this.createItem(change)));
+
+      if (refresh.omitted > 0) {
+        const more = document.createElement('div');
+        more.className = 'changes-omitted';
+        more.textContent = `${refresh.omitted} more change${refresh.omitted > 1 ? 's' : ''} not shown`;
+        group.appendChild(more);
+      }
+
+      this.listDiv.appendChild(group);
+    });
+  }
+
+  /**
+   * Create the row for one changed assignment
+   * @param {Object} change - Change log entry
+   * @returns {HTMLElement} The row element
+   */
+  createItem(change) {
+    const row = document.createElement('div');
+    row.className = 'changes-item';
+    const color = this.getSubjectColor(change);
+    if (color) row.style.borderLeftColor = color;
+
+    const header = document.createElement('div');
+    header.className = 'changes-item-header';
+
+    const badge = document.createElement('span');
+    badge.className = `changes-type changes-type-${change.type}`;
+    badge.textContent = CHANGE_TYPE_LABELS[change.type] || change.type;
+    header.appendChild(badge);
+
+    const title = document.createElement('span');
+    title.className = 'changes-item-title';
+    title.textContent = getCleanTitle(change.title) || change.title;
+    header.appendChild(title);
+    row.appendChild(header);
+
+    if (change.fields && change.fields.length > 0) {
+      change.fields
+        .filter(diff => diff.field !== 'allDay')
+        .forEach(diff => row.appendChild(this.createFieldLine(diff, change)));
+    } else {
+      const when = formatEventWhen(change);
+      if (when) {
+        const meta = document.createElement('div');
+        meta.className = 'changes-field';
+        meta.textContent = when;
+        row.appendChild(meta);
+      }
+    }
+
+    // Removed assignments are no longer on the calendar, so there is no day to go to
+    const date = change.type === 'removed' ? null : getEventDate(change);
+    if (date) {
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'changes-goto';
+      link.textContent = 'Go to day';
+      link.addEventListener('click', () => {
+        this.close();
+        this.onNavigateToDate(date);
+      });
+      row.appendChild(link);
+    }
+
+    return row;
+  }
+
+  /**
+   * Create the line describing one changed field
+   * @param {{field: string, from: *, to: *}} diff - Field change
+   * @param {Object} change - The change log entry it belongs to
+   * @returns {HTMLElement} The line element
+   */
+  createFieldLine({ field, from, to }, change) {
+    const line = document.createElement('div');
+    line.className = 'changes-field';
+    const label = FIELD_LABELS[field] || field;
+
+    if (field === 'description') {
+      line.textContent = !from ? `${label} added` : !to ? `${label} removed` : `${label} edited`;
+      if (to) {
+        const text = document.createElement('div');
+        text.className = 'changes-field-text';
+        text.textContent = to;
+        line.appendChild(text);
+      }
+      return line;
+    }
+
+    const format = (value, allDay) => {
+      if (value === null || value === undefined || value === '') return 'none';
+      return TIME_FIELDS.includes(field) ? formatEventDay(value, allDay) : String(value);
+    };
+    const previousAllDay = change.previousAllDay ?? change.allDay;
+    line.textContent = `${label}: ${format(from, previousAllDay)} → ${format(to, change.allDay)}`;
+    return line;
+  }
+}
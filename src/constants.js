@@ -27,3 +27,19 @@ export const MAJOR_ASSIGNMENT_KEYWORDS = /\b(test|quiz|exam|midterm|final|essay|
 
 // Keywords that indicate an assignment
 export const ASSIGNMENT_KEYWORDS = /\b(due|assignment|homework|task|read|submit|turn in)\b/i;
+
+// Rolling window (in days around today) that recurring events are expanded into
+export const RECURRENCE_WINDOW_DAYS = { past: 90, future: 365 };
+
+// Feed created when migrating the original single `icalUrl`; untagged events belong to it
+export const DEFAULT_FEED_ID = 'feed_default';
+
+// Colors assigned to newly added calendar feeds, in order
+export const FEED_COLORS = ['#118ab2', '#e63946', '#2a9d8f', '#f77f00', '#8338ec', '#ff006e', '#8ac926', '#3d405b'];
+
+// Feeds are re-parsed at least this often even when unchanged, so the recurrence window keeps rolling
+export const FEED_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Refreshes kept in the "What changed" history, and the most changes recorded for one refresh
+export const REFRESH_HISTORY_LIMIT = 10;
+export const REFRESH_CHANGES_LIMIT = 200;
@@ -0,0 +1,159 @@
+// Daily Digest - One morning notification summarizing today's assignments, overdue ones and the next major assessment
+// Built from the same stored assignments and status maps the reminders are planned from.
+
+import { isMajorAssignment } from './utils.js';
+import { formatEventDay, getEventTime } from './event-model.js';
+import { getActiveEvents, loadReminderData } from './reminder-scheduler.js';
+
+// Alarm name; digest notification IDs start with it too
+export const DAILY_DIGEST_ALARM = 'dailyDigest';
+
+// Digest time used until the student picks one ("HH:MM", local time)
+export const DEFAULT_DIGEST_TIME = '07:00';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overdue assignments older than this are left out (they would otherwise pile up all term)
+const OVERDUE_WINDOW_DAYS = 7;
+
+// The next major assessment is mentioned if it is due within this many days
+const NEXT_MAJOR_WINDOW_DAYS = 7;
+
+// Titles listed per section before "+N more"
+const MAX_LISTED_TITLES = 3;
+
+// An existing alarm this close to the wanted time is left alone
+const ALARM_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Read the digest settings out of the stored reminder settings
+ * @param {Object} [reminderSettings] - Stored reminderSettings
+ * @returns {{enabled: boolean, time: string}} Whether the digest is on (default OFF) and its "HH:MM" time
+ */
+export function getDigestSettings(reminderSettings) {
+  const digest = (reminderSettings && reminderSettings.digest) || {};
+  const time = /^\d{2}:\d{2}$/.test(digest.time || '') ? digest.time : DEFAULT_DIGEST_TIME;
+  return { enabled: digest.enabled === true, time };
+}
+
+/**
+ * Get the next time the digest should go out
+ * @param {string} time - "HH:MM" local time
+ * @param {number} now - Current time in epoch ms
+ * @returns {number} Epoch ms of the next occurrence after now
+ */
+export function getNextDigestTime(time, now) {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  const today = new Date(now);
+  const next = new Date(today.getFullYear(), today.getMonth(), today.getDate(), hours, minutes);
+  if (next.getTime() <= now) {
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1, hours, minutes).getTime();
+  }
+  return next.getTime();
+}
+
+/**
+ * Get a local calendar day as a "YYYY-MM-DD" key
+ * @param {number} time - Epoch ms
+ * @returns {string} Day key
+ */
+function getDayKey(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * List titles for the digest, shortened to the first few
+ * @param {Array} events - Events in the section
+ * @returns {string} Comma-separated titles
+ */
+function listTitles(events) {
+  const titles = events.slice(0, MAX_LISTED_TITLES).map(event => event.title);
+  const more = events.length - MAX_LISTED_TITLES;
+  return more > 0 ? `${titles.join(', ')} +${more} more` : titles.join(', ');
+}
+
+/**
+ * Build the digest for today
+ * @param {Map<string, Object>|Array} activeEvents - Assignments that aren't completed, cancelled or hidden
+ * @param {number} now - Current time in epoch ms
+ * @returns {{title: string, message: string, dueToday: Array, overdue: Array, nextMajor: Object|null}|null}
+ *   The digest, or null if nothing is due today (overdue assignments alone don't send one)
+ */
+export function buildDigest(activeEvents, now) {
+  const today = new Date(now);
+  const dayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime();
+  const dayEnd = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).getTime();
+
+  const events = [...activeEvents.values()]
+    .map(event => ({ event, time: getEventTime(event) }))
+    .filter(({ time }) => time > 0)
+    .sort((a, b) => a.time - b.time);
+  const assignments = events.filter(({ event }) => event.isAssignment || event.isCustom);
+
+  const dueToday = assignments.filter(({ time }) => time >= dayStart && time < dayEnd).map(({ event }) => event);
+  const overdue = assignments
+    .filter(({ time }) => time < dayStart && time >= dayStart - OVERDUE_WINDOW_DAYS * DAY_MS)
+    .map(({ event }) => event);
+  if (dueToday.length === 0) return null;
+
+  // Majors due today are already in the list above
+  const major = events.find(({ event, time }) =>
+    time >= dayEnd && time <= now + NEXT_MAJOR_WINDOW_DAYS * DAY_MS && isMajorAssignment(event));
+  const nextMajor = major ? major.event : null;
+
+  const lines = [];
+  lines.push(`Due today (${dueToday.length}): ${listTitles(dueToday)}`);
+  if (overdue.length > 0) lines.push(`Overdue (${overdue.length}): ${listTitles(overdue)}`);
+  if (nextMajor) {
+    const value = nextMajor.dueAt !== null && nextMajor.dueAt !== undefined ? nextMajor.dueAt : nextMajor.startAt;
+    lines.push(`Next major: ${nextMajor.title} (${formatEventDay(value, nextMajor.allDay)})`);
+  }
+
+  return {
+    title: `TrinTasks - ${dueToday.length} due today`,
+    message: lines.join('\n'),
+    dueToday,
+    overdue,
+    nextMajor
+  };
+}
+
+/**
+ * Create, move or clear the digest alarm to match the settings
+ * Safe to call any number of times
+ */
+export async function scheduleDailyDigest() {
+  const data = await chrome.storage.local.get(['reminderSettings']);
+  const settings = getDigestSettings(data.reminderSettings);
+  const alarm = await chrome.alarms.get(DAILY_DIGEST_ALARM);
+
+  if (!settings.enabled) {
+    if (alarm) await chrome.alarms.clear(DAILY_DIGEST_ALARM);
+    return;
+  }
+
+  const when = getNextDigestTime(settings.time, Date.now());
+  if (alarm && Math.abs(alarm.scheduledTime - when) <= ALARM_TOLERANCE_MS) return;
+  await chrome.alarms.create(DAILY_DIGEST_ALARM, { when });
+  console.log('Daily digest scheduled for', new Date(when).toString());
+}
+
+/**
+ * Build today's digest if it is turned on and hasn't gone out yet today
+ * @param {number} [now] - Current time in epoch ms
+ * @returns {Promise<Object|null>} The digest (see buildDigest), or null if there is nothing to send
+ */
+export async function takeDailyDigest(now = Date.now()) {
+  const { data, disabledFeeds } = await loadReminderData();
+  if (!getDigestSettings(data.reminderSettings).enabled) return null;
+
+  // Changing the digest time after it went out shouldn't send a second one
+  const today = getDayKey(now);
+  const { lastDigestDate } = await chrome.storage.local.get(['lastDigestDate']);
+  if (lastDigestDate === today) return null;
+
+  await chrome.storage.local.set({ lastDigestDate: today });
+  return buildDigest(getActiveEvents(data, disabledFeeds), now);
+}
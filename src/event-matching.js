@@ -0,0 +1,147 @@
+// Event Matching - Pairs events that disappeared from a feed with new ones that are the same assignment
+// Feeds without UIDs identify events by title and date, so a renamed or moved assignment looks like a removal plus an addition
+
+import { getCleanTitle, getCourseName, getEventId } from './utils.js';
+import { getEventTime } from './event-model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A moved assignment with an unchanged title is paired if it moved at most this far (less than a week, so next
+// week's copy of a weekly assignment isn't taken for this week's)
+const MAX_MOVE_DAYS = 5;
+
+// A renamed assignment must stay this close to its old date
+const MAX_RENAME_DAYS = 3;
+
+// Minimum title similarity (0-1) for a renamed assignment on the same day, and for one that also moved
+const MIN_SAME_DAY_SIMILARITY = 0.5;
+const MIN_MOVED_SIMILARITY = 0.7;
+
+/**
+ * Get the course an event belongs to, or an empty string if its title names none
+ * @param {Object} event - The event
+ * @returns {string} Lower-cased course name
+ */
+function getEventCourse(event) {
+  const title = event.title || '';
+  return title.includes(':') ? getCourseName(title).toLowerCase() : '';
+}
+
+/**
+ * Normalize a title for comparison
+ * @param {Object} event - The event
+ * @returns {string} Lower-cased cleaned title with collapsed whitespace
+ */
+function getComparableTitle(event) {
+  return getCleanTitle(event.title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Similarity of two strings by shared character pairs (Dice coefficient)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 for identical strings, 0 for nothing in common
+ */
+function getTitleSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const pair = a.substring(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const pair = b.substring(i, i + 2);
+    const count = pairs.get(pair) || 0;
+    if (count > 0) {
+      pairs.set(pair, count - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Get the key events are grouped by when looking for titles that repeat in a feed
+ * @param {Object} event - The event
+ * @returns {string} Course and comparable title
+ */
+function getTitleKey(event) {
+  return `${getEventCourse(event)}\n${getComparableTitle(event)}`;
+}
+
+/**
+ * Score how likely two events are the same assignment
+ * @param {Object} removed - Event that is no longer in the feed
+ * @param {Object} added - Event that is new in the feed
+ * @returns {number} Score above 0 for a plausible pair, or 0
+ */
+function scorePair(removed, added) {
+  if ((removed.componentType || 'VEVENT') !== (added.componentType || 'VEVENT')) return 0;
+  if (getEventCourse(removed) !== getEventCourse(added)) return 0;
+
+  const removedTime = getEventTime(removed);
+  const addedTime = getEventTime(added);
+  if (!removedTime || !addedTime) return 0;
+  const days = Math.abs(addedTime - removedTime) / DAY_MS;
+
+  const similarity = getTitleSimilarity(getComparableTitle(removed), getComparableTitle(added));
+  const plausible = (similarity === 1 && days <= MAX_MOVE_DAYS) ||
+    (days < 1 && similarity >= MIN_SAME_DAY_SIMILARITY) ||
+    (days <= MAX_RENAME_DAYS && similarity >= MIN_MOVED_SIMILARITY);
+  if (!plausible) return 0;
+
+  // Prefer similar titles first, then nearby dates
+  return similarity + (1 - Math.min(days, MAX_MOVE_DAYS) / MAX_MOVE_DAYS) * 0.5;
+}
+
+/**
+ * Pair removed events with added events that are the same assignment, best matches first
+ * Removed events that were already past due are left unpaired (a rolling feed drops those as it adds new ones), and
+ * so are ones whose title is still in the feed besides the candidate (a recurring assignment, not a moved one).
+ * @param {Array} removedEvents - Events from the last refresh that are no longer in the feed
+ * @param {Array} addedEvents - Events in the feed that weren't there before
+ * @param {Array} [incomingEvents] - Every event now in the feed (defaults to the added events)
+ * @param {number} [now] - Current time in epoch ms
+ * @returns {Array<{from: Object, to: Object, fromId: string, toId: string, renamed: boolean, moved: boolean}>}
+ */
+export function matchChangedEvents(removedEvents, addedEvents, incomingEvents = addedEvents, now = Date.now()) {
+  const titleCounts = new Map();
+  incomingEvents.forEach(event => {
+    const key = getTitleKey(event);
+    titleCounts.set(key, (titleCounts.get(key) || 0) + 1);
+  });
+
+  const candidates = [];
+  removedEvents.forEach(removed => {
+    if (getEventTime(removed) <= now) return;
+    const copies = titleCounts.get(getTitleKey(removed)) || 0;
+    addedEvents.forEach(added => {
+      // Another event in the feed still has this title
+      if (copies - (getTitleKey(added) === getTitleKey(removed) ? 1 : 0) > 0) return;
+      const score = scorePair(removed, added);
+      if (score > 0) candidates.push({ removed, added, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const usedRemoved = new Set();
+  const usedAdded = new Set();
+  const matches = [];
+  candidates.forEach(({ removed, added }) => {
+    if (usedRemoved.has(removed) || usedAdded.has(added)) return;
+    usedRemoved.add(removed);
+    usedAdded.add(added);
+    matches.push({
+      from: removed,
+      to: added,
+      fromId: getEventId(removed),
+      toId: getEventId(added),
+      renamed: removed.title !== added.title,
+      moved: getEventTime(removed) !== getEventTime(added)
+    });
+  });
+  return matches;
+}
@@ -0,0 +1,195 @@
+// Event Model - Canonical stored event times, display formatting and conversion of older stored events
+
+import { parseDateFields } from './utils.js';
+
+/**
+ * Get the stored value for one event time
+ * All-day values are kept as UTC midnight of their calendar date so they stay on the same day
+ * when the browser's timezone changes; timed values are absolute instants
+ * @param {string|null} raw - Raw date value (iCal YYYYMMDD[THHMMSS[Z]] or ISO YYYY-MM-DD)
+ * @param {number|null} timestamp - Instant the value resolves to (from the parser)
+ * @param {boolean} allDay - Whether the event is all-day
+ * @returns {number|null} Epoch ms, or null if there is no value
+ */
+export function toStoredTime(raw, timestamp, allDay) {
+  const fields = parseDateFields(raw);
+  if (!fields) return timestamp || null;
+  if (allDay) {
+    return Date.UTC(fields.year, fields.month, fields.day);
+  }
+  if (timestamp) return timestamp;
+  if (fields.isUtc) {
+    return Date.UTC(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second);
+  }
+  return new Date(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second).getTime();
+}
+
+/**
+ * Check whether every raw value of an event is a date without a time
+ * @param {Array<string|null>} raws - Raw date values (missing values are ignored)
+ * @returns {boolean} True if there is at least one value and none has a time
+ */
+export function isAllDayValues(raws) {
+  const fields = raws.filter(Boolean).map(raw => parseDateFields(raw));
+  return fields.length > 0 && fields.every(f => f && f.isDate);
+}
+
+/**
+ * Combine a date with a time written in a title (e.g. "8:55 a.m.", "11:59 PM")
+ * @param {string} raw - Raw date value (the date part is used)
+ * @param {string} timeStr - The extracted time string
+ * @returns {number|null} Local timestamp, or null if the date or time can't be read
+ */
+export function combineDateAndTime(raw, timeStr) {
+  const fields = parseDateFields(raw);
+  const normalizedTime = (timeStr || '').toLowerCase().replace(/\s/g, '').replace(/\./g, '');
+  const timeMatch = normalizedTime.match(/(\d{1,2}):?(\d{2})?/);
+  if (!fields || !timeMatch) return null;
+
+  let hours = parseInt(timeMatch[1], 10);
+  const minutes = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+
+  // Convert to 24-hour format
+  if (normalizedTime.includes('pm') && hours !== 12) {
+    hours += 12;
+  } else if (normalizedTime.includes('am') && hours === 12) {
+    hours = 0;
+  }
+
+  return new Date(fields.year, fields.month, fields.day, hours, minutes).getTime();
+}
+
+/**
+ * Convert a stored time to the local instant it represents
+ * @param {number|null} value - Stored epoch ms (dueAt, startAt or endAt)
+ * @param {boolean} allDay - Whether the event is all-day
+ * @returns {number} Local epoch ms (local midnight for all-day values), or 0 if there is no value
+ */
+export function toLocalTime(value, allDay) {
+  if (value === null || value === undefined) return 0;
+  if (!allDay) return value;
+  const d = new Date(value);
+  return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()).getTime();
+}
+
+/**
+ * Get the time an event is sorted and scheduled by (due date, else start)
+ * @param {Object} event - The event object
+ * @returns {number} Local epoch ms (0 if the event has no date)
+ */
+export function getEventTime(event) {
+  if (!event) return 0;
+  const value = event.dueAt !== null && event.dueAt !== undefined ? event.dueAt : event.startAt;
+  return toLocalTime(value, event.allDay);
+}
+
+/**
+ * Get the local calendar day an event is due (or starts)
+ * @param {Object} event - The event object
+ * @returns {Date|null} Local midnight of that day, or null if the event has no date
+ */
+export function getEventDate(event) {
+  const time = getEventTime(event);
+  if (!time) return null;
+  const d = new Date(time);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Format a stored event time for display in the browser's locale and timezone
+ * @param {number|null} value - Stored epoch ms
+ * @param {boolean} allDay - Whether the event is all-day (shows the date only)
+ * @returns {string} Formatted date/time, or an empty string if there is no value
+ */
+export function formatEventTime(value, allDay) {
+  if (value === null || value === undefined) return '';
+  const date = new Date(value);
+  if (allDay) {
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+  return date.toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Format a stored event time compactly with its weekday (e.g. "Tue, Jan 14" or "Thu, Jan 16, 3:00 PM")
+ * @param {number|null} value - Stored epoch ms
+ * @param {boolean} allDay - Whether the event is all-day (shows the date only)
+ * @returns {string} Formatted date/time, or an empty string if there is no value
+ */
+export function formatEventDay(value, allDay) {
+  if (value === null || value === undefined) return '';
+  const date = new Date(value);
+  if (allDay) {
+    return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+  return date.toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Format when an event is due (or starts) for display
+ * @param {Object} event - The event object
+ * @returns {string} Formatted date/time
+ */
+export function formatEventWhen(event) {
+  const value = event.dueAt !== null && event.dueAt !== undefined ? event.dueAt : event.startAt;
+  return formatEventTime(value, event.allDay);
+}
+
+/**
+ * Check whether an event was stored before the canonical model (locale strings and raw values only)
+ * @param {Object} event - A stored event or pin snapshot
+ * @returns {boolean} True if the event needs converting
+ */
+export function isLegacyEvent(event) {
+  return !!event && !('dueAt' in event);
+}
+
+/**
+ * Convert an event stored in the old shape (dueTime/startTime display strings next to raw values)
+ * The raw values are kept because event IDs of feeds without UIDs are built from them
+ * @param {Object} event - Legacy event
+ * @returns {Object} Event in the canonical shape
+ */
+export function normalizeLegacyEvent(event) {
+  const {
+    dueTime, startTime, endTime,
+    dueTimestamp, startTimestamp, endTimestamp,
+    extractedTime, completedRaw, completedTime,
+    ...rest
+  } = event;
+
+  const normalized = { ...rest, source: event.isCustom ? 'custom' : (event.source || null) };
+
+  if (event.isCustom) {
+    // Custom assignments stored an ISO date in dueRaw and "HH:MM" (or nothing) in dueTime
+    const timed = !!(dueTime && /^\d{1,2}:\d{2}$/.test(dueTime));
+    normalized.allDay = !timed;
+    normalized.dueAt = timed ? combineDateAndTime(event.dueRaw, dueTime) : toStoredTime(event.dueRaw, null, true);
+    normalized.startAt = null;
+    normalized.endAt = null;
+    return normalized;
+  }
+
+  // Trinity-style assignments showed a time taken from the title next to a date-only DTSTART
+  const titleTime = event.trinityFormat && extractedTime ? combineDateAndTime(event.dueRaw, extractedTime) : null;
+  normalized.allDay = !titleTime && isAllDayValues([event.startRaw, event.dueRaw, event.endRaw]);
+  normalized.startAt = toStoredTime(event.startRaw, startTimestamp, normalized.allDay);
+  normalized.endAt = toStoredTime(event.endRaw, endTimestamp, normalized.allDay);
+  normalized.dueAt = titleTime || toStoredTime(event.dueRaw, dueTimestamp, normalized.allDay);
+  if (completedRaw) {
+    normalized.completedAt = toStoredTime(completedRaw, null, false);
+  }
+  return normalized;
+}
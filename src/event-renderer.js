@@ -1,8 +1,9 @@
 // Event Renderer - Handles creating event card elements and animations
 
-import { escapeHtml, linkifyText, getCleanTitle, getCourseName } from './utils.js';
-import { ICalParser } from './ical-parser.js';
+import { escapeHtml, linkifyText, getCleanTitle, getCourseName, isCancelledEvent, isTentativeEvent } from './utils.js';
+import { formatEventTime, getEventTime } from './event-model.js';
 import { ASSIGNMENT_KEYWORDS } from './constants.js';
+import { formatLeadTime } from './reminder-scheduler.js';
 
 export class EventRenderer {
   constructor(options = {}) {
@@ -11,12 +12,17 @@ export class EventRenderer {
     this.onTogglePin = options.onTogglePin || (() => {});
     this.onSetReminder = options.onSetReminder || (() => {});
     this.onClearReminder = options.onClearReminder || (() => {});
+    this.onOpenReminderPicker = options.onOpenReminderPicker || (() => {});
     this.getSubjectFromTitle = options.getSubjectFromTitle || (() => null);
     this.getAssignmentReminderStatus = options.getAssignmentReminderStatus || (() => Promise.resolve({ hasReminder: false }));
+    this.getFeedForEvent = options.getFeedForEvent || (() => null);
+    this.onOpenRefreshChanges = options.onOpenRefreshChanges || (() => {});
+    this.showSource = options.showSource || false;
     this.pinnedAssignments = options.pinnedAssignments || {};
     this.sidebarEnabled = options.sidebarEnabled || false;
     this.themeManager = options.themeManager || null;
     this.toastTimeout = null;
+    this.toastOpensChanges = false; // Whether clicking the toast opens the "What changed" panel
     this.activeMenu = null; // Track currently open menu
 
     // Close menu when clicking outside
@@ -126,6 +132,12 @@ export class EventRenderer {
       dropdown.appendChild(pinItem);
     }
 
+    // Cancelled events don't need reminders
+    if (isCancelledEvent(event)) {
+      this.openDropdown(menuContainer, dropdown, eventDiv);
+      return;
+    }
+
     // Divider
     const divider = document.createElement('div');
     divider.className = 'action-dropdown-divider';
@@ -138,9 +150,10 @@ export class EventRenderer {
 
     if (reminderStatus.hasReminder) {
       // Show when reminder is set
-      const reminderTime = new Date(reminderStatus.reminderTime);
-      const timeStr = reminderTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-      reminderItem.innerHTML = `<span class="submenu-arrow">◂</span> <span class="action-icon">🔔</span> Reminder at ${timeStr}`;
+      const label = reminderStatus.offsetMs
+        ? `Reminder ${formatLeadTime(reminderStatus.offsetMs)} before due`
+        : `Reminder at ${this.formatReminderTime(reminderStatus.reminderTime)}`;
+      reminderItem.innerHTML = `<span class="submenu-arrow">◂</span> <span class="action-icon">🔔</span> ${escapeHtml(label)}`;
     } else {
       reminderItem.innerHTML = '<span class="submenu-arrow">◂</span> <span class="action-icon">⏰</span> Set Reminder';
     }
@@ -168,13 +181,14 @@ export class EventRenderer {
       submenu.appendChild(subDivider);
     }
 
-    // Preset options
+    // Preset options (ones that would go off after an upcoming due time are left out)
+    const dueAt = getEventTime(event);
     const presets = [
       { label: '1 hour', hours: 1 },
       { label: '2 hours', hours: 2 },
       { label: '4 hours', hours: 4 },
       { label: 'Tomorrow', hours: 24 }
-    ];
+    ].filter(preset => dueAt <= Date.now() || Date.now() + preset.hours * 60 * 60 * 1000 < dueAt);
 
     presets.forEach(preset => {
       const presetItem = document.createElement('button');
@@ -189,9 +203,44 @@ export class EventRenderer {
       submenu.appendChild(presetItem);
     });
 
+    // Exact date/time or a time before due
+    const pickItem = document.createElement('button');
+    pickItem.type = 'button';
+    pickItem.className = 'action-dropdown-item';
+    pickItem.textContent = 'Pick a time…';
+    pickItem.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.closeActiveMenu();
+      this.onOpenReminderPicker(event);
+    });
+    submenu.appendChild(pickItem);
+
     reminderItem.appendChild(submenu);
     dropdown.appendChild(reminderItem);
 
+    this.openDropdown(menuContainer, dropdown, eventDiv);
+  }
+
+  /**
+   * Format a reminder time ("3:00 PM" today, or "Sun, Jan 19, 6:00 PM" on another day)
+   * @param {number} time - Epoch ms
+   * @returns {string} Formatted time
+   */
+  formatReminderTime(time) {
+    const date = new Date(time);
+    const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return timeStr;
+    const dayStr = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    return `${dayStr}, ${timeStr}`;
+  }
+
+  /**
+   * Show a built action dropdown under its menu button
+   * @param {HTMLElement} menuContainer - The menu container element
+   * @param {HTMLElement} dropdown - The dropdown element
+   * @param {HTMLElement} eventDiv - The event card element
+   */
+  openDropdown(menuContainer, dropdown, eventDiv) {
     // Add dropdown to container
     menuContainer.appendChild(dropdown);
     menuContainer.classList.add('menu-open');
@@ -246,6 +295,12 @@ export class EventRenderer {
     if (event.isInProgress) {
       eventDiv.classList.add('in-progress');
     }
+    const isCancelled = isCancelledEvent(event);
+    if (isCancelled) {
+      eventDiv.classList.add('cancelled');
+    } else if (isTentativeEvent(event)) {
+      eventDiv.classList.add('tentative');
+    }
 
     // Apply subject color if available
     const subjectTag = this.getSubjectFromTitle(event.title);
@@ -282,7 +337,15 @@ export class EventRenderer {
       titleHtml += ` <span style="font-size: 11px; color: #6b7280;">(${event.percentComplete}%)</span>`;
     }
 
-    titleDiv.innerHTML = `<span class="title-text">${titleHtml}</span>`;
+    // Badge for events the calendar marks as cancelled or not yet confirmed
+    let statusBadge = '';
+    if (isCancelled) {
+      statusBadge = ' <span class="event-status-badge cancelled">Cancelled</span>';
+    } else if (isTentativeEvent(event)) {
+      statusBadge = ' <span class="event-status-badge tentative" title="Not confirmed yet">Tentative</span>';
+    }
+
+    titleDiv.innerHTML = `<span class="title-text">${titleHtml}</span>${statusBadge}`;
     if (event.isCompleted) {
       titleDiv.classList.add('title-completed');
     }
@@ -315,15 +378,14 @@ export class EventRenderer {
     let html = '<div class="event-details">';
 
     // Show DUE date if available
-    if (event.dueTime) {
-      const isOverdue = !event.isCompleted && event.dueRaw &&
-                       ICalParser.iCalDateToTimestamp(event.dueRaw) < Date.now();
+    if (event.dueAt !== null && event.dueAt !== undefined) {
+      const isOverdue = !event.isCompleted && !isCancelled && getEventTime(event) < Date.now();
       const dueStyle = isOverdue ? 'color: #f59e0b; font-weight: 600;' : 'color: var(--text); font-weight: 600;';
       const dueLabel = isOverdue ? 'Past due:' : 'Due:';
 
       html += `<div class="event-detail">
         <span class="event-detail-label">${dueLabel}</span>
-        <span class="event-detail-value" style="${dueStyle}">${event.dueTime}</span>
+        <span class="event-detail-value" style="${dueStyle}">${escapeHtml(formatEventTime(event.dueAt, event.allDay))}</span>
       </div>`;
     }
 
@@ -335,6 +397,15 @@ export class EventRenderer {
       </div>`;
     }
 
+    // Show which calendar the event came from when several are subscribed
+    const feed = this.showSource ? this.getFeedForEvent(event) : null;
+    if (feed) {
+      html += `<div class="event-detail">
+        <span class="event-detail-label">Calendar:</span>
+        <span class="event-detail-value"><span class="event-source-dot" style="background: ${escapeHtml(feed.color)};"></span>${escapeHtml(feed.name)}</span>
+      </div>`;
+    }
+
     // Show in-progress status if set
     if (event.isInProgress && event.inProgressDate) {
       const inProgressDate = new Date(event.inProgressDate);
@@ -344,7 +415,7 @@ export class EventRenderer {
       });
       html += `<div class="event-detail">
         <span class="event-detail-label">Status:</span>
-        <span class="event-detail-value" style="color: #f59e0b;">◐ In progress since ${formattedDate}</span>
+        <span class="event-detail-value" style="color: #f59e0b;">◐ In progress since ${formattedDate}${event.statusSource === 'feed' ? ' (from calendar)' : ''}</span>
       </div>`;
     }
 
@@ -360,7 +431,7 @@ export class EventRenderer {
       });
       html += `<div class="event-detail">
         <span class="event-detail-label">Completed:</span>
-        <span class="event-detail-value" style="color: #10b981;">✓ ${formattedDate}</span>
+        <span class="event-detail-value" style="color: #10b981;">✓ ${formattedDate}${event.statusSource === 'feed' ? ' (from calendar)' : ''}</span>
       </div>`;
     }
 
@@ -477,7 +548,13 @@ export class EventRenderer {
     const toast = document.getElementById('refreshToast');
     if (!toast || toast.dataset.clickHandlerSet) return;
     toast.dataset.clickHandlerSet = 'true';
-    toast.addEventListener('click', () => this.hideToast());
+    toast.addEventListener('click', () => {
+      this.hideToast();
+      if (this.toastOpensChanges) {
+        this.toastOpensChanges = false;
+        this.onOpenRefreshChanges();
+      }
+    });
   }
 
   /**
@@ -489,6 +566,7 @@ export class EventRenderer {
     if (!toast || !message) return;
 
     this.setupToastClickHandler();
+    this.toastOpensChanges = false;
     toast.textContent = message;
     toast.classList.remove('hidden');
     toast.classList.add('visible');
@@ -509,8 +587,14 @@ export class EventRenderer {
     if (!toast || !summary) return;
 
     this.setupToastClickHandler();
-    const { added = 0, updated = 0, removed = 0, timestamp } = summary;
-    toast.textContent = `+${added} added, ${updated} updated, ${removed} removed`;
+    const { added = 0, updated = 0, removed = 0, moved = 0, renamed = 0 } = summary;
+    const parts = [`+${added} added`, `${updated} updated`];
+    if (moved > 0) parts.push(`${moved} moved`);
+    if (renamed > 0) parts.push(`${renamed} renamed`);
+    parts.push(`${removed} removed`);
+    // Refreshes that changed something are listed in the "What changed" panel
+    this.toastOpensChanges = added + updated + removed + moved + renamed > 0;
+    toast.textContent = parts.join(', ') + (this.toastOpensChanges ? ' · See what changed' : '');
     toast.classList.remove('hidden');
     toast.classList.add('visible');
 
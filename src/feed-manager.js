@@ -0,0 +1,205 @@
+// Feed Manager - Handles the list of subscribed calendar feeds
+
+import { DEFAULT_FEED_ID, FEED_COLORS } from './constants.js';
+import { getEventId } from './utils.js';
+import { syncReminders } from './reminder-scheduler.js';
+
+/**
+ * Get a readable default name for a feed from its URL
+ * @param {string} url - The iCal URL
+ * @returns {string} Host name of the feed, or "Calendar" if the URL can't be parsed
+ */
+export function getDefaultFeedName(url) {
+  try {
+    return new URL(url.replace(/^webcals?:\/\//, 'https://')).hostname.replace(/^www\./, '');
+  } catch {
+    return 'Calendar';
+  }
+}
+
+/**
+ * Get the ID of the feed an event came from
+ * Events saved before multiple feeds existed have no source and belong to the default feed
+ * @param {Object} event - The event
+ * @returns {string|null} Feed ID, or null for custom assignments
+ */
+export function getEventSource(event) {
+  if (event.isCustom || (event.uid && event.uid.startsWith('custom_'))) return null;
+  return event.source || DEFAULT_FEED_ID;
+}
+
+/**
+ * Load the feed list (the original single `icalUrl` is moved into it by the schema migrations)
+ * @returns {Promise<Array<{id: string, name: string, url: string, color: string, enabled: boolean, lastRefresh: Object|null}>>}
+ */
+export async function loadFeeds() {
+  const data = await chrome.storage.local.get(['feeds']);
+  return Array.isArray(data.feeds) ? data.feeds : [];
+}
+
+/**
+ * Save the feed list
+ * @param {Array} feeds - Feeds to save
+ */
+export async function saveFeeds(feeds) {
+  await chrome.storage.local.set({ feeds });
+}
+
+/**
+ * Record the result of refreshing feeds
+ * Re-reads the feed list so renames made during a refresh aren't overwritten
+ * @param {Object} statusByFeed - Map of feed ID to {status, error, timestamp, eventCount}
+ * @param {Object} [cacheByFeed] - Map of feed ID to {etag, lastModified, contentHash, parsedAt}
+ */
+export async function setFeedRefreshStatus(statusByFeed, cacheByFeed = {}) {
+  const feeds = await loadFeeds();
+  feeds.forEach(feed => {
+    if (statusByFeed[feed.id]) {
+      feed.lastRefresh = statusByFeed[feed.id];
+    }
+    if (cacheByFeed[feed.id]) {
+      feed.cache = cacheByFeed[feed.id];
+    }
+  });
+  await saveFeeds(feeds);
+}
+
+/**
+ * Subscribe to a feed (returns the existing feed if the URL is already subscribed)
+ * @param {{url: string, name?: string, color?: string}} options - Feed details
+ * @returns {Promise<{feeds: Array, feed: Object}>}
+ */
+export async function addFeed({ url, name, color }) {
+  const feeds = await loadFeeds();
+  const existing = feeds.find(f => f.url === url);
+  if (existing) {
+    return { feeds, feed: existing };
+  }
+
+  const usedColors = new Set(feeds.map(f => f.color));
+  const feed = {
+    id: `feed_${Date.now()}`,
+    name: (name || '').trim() || getDefaultFeedName(url),
+    url,
+    color: color || FEED_COLORS.find(c => !usedColors.has(c)) || FEED_COLORS[feeds.length % FEED_COLORS.length],
+    enabled: true,
+    lastRefresh: null
+  };
+  feeds.push(feed);
+  await saveFeeds(feeds);
+  return { feeds, feed };
+}
+
+/**
+ * Create a static feed for an imported .ics file or pasted calendar text
+ * Static feeds have no URL and are skipped by refreshes, so their events are kept as imported
+ * (returns the existing static feed if one already has this name, so re-importing replaces it)
+ * @param {string} name - Display name (usually the file name)
+ * @returns {Promise<{feeds: Array, feed: Object}>}
+ */
+export async function addStaticFeed(name) {
+  const feeds = await loadFeeds();
+  const feedName = (name || '').trim() || 'Imported calendar';
+  const existing = feeds.find(f => f.type === 'static' && f.name === feedName);
+  if (existing) {
+    return { feeds, feed: existing };
+  }
+
+  const usedColors = new Set(feeds.map(f => f.color));
+  const feed = {
+    id: `feed_${Date.now()}`,
+    name: feedName,
+    url: null,
+    type: 'static',
+    color: FEED_COLORS.find(c => !usedColors.has(c)) || FEED_COLORS[feeds.length % FEED_COLORS.length],
+    enabled: true,
+    lastRefresh: null
+  };
+  feeds.push(feed);
+  await saveFeeds(feeds);
+  return { feeds, feed };
+}
+
+/**
+ * Check whether a feed was imported from a file or pasted text rather than subscribed by URL
+ * @param {Object} feed - The feed
+ * @returns {boolean} True for static feeds
+ */
+export function isStaticFeed(feed) {
+  return feed.type === 'static';
+}
+
+/**
+ * Update a feed's name, color, URL or enabled flag
+ * @param {string} feedId - The feed ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Array>} Updated feed list
+ */
+export async function updateFeed(feedId, changes) {
+  const feeds = await loadFeeds();
+  const feed = feeds.find(f => f.id === feedId);
+  if (feed) {
+    // A new URL is a different calendar: the last refresh result and the old URL's
+    // validators and content hash no longer apply
+    if (changes.url !== undefined && changes.url !== feed.url) {
+      feed.lastRefresh = null;
+      feed.cache = null;
+    }
+    Object.assign(feed, changes);
+    await saveFeeds(feeds);
+  }
+  return feeds;
+}
+
+/**
+ * Unsubscribe from a feed, removing its events and their saved status, pins, day order and reminders
+ * @param {string} feedId - The feed ID
+ * @returns {Promise<{feeds: Array, removed: number}>}
+ */
+export async function removeFeed(feedId) {
+  const feeds = (await loadFeeds()).filter(f => f.id !== feedId);
+  const data = await chrome.storage.local.get([
+    'events',
+    'completedAssignments',
+    'inProgressAssignments',
+    'pinnedAssignments',
+    'eventOrder'
+  ]);
+  const completedAssignments = data.completedAssignments || {};
+  const inProgressAssignments = data.inProgressAssignments || {};
+  const pinnedAssignments = data.pinnedAssignments || {};
+  const eventOrder = data.eventOrder || {};
+
+  const events = [];
+  const removedIds = new Set();
+  let removed = 0;
+  (data.events || []).forEach(ev => {
+    if (getEventSource(ev) !== feedId) {
+      events.push(ev);
+      return;
+    }
+    const id = getEventId(ev);
+    delete completedAssignments[id];
+    delete inProgressAssignments[id];
+    delete pinnedAssignments[id];
+    removedIds.add(id);
+    removed++;
+  });
+
+  Object.keys(eventOrder).forEach(dateKey => {
+    eventOrder[dateKey] = eventOrder[dateKey].filter(id => !removedIds.has(id));
+    if (eventOrder[dateKey].length === 0) delete eventOrder[dateKey];
+  });
+
+  await chrome.storage.local.set({
+    feeds,
+    events,
+    completedAssignments,
+    inProgressAssignments,
+    pinnedAssignments,
+    eventOrder
+  });
+  // Reminders for the feed's events would otherwise still go off
+  await syncReminders();
+  return { feeds, removed };
+}
@@ -1,57 +1,387 @@
 // iCal Parser - Handles parsing of iCal/ICS calendar files
 
+import { parseVTimezone, zonedTimeToTimestamp } from './timezone.js';
+import { expandRRule, parseRRule } from './recurrence.js';
+import { fieldsFromWallClockMs, formatDateFields, parseDateFields, parseDuration, wallClockMs } from './utils.js';
+import { RECURRENCE_WINDOW_DAYS } from './constants.js';
+import { combineDateAndTime, getEventTime, isAllDayValues, toStoredTime } from './event-model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 export class ICalParser {
   /**
    * Parse iCal content from a string
+   * Recurring events are expanded into one event per occurrence inside a rolling window
    * @param {string} icalContent - The iCal file content
+   * @param {Object} [options]
+   * @param {number} [options.now] - Reference time for the recurrence window (defaults to now)
    * @returns {Array} Array of event objects
    */
-  static parseICalContent(icalContent) {
+  static parseICalContent(icalContent, options = {}) {
     const events = [];
+    const root = this.parseComponents(icalContent);
+
+    // Collect VTIMEZONE definitions so TZID parameters can be resolved
+    const timezones = {};
+    this.findComponents(root, 'VTIMEZONE').forEach(component => {
+      const timezone = parseVTimezone(component);
+      if (timezone) {
+        timezones[timezone.tzid] = timezone;
+      }
+    });
 
-    // Split by VEVENT
-    const eventRegex = /BEGIN:VEVENT([\s\S]*?)END:VEVENT/g;
-    let eventMatch;
+    const now = options.now || Date.now();
+    const window = {
+      windowStart: now - RECURRENCE_WINDOW_DAYS.past * DAY_MS,
+      windowEnd: now + RECURRENCE_WINDOW_DAYS.future * DAY_MS
+    };
+
+    // Components with a RECURRENCE-ID replace a single occurrence of their series,
+    // so they are set aside until the series they belong to is expanded
+    const overrides = new Map();
+    const seriesStartKeys = new Map();
+    const parsed = [];
+
+    // VTODOs (task feeds) are parsed alongside VEVENTs into the same event model
+    const components = [...this.findComponents(root, 'VEVENT'), ...this.findComponents(root, 'VTODO')];
+
+    components.forEach(component => {
+      const event = this.parseEvent(component, timezones);
+      if (!event) return;
+
+      const recurrenceIdProp = this.getProperty(component, 'RECURRENCE-ID');
+      if (recurrenceIdProp && event.uid) {
+        event.recurrenceId = this.getOccurrenceKey(recurrenceIdProp.value);
+        overrides.set(`${event.uid}|${this.resolveTimestamp(recurrenceIdProp, timezones)}`, event);
+        return;
+      }
 
-    while ((eventMatch = eventRegex.exec(icalContent)) !== null) {
-      const eventData = eventMatch[1];
-      const event = this.parseEvent(eventData);
-      if (event) {
+      if (event.uid && event.startRaw) {
+        seriesStartKeys.set(event.uid, this.getOccurrenceKey(event.startRaw));
+      }
+      parsed.push({ component, event });
+    });
+
+    parsed.forEach(({ component, event }) => {
+      if (event.rrule || this.getProperty(component, 'RDATE')) {
+        events.push(...this.expandRecurringEvent(component, event, timezones, overrides, window));
+      } else {
         events.push(event);
       }
-    }
+    });
+
+    // Overrides whose original occurrence wasn't generated (e.g. moved into the window)
+    overrides.forEach(override => {
+      const timestamp = getEventTime(override);
+      if (timestamp >= window.windowStart && timestamp <= window.windowEnd) {
+        events.push({
+          ...override,
+          uid: this.getOccurrenceUid(override.uid, seriesStartKeys.get(override.uid), override.recurrenceId),
+          seriesUid: override.uid
+        });
+      }
+    });
 
     return events;
   }
 
   /**
-   * Parse individual event data
-   * @param {string} eventData - The event data block
+   * Expand a recurring event (RRULE and/or RDATE) into one event per occurrence
+   * EXDATE removes occurrences and RECURRENCE-ID overrides replace them
+   * @param {Object} component - The series' VEVENT/VTODO component
+   * @param {Object} event - The series event parsed by parseEvent
+   * @param {Object} timezones - Map of TZID to VTIMEZONE definitions
+   * @param {Map} overrides - Override events keyed by "uid|originalTimestamp" (consumed entries are removed)
+   * @param {{windowStart: number, windowEnd: number}} window - Occurrence window (ms since epoch)
+   * @returns {Array} Occurrence events
+   */
+  static expandRecurringEvent(component, event, timezones, overrides, window) {
+    const startProp = this.getProperty(component, 'DTSTART');
+    const start = startProp ? parseDateFields(startProp.value) : null;
+    if (!start) return [event];
+
+    const toTimestamp = (fields) => this.resolveTimestamp({ params: startProp.params, value: formatDateFields(fields) }, timezones);
+    const inWindow = (timestamp) => timestamp >= window.windowStart && timestamp <= window.windowEnd;
+
+    // DTSTART is always the first occurrence, with or without a rule
+    const rule = parseRRule(event.rrule);
+    const occurrences = rule
+      ? expandRRule(start, rule, { ...window, toTimestamp })
+      : [{ fields: start, timestamp: toTimestamp(start) }].filter(occ => inWindow(occ.timestamp));
+
+    // RDATE adds occurrences (PERIOD values contribute their start)
+    this.getProperties(component, 'RDATE').forEach(prop => {
+      prop.value.split(',').forEach(value => {
+        const fields = parseDateFields(value.split('/')[0]);
+        if (!fields) return;
+        const timestamp = this.resolveTimestamp({ params: prop.params, value: formatDateFields(fields) }, timezones);
+        if (inWindow(timestamp)) {
+          occurrences.push({ fields, timestamp });
+        }
+      });
+    });
+
+    // EXDATE removes occurrences; a date-only EXDATE removes that whole day
+    const excludedTimestamps = new Set();
+    const excludedDays = new Set();
+    this.getProperties(component, 'EXDATE').forEach(prop => {
+      prop.value.split(',').forEach(value => {
+        const fields = parseDateFields(value);
+        if (!fields) return;
+        if (fields.isDate && !start.isDate) {
+          excludedDays.add(formatDateFields(fields));
+        } else {
+          excludedTimestamps.add(this.resolveTimestamp({ params: prop.params, value: formatDateFields(fields) }, timezones));
+        }
+      });
+    });
+
+    const seen = new Set();
+    const seriesKey = this.getOccurrenceKey(event.startRaw);
+
+    return occurrences
+      .filter(occ => {
+        if (seen.has(occ.timestamp)) return false;
+        seen.add(occ.timestamp);
+        return !excludedTimestamps.has(occ.timestamp) &&
+               !excludedDays.has(formatDateFields({ ...occ.fields, isDate: true }));
+      })
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(occ => {
+        const key = formatDateFields(occ.fields);
+        const uid = this.getOccurrenceUid(event.uid, seriesKey, key);
+
+        const overrideKey = `${event.uid}|${occ.timestamp}`;
+        if (event.uid && overrides.has(overrideKey)) {
+          const override = overrides.get(overrideKey);
+          overrides.delete(overrideKey);
+          return { ...override, uid, seriesUid: event.uid, recurrenceId: key };
+        }
+
+        return this.createOccurrence(component, event, start, occ, timezones, { uid, seriesUid: event.uid, recurrenceId: key });
+      });
+  }
+
+  /**
+   * Build one occurrence of a series, shifting DTEND and DUE by the same amount as DTSTART
+   * @param {Object} component - The series' VEVENT/VTODO component
+   * @param {Object} event - The series event
+   * @param {Object} start - The series' DTSTART fields
+   * @param {{fields: Object, timestamp: number}} occ - The occurrence start
+   * @param {Object} timezones - Map of TZID to VTIMEZONE definitions
+   * @param {Object} identity - uid, seriesUid and recurrenceId for the occurrence
+   * @returns {Object} Occurrence event
+   */
+  static createOccurrence(component, event, start, occ, timezones, identity) {
+    const occurrence = { ...event, ...identity };
+    const wallDelta = wallClockMs(occ.fields) - wallClockMs(start);
+
+    const shift = (prop) => {
+      const fields = parseDateFields(prop.value);
+      const raw = formatDateFields(fieldsFromWallClockMs(wallClockMs(fields) + wallDelta, fields));
+      return { raw, timestamp: this.resolveTimestamp({ params: prop.params, value: raw }, timezones) };
+    };
+
+    const occStart = { raw: formatDateFields(occ.fields), timestamp: occ.timestamp };
+    const endProp = this.getProperty(component, 'DTEND');
+    const occEnd = endProp ? shift(endProp) : null;
+    const dueProp = this.getProperty(component, 'DUE') || this.getProperty(component, 'DTDUE');
+
+    occurrence.startRaw = occStart.raw;
+    occurrence.endRaw = occEnd ? occEnd.raw : null;
+    if (dueProp) {
+      const occDue = shift(dueProp);
+      occurrence.dueRaw = occDue.raw;
+      this.setEventTimes(occurrence, { start: occStart, due: occDue, end: occEnd });
+    } else if (event.trinityFormat) {
+      occurrence.dueRaw = occStart.raw;
+      this.setEventTimes(occurrence, { start: occStart, due: occStart, end: occEnd, dueTimeOfDay: this.extractTitleTime(event.title) });
+    } else {
+      this.setEventTimes(occurrence, { start: occStart, due: null, end: occEnd });
+    }
+
+    return occurrence;
+  }
+
+  /**
+   * Normalize a date/date-time value into the key used to identify an occurrence
+   * @param {string} value - Raw iCal value
+   * @returns {string} Normalized value (e.g. "20250110T090000")
+   */
+  static getOccurrenceKey(value) {
+    const fields = parseDateFields(value);
+    return fields ? formatDateFields(fields) : (value || '').trim();
+  }
+
+  /**
+   * Get the stable UID of one occurrence of a series
+   * The first occurrence keeps the series UID so status saved before expansion still applies
+   * @param {string|null} seriesUid - UID of the series
+   * @param {string} seriesKey - Occurrence key of the series' DTSTART
+   * @param {string} key - Occurrence key of this occurrence
+   * @returns {string|null} Occurrence UID
+   */
+  static getOccurrenceUid(seriesUid, seriesKey, key) {
+    if (!seriesUid) return null;
+    return key === seriesKey ? seriesUid : `${seriesUid}_${key}`;
+  }
+
+  /**
+   * Unfold content lines (RFC 5545 section 3.1)
+   * A line starting with a space or tab is a continuation of the previous line
+   * @param {string} icalContent - The raw iCal content
+   * @returns {Array<string>} Unfolded, non-empty content lines
+   */
+  static unfoldLines(icalContent) {
+    return (icalContent || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim() !== '');
+  }
+
+  /**
+   * Split a content line into its name, parameters and value
+   * Format: NAME *(";" PARAM "=" PARAM-VALUE) ":" VALUE
+   * Quoted parameter values may contain ":", ";" and ","
+   * @param {string} line - An unfolded content line
+   * @returns {{name: string, params: Object, value: string}|null} Parsed property or null if malformed
+   */
+  static parseContentLine(line) {
+    const segments = [];
+    let segmentStart = 0;
+    let valueStart = -1;
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && ch === ';') {
+        segments.push(line.substring(segmentStart, i));
+        segmentStart = i + 1;
+      } else if (!inQuotes && ch === ':') {
+        segments.push(line.substring(segmentStart, i));
+        valueStart = i + 1;
+        break;
+      }
+    }
+
+    if (valueStart === -1) return null;
+
+    const [name, ...rawParams] = segments;
+    if (!name || !name.trim()) return null;
+
+    const params = {};
+    rawParams.forEach(rawParam => {
+      const eqIdx = rawParam.indexOf('=');
+      if (eqIdx === -1) return;
+      const key = rawParam.substring(0, eqIdx).trim().toUpperCase();
+      // Strip the quotes around each value (multi-valued params are comma separated)
+      params[key] = rawParam.substring(eqIdx + 1).replace(/"([^"]*)"/g, '$1');
+    });
+
+    return {
+      name: name.trim().toUpperCase(),
+      params,
+      value: line.substring(valueStart)
+    };
+  }
+
+  /**
+   * Tokenize iCal content into a component tree
+   * @param {string} icalContent - The iCal file content
+   * @returns {{name: string, properties: Array, components: Array}} Root component
+   */
+  static parseComponents(icalContent) {
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+
+    this.unfoldLines(icalContent).forEach(line => {
+      const property = this.parseContentLine(line);
+      if (!property) return;
+
+      const current = stack[stack.length - 1];
+      const componentName = property.value.trim().toUpperCase();
+
+      if (property.name === 'BEGIN') {
+        const component = { name: componentName, properties: [], components: [] };
+        current.components.push(component);
+        stack.push(component);
+      } else if (property.name === 'END') {
+        // Tolerate unbalanced feeds: close up to the matching BEGIN if there is one
+        const matchIdx = stack.map(c => c.name).lastIndexOf(componentName);
+        if (matchIdx > 0) {
+          stack.length = matchIdx;
+        }
+      } else {
+        current.properties.push(property);
+      }
+    });
+
+    return root;
+  }
+
+  /**
+   * Find all components with the given name anywhere in a component tree
+   * @param {Object} component - Component to search
+   * @param {string} name - Component name (e.g. "VEVENT")
+   * @returns {Array} Matching components in document order
+   */
+  static findComponents(component, name) {
+    const found = [];
+    (component.components || []).forEach(child => {
+      if (child.name === name) {
+        found.push(child);
+      }
+      found.push(...this.findComponents(child, name));
+    });
+    return found;
+  }
+
+  /**
+   * Get the first property with the given name
+   * @param {Object} component - Component to read from
+   * @param {string} name - Property name
+   * @returns {{name: string, params: Object, value: string}|null} Property or null
+   */
+  static getProperty(component, name) {
+    return component.properties.find(p => p.name === name) || null;
+  }
+
+  /**
+   * Get all properties with the given name
+   * @param {Object} component - Component to read from
+   * @param {string} name - Property name
+   * @returns {Array} Matching properties
+   */
+  static getProperties(component, name) {
+    return component.properties.filter(p => p.name === name);
+  }
+
+  /**
+   * Parse an individual event component
+   * @param {Object} component - A VEVENT or VTODO component from parseComponents
+   * @param {Object} [timezones] - Map of TZID to VTIMEZONE definitions in the feed
    * @returns {Object} Parsed event object
    */
-  static parseEvent(eventData) {
+  static parseEvent(component, timezones = {}) {
     const event = {};
+    event.componentType = component.name;
+
+    // Keep the parameters of each property (TZID, VALUE, ALTREP, CN, ...) for consumers
+    event.params = {};
+    component.properties.forEach(property => {
+      if (!event.params[property.name] && Object.keys(property.params).length > 0) {
+        event.params[property.name] = property.params;
+      }
+    });
 
-    // Extract SUMMARY (title) - handle folded lines (lines that start with a space are continuations)
-    let match = eventData.match(/SUMMARY:(.+?)(?=\r?\n[A-Z-]+:|$)/s);
-    if (match) {
-      // Handle folded lines (lines that start with a space or tab are continuations)
-      let title = match[1].replace(/\r?\n[ \t]/g, '');
+    // Extract SUMMARY (title)
+    let prop = this.getProperty(component, 'SUMMARY');
+    if (prop && prop.value.trim()) {
       // Decode HTML entities in titles (including numeric entities for accented chars)
-      title = title.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
-      title = title.replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCharCode(parseInt(code, 16)));
-      title = title.replace(/&amp;/g, '&')
-                   .replace(/&lt;/g, '<')
-                   .replace(/&gt;/g, '>')
-                   .replace(/&quot;/g, '"')
-                   .replace(/&#39;/g, "'")
-                   .replace(/&nbsp;/g, ' ')
-                   .replace(/&ndash;/g, '–')
-                   .replace(/&mdash;/g, '—')
-                   .replace(/&ldquo;/g, '"')
-                   .replace(/&rdquo;/g, '"')
-                   .replace(/&lsquo;/g, "'")
-                   .replace(/&rsquo;/g, "'");
+      const title = this.decodeHtmlEntities(prop.value);
       event.title = this.decodeText(title.trim());
       event.title = event.title.replace(/\s+\d+$/, '').trim(); // Trim trailing numeric suffixes
     } else {
@@ -64,143 +394,94 @@ export class ICalParser {
     // 3. Has high priority (PRIORITY:3 or lower in iCal = high priority)
     const hasKeywords = /\b(due|assignment|homework|test|quiz|exam|project|paper|lab|presentation|read|watch|complete|finish|study)\b/i.test(event.title);
     const hasClassPrefix = /^(?:ADV\.\s+)?[A-Z][A-Z0-9\s:\/]+-\s*[A-Z0-9]+:/i.test(event.title);
-    event.isAssignment = hasKeywords || hasClassPrefix;
+    // Every VTODO is a task, whatever its title says
+    event.isAssignment = hasKeywords || hasClassPrefix || component.name === 'VTODO';
 
     // Try to extract time from the title if it contains "due" info
-    if (event.isAssignment && event.title) {
-      // Look for time patterns like "8:55 a.m.", "11:59 PM", "9am", etc.
-      const timeMatch = event.title.match(/(\d{1,2}:\d{2}\s*[ap]\.?m\.?|\d{1,2}\s*[ap]\.?m\.?)/i);
-      if (timeMatch) {
-        event.extractedTime = timeMatch[1];
-      }
-    }
+    const extractedTime = event.isAssignment ? this.extractTitleTime(event.title) : null;
 
-    // Extract DESCRIPTION - handle multi-line descriptions properly
-    match = eventData.match(/DESCRIPTION:(.+?)(?=\r?\n[A-Z-]+:|$)/s);
-    if (match) {
-      // Handle folded lines (lines that start with a space or tab are continuations)
-      let description = match[1].replace(/\r?\n[ \t]/g, '');
+    // Extract DESCRIPTION
+    prop = this.getProperty(component, 'DESCRIPTION');
+    if (prop) {
       // Decode HTML entities (including numeric entities for accented chars)
-      description = description.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
-      description = description.replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCharCode(parseInt(code, 16)));
-      description = description.replace(/&amp;/g, '&')
-                              .replace(/&lt;/g, '<')
-                              .replace(/&gt;/g, '>')
-                              .replace(/&quot;/g, '"')
-                              .replace(/&#39;/g, "'")
-                              .replace(/&nbsp;/g, ' ')
-                              .replace(/&ndash;/g, '–')
-                              .replace(/&mdash;/g, '—')
-                              .replace(/&ldquo;/g, '"')
-                              .replace(/&rdquo;/g, '"')
-                              .replace(/&lsquo;/g, "'")
-                              .replace(/&rsquo;/g, "'");
+      const description = this.decodeHtmlEntities(prop.value);
       event.description = this.decodeText(description.trim());
     }
 
-    // Extract LOCATION - handle folded lines
-    match = eventData.match(/LOCATION:(.+?)(?=\r?\n[A-Z-]+:|$)/s);
-    if (match) {
-      let location = match[1].replace(/\r?\n[ \t]/g, '');
-      event.location = this.decodeText(location.trim());
-    } else {
-      event.location = null;
-    }
-
-    // Extract DTSTART (start time)
-    match = eventData.match(/DTSTART(?:;TZID=[^:]*)?(?:;VALUE=DATE)?:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      const rawStart = match[1].trim();
-      event.startRaw = rawStart; // keep raw value for sorting
-      event.startTime = this.formatDateTime(rawStart);
-    } else {
-      event.startRaw = null;
-      event.startTime = null;
-    }
-
-    // Extract DUE date (for tasks/todos) - check both DUE and DTDUE
-    match = eventData.match(/(?:DUE|DTDUE)(?:;TZID=[^:]*)?:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      const rawDue = match[1].trim();
-      event.dueRaw = rawDue; // keep raw value for sorting
-      event.dueTime = this.formatDateTime(rawDue);
-    } else {
-      // For Trinity School format: if this is an assignment, use DTSTART as the due date
-      if (event.isAssignment && event.startRaw) {
-        event.dueRaw = event.startRaw;
-
-        // If we extracted a time from the title, try to combine it with the date
-        if (event.extractedTime && event.startRaw) {
-          // Handle date-only format (YYYYMMDD) and add the extracted time
-          const dateStr = event.startRaw.replace(/[^\d]/g, '').substring(0, 8);
-          event.dueTime = this.formatDateTimeWithExtractedTime(dateStr, event.extractedTime);
-        } else {
-          event.dueTime = event.startTime;
-        }
-
-        // Mark that this is a Trinity-style assignment
-        event.trinityFormat = true;
-      } else {
-        event.dueRaw = null;
-        event.dueTime = null;
-      }
-    }
-
-    // Extract DTEND (end time)
-    match = eventData.match(/DTEND(?:;TZID=[^:]*)?(?:;VALUE=DATE)?:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      const rawEnd = match[1].trim();
-      event.endRaw = rawEnd;
-      event.endTime = this.formatDateTime(rawEnd);
+    // Extract LOCATION
+    prop = this.getProperty(component, 'LOCATION');
+    event.location = prop ? this.decodeText(prop.value.trim()) : null;
+
+    // Extract DTSTART (start time), DUE (for tasks/todos, also DTDUE) and DTEND
+    // Raw values are kept because event IDs of feeds without UIDs are built from them
+    const start = this.getDateValue(component, 'DTSTART', timezones);
+    const due = this.getDateValue(component, 'DUE', timezones) || this.getDateValue(component, 'DTDUE', timezones);
+    const end = this.getDateValue(component, 'DTEND', timezones);
+    event.startRaw = start ? start.raw : null;
+    event.endRaw = end ? end.raw : null;
+
+    if (due) {
+      event.dueRaw = due.raw;
+      this.setEventTimes(event, { start, due, end });
+    } else if (event.isAssignment && start) {
+      // For Trinity School format: if this is an assignment, use DTSTART as the due date,
+      // at the time given in the title when there is one
+      event.dueRaw = start.raw;
+      event.trinityFormat = true;
+      this.setEventTimes(event, { start, due: start, end, dueTimeOfDay: extractedTime });
     } else {
-      event.endRaw = null;
-      event.endTime = null;
+      event.dueRaw = null;
+      this.setEventTimes(event, { start, due: null, end });
     }
 
     // Extract UID (unique identifier)
-    match = eventData.match(/UID:(.+?)(?:\r?\n|$)/);
-    event.uid = match ? match[1].trim() : null;
+    prop = this.getProperty(component, 'UID');
+    event.uid = prop && prop.value.trim() ? prop.value.trim() : null;
 
     // Extract COMPLETED date (for completed tasks)
-    match = eventData.match(/COMPLETED(?:;TZID=[^:]*)?:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      const rawCompleted = match[1].trim();
-      event.completedRaw = rawCompleted;
-      event.completedTime = this.formatDateTime(rawCompleted);
+    const completed = this.getDateValue(component, 'COMPLETED', timezones);
+    if (completed) {
+      event.completedAt = completed.timestamp;
     }
 
     // Extract STATUS (for task status)
-    match = eventData.match(/STATUS:(.+?)(?:\r?\n|$)/);
-    event.status = match ? match[1].trim() : null;
+    prop = this.getProperty(component, 'STATUS');
+    event.status = prop ? prop.value.trim().toUpperCase() : null;
 
     // Extract PRIORITY (for task priority)
-    match = eventData.match(/PRIORITY:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      event.priority = parseInt(match[1].trim(), 10);
+    prop = this.getProperty(component, 'PRIORITY');
+    if (prop) {
+      event.priority = parseInt(prop.value.trim(), 10);
     }
 
     // Extract PERCENT-COMPLETE (for task progress)
-    match = eventData.match(/PERCENT-COMPLETE:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      event.percentComplete = parseInt(match[1].trim(), 10);
+    prop = this.getProperty(component, 'PERCENT-COMPLETE');
+    if (prop) {
+      event.percentComplete = parseInt(prop.value.trim(), 10);
     }
 
+    // Map the task's native status onto the app's completed / in-progress model
+    event.feedStatus = component.name === 'VTODO' ? this.getTaskStatus(event) : null;
+
     // Extract RRULE (recurrence rule)
-    match = eventData.match(/RRULE:(.+?)(?:\r?\n|$)/);
-    event.rrule = match ? match[1].trim() : null;
+    prop = this.getProperty(component, 'RRULE');
+    event.rrule = prop ? prop.value.trim() : null;
+
+    // Extract VALARM triggers (reminders attached by the feed)
+    const alarms = this.parseAlarms(component, timezones);
+    if (alarms.length > 0) {
+      event.alarms = alarms;
+    }
 
     // Extract ORGANIZER
-    match = eventData.match(/ORGANIZER(?:;[^:]*)?:(.+?)(?:\r?\n|$)/);
-    if (match) {
-      event.organizer = this.extractEmail(match[1].trim());
+    prop = this.getProperty(component, 'ORGANIZER');
+    if (prop) {
+      event.organizer = this.extractEmail(prop.value.trim());
     }
 
     // Extract ATTENDEE
-    const attendeeRegex = /ATTENDEE(?:;[^:]*)?:(.+?)(?:\r?\n)/g;
-    const attendees = [];
-    while ((match = attendeeRegex.exec(eventData)) !== null) {
-      attendees.push(this.extractEmail(match[1].trim()));
-    }
+    const attendees = this.getProperties(component, 'ATTENDEE')
+      .map(attendee => this.extractEmail(attendee.value.trim()));
     if (attendees.length > 0) {
       event.attendees = attendees;
     }
@@ -209,143 +490,157 @@ export class ICalParser {
   }
 
   /**
-   * Convert an iCal date/time string to a timestamp (ms since epoch)
-   * Accepts YYYYMMDD or YYYYMMDDTHHMMSS or with trailing Z
-   * @param {string} dateTime
-   * @returns {number} timestamp in ms
+   * Parse the VALARM sub-components of an event
+   * Relative triggers (e.g. "-PT12H") are kept as offsets from DTSTART or, with RELATED=END,
+   * from DTEND/DUE; absolute triggers (VALUE=DATE-TIME) are resolved to a timestamp
+   * @param {Object} component - A VEVENT or VTODO component
+   * @param {Object} [timezones] - Map of TZID to VTIMEZONE definitions in the feed
+   * @returns {Array<{action: string, type: string, offsetMs?: number, related?: string, timestamp?: number}>}
    */
-  static iCalDateToTimestamp(dateTime) {
-    if (!dateTime) return 0;
+  static parseAlarms(component, timezones = {}) {
+    const alarms = [];
 
-    try {
-      // DateTime with time: YYYYMMDDTHHMMSS (optionally ending with Z)
-      if (dateTime.includes('T')) {
-        const year = parseInt(dateTime.substring(0, 4), 10);
-        const month = parseInt(dateTime.substring(4, 6), 10) - 1;
-        const day = parseInt(dateTime.substring(6, 8), 10);
-        const hour = parseInt(dateTime.substring(9, 11) || '0', 10);
-        const minute = parseInt(dateTime.substring(11, 13) || '0', 10);
-        const second = parseInt(dateTime.substring(13, 15) || '0', 10);
-
-        if (dateTime.endsWith('Z')) {
-          return Date.UTC(year, month, day, hour, minute, second);
-        }
+    (component.components || []).filter(child => child.name === 'VALARM').forEach(alarm => {
+      const trigger = this.getProperty(alarm, 'TRIGGER');
+      if (!trigger) return;
+
+      const actionProp = this.getProperty(alarm, 'ACTION');
+      const action = actionProp ? actionProp.value.trim().toUpperCase() : 'DISPLAY';
 
-        return new Date(year, month, day, hour, minute, second).getTime();
+      if ((trigger.params.VALUE || '').toUpperCase() === 'DATE-TIME' || parseDateFields(trigger.value)) {
+        const timestamp = this.resolveTimestamp(trigger, timezones);
+        if (timestamp) {
+          alarms.push({ action, type: 'absolute', timestamp });
+        }
+        return;
       }
 
-      // Date only: YYYYMMDD
-      if (dateTime.length >= 8) {
-        const year = parseInt(dateTime.substring(0, 4), 10);
-        const month = parseInt(dateTime.substring(4, 6), 10) - 1;
-        const day = parseInt(dateTime.substring(6, 8), 10);
-        return new Date(year, month, day).getTime();
+      const offsetMs = parseDuration(trigger.value);
+      if (offsetMs !== null) {
+        const related = (trigger.params.RELATED || 'START').toUpperCase() === 'END' ? 'END' : 'START';
+        alarms.push({ action, type: 'relative', offsetMs, related });
       }
-    } catch (e) {
-      return 0;
-    }
+    });
 
-    return 0;
+    return alarms;
   }
 
   /**
-   * Format date/time with extracted time from SUMMARY
-   * @param {string} dateStr - The date string in YYYYMMDD format
-   * @param {string} timeStr - The extracted time string (e.g., "8:55 a.m.", "11:59 PM")
-   * @returns {string} Formatted date/time
+   * Map a VTODO's STATUS, COMPLETED and PERCENT-COMPLETE onto the app's status model
+   * @param {Object} event - Event parsed from a VTODO
+   * @returns {'completed'|'in-progress'|null} Feed-provided status, or null if not started
    */
-  static formatDateTimeWithExtractedTime(dateStr, timeStr) {
-    if (!dateStr || dateStr.length < 8) return null;
-
-    try {
-      const year = parseInt(dateStr.substring(0, 4), 10);
-      const month = parseInt(dateStr.substring(4, 6), 10) - 1;
-      const day = parseInt(dateStr.substring(6, 8), 10);
-
-      // Parse the time string
-      const normalizedTime = timeStr.toLowerCase().replace(/\s/g, '').replace('.', '');
-      const isPM = normalizedTime.includes('pm');
-      const isAM = normalizedTime.includes('am');
-
-      // Extract hours and minutes
-      const timeMatch = normalizedTime.match(/(\d{1,2}):?(\d{2})?/);
-      if (!timeMatch) {
-        // If we can't parse the time, just return the date
-        const date = new Date(year, month, day);
-        return date.toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric'
-        });
-      }
+  static getTaskStatus(event) {
+    if (event.status === 'COMPLETED' || event.completedAt || event.percentComplete >= 100) {
+      return 'completed';
+    }
+    if (event.status === 'IN-PROCESS' || event.percentComplete > 0) {
+      return 'in-progress';
+    }
+    return null;
+  }
 
-      let hours = parseInt(timeMatch[1], 10);
-      const minutes = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+  /**
+   * Convert an iCal date/time string to a timestamp (ms since epoch)
+   * Accepts YYYYMMDD or YYYYMMDDTHHMMSS or with trailing Z
+   * Times without Z are treated as browser-local (floating); use resolveTimestamp for TZID values
+   * @param {string} dateTime
+   * @returns {number} timestamp in ms
+   */
+  static iCalDateToTimestamp(dateTime) {
+    const fields = parseDateFields(dateTime);
+    if (!fields) return 0;
 
-      // Convert to 24-hour format
-      if (isPM && hours !== 12) {
-        hours += 12;
-      } else if (isAM && hours === 12) {
-        hours = 0;
-      }
+    if (fields.isUtc) {
+      return wallClockMs(fields);
+    }
 
-      const date = new Date(year, month, day, hours, minutes);
+    return new Date(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second).getTime();
+  }
 
-      return date.toLocaleString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-    } catch (e) {
-      // If parsing fails, just return the date part
-      const year = dateStr.substring(0, 4);
-      const month = dateStr.substring(4, 6);
-      const day = dateStr.substring(6, 8);
-      return `${year}-${month}-${day} ${timeStr}`;
+  /**
+   * Resolve a date/time property to an absolute timestamp, honoring its TZID parameter
+   * @param {{params: Object, value: string}} property - DTSTART, DUE, DTEND, ... property
+   * @param {Object} [timezones] - Map of TZID to VTIMEZONE definitions in the feed
+   * @returns {number|null} Timestamp in ms, or null if the value can't be parsed
+   */
+  static resolveTimestamp(property, timezones = {}) {
+    const fields = parseDateFields(property.value);
+    if (!fields) return null;
+
+    // All-day dates and UTC times don't depend on a zone
+    const tzid = property.params.TZID;
+    if (tzid && !fields.isDate && !fields.isUtc) {
+      const zoned = zonedTimeToTimestamp(fields, tzid, timezones);
+      if (zoned !== null) return zoned;
     }
+
+    return this.iCalDateToTimestamp(property.value);
   }
 
   /**
-   * Format date/time from iCal format
-   * @param {string} dateTime - The date/time string (e.g., "20230315T100000Z" or "20230315")
-   * @returns {string} Formatted date/time
+   * Read a date/date-time property with its resolved timestamp
+   * @param {Object} component - The component to read from
+   * @param {string} name - Property name (DTSTART, DUE, DTEND, COMPLETED, ...)
+   * @param {Object} [timezones] - Map of TZID to VTIMEZONE definitions in the feed
+   * @returns {{raw: string, timestamp: number|null}|null} Raw value and timestamp, or null if absent
    */
-  static formatDateTime(dateTime) {
-    if (!dateTime) return null;
-
-    // Handle different iCal date/time formats
-    // Format: YYYYMMDDTHHMMSSZ or YYYYMMDD or YYYYMMDDTHHMMSS
+  static getDateValue(component, name, timezones = {}) {
+    const prop = this.getProperty(component, name);
+    if (!prop || !prop.value.trim()) return null;
+    return { raw: prop.value.trim(), timestamp: this.resolveTimestamp(prop, timezones) };
+  }
 
-    const isDateTime = dateTime.includes('T');
+  /**
+   * Set the canonical time fields of an event (startAt, dueAt, endAt, allDay)
+   * @param {Object} event - The event to update
+   * @param {Object} times
+   * @param {{raw: string, timestamp: number|null}|null} times.start - DTSTART value
+   * @param {{raw: string, timestamp: number|null}|null} times.due - DUE value (or DTSTART for Trinity assignments)
+   * @param {{raw: string, timestamp: number|null}|null} times.end - DTEND value
+   * @param {string|null} [times.dueTimeOfDay] - Time from the title to combine with a date-only due value
+   */
+  static setEventTimes(event, { start, due, end, dueTimeOfDay = null }) {
+    const titleDue = due && dueTimeOfDay ? combineDateAndTime(due.raw, dueTimeOfDay) : null;
+    const value = (v) => (v ? v.raw : null);
+
+    event.allDay = !titleDue && isAllDayValues([value(start), value(due), value(end)]);
+    event.startAt = start ? toStoredTime(start.raw, start.timestamp, event.allDay) : null;
+    event.endAt = end ? toStoredTime(end.raw, end.timestamp, event.allDay) : null;
+    event.dueAt = titleDue || (due ? toStoredTime(due.raw, due.timestamp, event.allDay) : null);
+  }
 
-    if (!isDateTime) {
-      // Date only (YYYYMMDD)
-      const year = dateTime.substring(0, 4);
-      const month = dateTime.substring(4, 6);
-      const day = dateTime.substring(6, 8);
-      return `${year}-${month}-${day}`;
-    }
+  /**
+   * Find a time written in a title (e.g. "Essay due 8:55 a.m.", "Quiz 11:59 PM", "9am")
+   * @param {string} title - The event title
+   * @returns {string|null} The time text, or null if the title has none
+   */
+  static extractTitleTime(title) {
+    const timeMatch = (title || '').match(/(\d{1,2}:\d{2}\s*[ap]\.?m\.?|\d{1,2}\s*[ap]\.?m\.?)/i);
+    return timeMatch ? timeMatch[1] : null;
+  }
 
-    // DateTime format
-    const year = dateTime.substring(0, 4);
-    const month = dateTime.substring(4, 6);
-    const day = dateTime.substring(6, 8);
-    const hour = dateTime.substring(9, 11);
-    const minute = dateTime.substring(11, 13);
-    const second = dateTime.substring(13, 15);
-
-    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
-
-    return date.toLocaleString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit'
-    });
+  /**
+   * Decode HTML entities that some LMS feeds embed in text values
+   * @param {string} text - The text to decode
+   * @returns {string} Decoded text
+   */
+  static decodeHtmlEntities(text) {
+    return text
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&ndash;/g, '–')
+      .replace(/&mdash;/g, '—')
+      .replace(/&ldquo;/g, '"')
+      .replace(/&rdquo;/g, '"')
+      .replace(/&lsquo;/g, "'")
+      .replace(/&rsquo;/g, "'");
   }
 
   /**
@@ -383,29 +678,85 @@ export class ICalParser {
     return emailMatch ? emailMatch[1] : field;
   }
 
+  /**
+   * Fetch a feed's content, sending conditional request headers when validators are known
+   * Each attempt times out after 30 seconds; failed attempts are retried with a growing delay
+   * @param {string} url - The iCal URL (webcal:// is fetched over https://)
+   * @param {{etag?: string, lastModified?: string}} [validators] - ETag / Last-Modified from the last fetch
+   * @param {number} [retries] - Number of attempts before giving up
+   * @returns {Promise<{notModified: boolean, content: string|null, etag: string|null, lastModified: string|null}>}
+   */
+  static async fetchFeed(url, validators = {}, retries = 1) {
+    // Convert webcal:// to https://
+    let fetchUrl = url;
+    if (url.startsWith('webcal://')) {
+      fetchUrl = url.replace('webcal://', 'https://');
+    } else if (url.startsWith('webcals://')) {
+      fetchUrl = url.replace('webcals://', 'https://');
+    }
+
+    const headers = { 'Accept': 'text/calendar, text/plain, */*' };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    let lastError;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 30000);
+      try {
+        const response = await fetch(fetchUrl, { headers, cache: 'no-store', signal: controller.signal });
+        if (response.status === 304) {
+          return {
+            notModified: true,
+            content: null,
+            etag: validators.etag || null,
+            lastModified: validators.lastModified || null
+          };
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return {
+          notModified: false,
+          content: await response.text(),
+          etag: response.headers.get('ETag'),
+          lastModified: response.headers.get('Last-Modified')
+        };
+      } catch (error) {
+        lastError = error;
+        if (retries > 1) {
+          console.warn(`Fetch attempt ${attempt}/${retries} failed:`, error.message);
+        }
+
+        // Don't retry a timeout
+        if (error.name === 'AbortError') {
+          lastError = new Error('Request timed out after 30 seconds');
+          break;
+        }
+
+        if (attempt < retries) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    throw new Error(`Failed to fetch or parse iCal: ${lastError.message}`);
+  }
+
   /**
    * Fetch and parse iCal from URL
    * @param {string} url - The URL to the iCal file (supports webcal://, http://, https://)
    * @returns {Promise<Array>} Array of parsed events
    */
   static async fetchAndParse(url) {
+    const { content } = await this.fetchFeed(url);
     try {
-      // Convert webcal:// to https://
-      let fetchUrl = url;
-      if (url.startsWith('webcal://')) {
-        fetchUrl = url.replace('webcal://', 'https://');
-      } else if (url.startsWith('webcals://')) {
-        fetchUrl = url.replace('webcals://', 'https://');
-      }
-
-      const response = await fetch(fetchUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const icalContent = await response.text();
-      return this.parseICalContent(icalContent);
+      return this.parseICalContent(content);
     } catch (error) {
       throw new Error(`Failed to fetch or parse iCal: ${error.message}`);
     }
   }
+
 }
@@ -0,0 +1,255 @@
+// Migrations - Versioned storage schema and the ordered migration runner
+// Runs in both the popup and the service worker before anything reads storage
+
+import { DEFAULT_FEED_ID, FEED_COLORS } from './constants.js';
+import { getDefaultFeedName } from './feed-manager.js';
+import { isLegacyEvent, normalizeLegacyEvent, toLocalTime } from './event-model.js';
+
+/**
+ * Ordered migration steps
+ * Each step reads only its `keys` and returns the values to write (undefined removes a key).
+ * `migrate` must be a pure function of the data it is given and must leave data that is
+ * already in the new shape alone: the popup and the service worker can both run a step.
+ * Never edit a shipped step; add a new one with the next version instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the single calendar URL into the feed list',
+    keys: ['feeds', 'icalUrl'],
+    migrate({ feeds, icalUrl }) {
+      if (!icalUrl) return {};
+      // Nothing reads icalUrl any more; drop it once the feed list exists
+      if (Array.isArray(feeds)) return { icalUrl: undefined };
+      return {
+        icalUrl: undefined,
+        feeds: [{
+          id: DEFAULT_FEED_ID,
+          name: getDefaultFeedName(icalUrl),
+          url: icalUrl,
+          color: FEED_COLORS[0],
+          enabled: true,
+          lastRefresh: null
+        }]
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Store subject tags as { color, displayName } objects',
+    keys: ['subjectTags'],
+    migrate({ subjectTags }) {
+      if (!subjectTags) return {};
+      const next = {};
+      Object.keys(subjectTags).forEach(key => {
+        const tag = subjectTags[key];
+        next[key] = typeof tag === 'string' ? { color: tag, displayName: key } : tag;
+      });
+      return { subjectTags: next };
+    }
+  },
+  {
+    version: 3,
+    description: 'Store events and pins with epoch-ms dueAt/startAt/endAt and an all-day flag',
+    keys: ['events', 'pinnedAssignments'],
+    migrate({ events, pinnedAssignments }) {
+      const updates = {};
+      if (Array.isArray(events)) {
+        updates.events = events.map(ev => (isLegacyEvent(ev) ? normalizeLegacyEvent(ev) : ev));
+      }
+      if (pinnedAssignments) {
+        updates.pinnedAssignments = {};
+        Object.keys(pinnedAssignments).forEach(id => {
+          const pin = pinnedAssignments[id];
+          updates.pinnedAssignments[id] = isLegacyEvent(pin) ? normalizeLegacyEvent(pin) : pin;
+        });
+      }
+      return updates;
+    }
+  },
+  {
+    version: 4,
+    description: 'Merge lead-time and per-assignment reminders into one reminder record format',
+    keys: ['reminders', 'reminderHistory', 'assignmentReminders'],
+    migrate({ reminders, reminderHistory, assignmentReminders }) {
+      if (!reminderHistory && !assignmentReminders) return {};
+      const next = {};
+
+      // Reminder keys and records as the scheduler wrote them when this step shipped (later fields are filled in
+      // by the scheduler when it plans)
+      const getKey = (source, eventId, leadMs = 0) => (source === 'custom'
+        ? `custom:${eventId}`
+        : `${source}:${Math.round(leadMs / 60000)}m:${eventId}`);
+      const createRecord = ({ source, eventId, title, fireAt, dueAt = null, leadMs = null }) => ({
+        eventId,
+        source,
+        title,
+        fireAt,
+        dueAt,
+        leadMs,
+        snoozeCount: 0,
+        delivered: false,
+        deliveredAt: null
+      });
+
+      // Old lead-time reminders were named reminder_<eventId>_<hours>h (or _<minutes>m for calendar alarms);
+      // reminderHistory held the due time they were scheduled for (or true), pending ones also had a reminders entry
+      const parseLegacyId = (id) => {
+        const match = id.match(/^reminder_(.+)_(\d+)([hm])$/);
+        if (!match || match[1] === 'test') return null;
+        const amount = parseInt(match[2], 10);
+        return match[3] === 'h'
+          ? { eventId: match[1], source: 'lead', leadMs: amount * 60 * 60 * 1000 }
+          : { eventId: match[1], source: 'feed', leadMs: amount * 60 * 1000 };
+      };
+      const pending = reminders || {};
+      new Set([...Object.keys(reminderHistory || {}), ...Object.keys(pending)]).forEach(id => {
+        const parsed = parseLegacyId(id);
+        if (!parsed) return;
+        const old = pending[id];
+        const handledDueAt = typeof (reminderHistory || {})[id] === 'number' ? reminderHistory[id] : null;
+        const dueAt = old && old.dueAt ? old.dueAt : handledDueAt;
+        const record = createRecord({
+          ...parsed,
+          title: old ? old.title : '',
+          fireAt: dueAt ? dueAt - parsed.leadMs : 0,
+          dueAt
+        });
+        if (!old) {
+          record.delivered = true;
+          record.deliveredAt = record.fireAt || null;
+        }
+        next[getKey(parsed.source, parsed.eventId, parsed.leadMs)] = record;
+      });
+
+      Object.keys(assignmentReminders || {}).forEach(eventId => {
+        const old = assignmentReminders[eventId];
+        next[getKey('custom', eventId)] = createRecord({
+          source: 'custom',
+          eventId,
+          title: old.title,
+          fireAt: old.reminderTime,
+          dueAt: old.dueAt !== null && old.dueAt !== undefined ? toLocalTime(old.dueAt, old.allDay) : null
+        });
+      });
+
+      return { reminders: next, reminderHistory: undefined, assignmentReminders: undefined };
+    }
+  }
+];
+
+// Schema version written by this build
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply the migration steps newer than `fromVersion` to data held in memory (e.g. an imported backup)
+ * @param {Object} data - Values keyed like storage
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {Object} A migrated copy of the data
+ */
+export function migrateSnapshot(data, fromVersion) {
+  let migrated = structuredClone(data);
+  MIGRATIONS.forEach(step => {
+    if (step.version <= fromVersion) return;
+    const input = {};
+    step.keys.forEach(key => {
+      if (key in migrated) input[key] = migrated[key];
+    });
+    const updates = step.migrate(structuredClone(input));
+    migrated = { ...migrated, ...updates };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] === undefined) delete migrated[key];
+    });
+  });
+  return migrated;
+}
+
+// Shared by every caller in this context so the steps run once
+let runPromise = null;
+
+/**
+ * Put back the keys a step read, exactly as they were before it ran
+ * @param {Array<string>} keys - Keys the step read
+ * @param {Object} snapshot - Values read before the step
+ * @param {number} previousVersion - Schema version before the step
+ */
+async function restoreSnapshot(keys, snapshot, previousVersion) {
+  const missing = keys.filter(key => !(key in snapshot));
+  await chrome.storage.local.set({ ...snapshot, schemaVersion: previousVersion });
+  if (missing.length > 0) {
+    await chrome.storage.local.remove(missing);
+  }
+}
+
+/**
+ * Run one migration step
+ * The new values and the new schemaVersion are written in a single set() so a step is
+ * applied completely or not at all; if removing keys fails afterwards, the snapshot is restored
+ * @param {Object} step - Migration step
+ * @param {number} previousVersion - Schema version before the step
+ */
+async function runStep(step, previousVersion) {
+  const snapshot = await chrome.storage.local.get(step.keys);
+  const updates = step.migrate(structuredClone(snapshot));
+
+  const toSet = { schemaVersion: step.version };
+  const toRemove = [];
+  Object.keys(updates).forEach(key => {
+    if (updates[key] === undefined) {
+      toRemove.push(key);
+    } else {
+      toSet[key] = updates[key];
+    }
+  });
+
+  try {
+    await chrome.storage.local.set(toSet);
+    if (toRemove.length > 0) {
+      await chrome.storage.local.remove(toRemove);
+    }
+  } catch (error) {
+    await restoreSnapshot(step.keys, snapshot, previousVersion);
+    throw error;
+  }
+}
+
+/**
+ * Run every migration newer than the stored schemaVersion, in order
+ * Stops at the first failing step, leaving storage at the last version that fully applied
+ * @returns {Promise<{from: number, to: number, error: string|null}>}
+ */
+async function runPendingMigrations() {
+  const data = await chrome.storage.local.get(['schemaVersion']);
+  const from = data.schemaVersion || 0;
+
+  if (from > CURRENT_SCHEMA_VERSION) {
+    console.warn(`Storage schema ${from} is newer than this version of TrinTasks (${CURRENT_SCHEMA_VERSION}); skipping migrations`);
+    return { from, to: from, error: null };
+  }
+
+  let version = from;
+  for (const step of MIGRATIONS) {
+    if (step.version <= version) continue;
+    try {
+      await runStep(step, version);
+      console.log(`Storage migrated to schema ${step.version}: ${step.description}`);
+      version = step.version;
+    } catch (error) {
+      console.error(`Storage migration ${step.version} failed and was rolled back:`, error);
+      return { from, to: version, error: error.message };
+    }
+  }
+
+  return { from, to: version, error: null };
+}
+
+/**
+ * Bring storage up to the current schema (runs at most once per popup or service worker instance)
+ * @returns {Promise<{from: number, to: number, error: string|null}>}
+ */
+export function runMigrations() {
+  if (!runPromise) {
+    runPromise = runPendingMigrations();
+  }
+  return runPromise;
+}
@@ -0,0 +1,59 @@
+// Notification Actions - The buttons offered on reminder notifications (complete, snooze, open); used by the service worker
+
+// Actions a button can have, keyed by the ID stored in the settings
+export const NOTIFICATION_ACTIONS = {
+  complete: { title: 'Mark complete' },
+  snooze15: { title: 'Snooze 15 min', minutes: 15 },
+  snooze60: { title: 'Snooze 1 hour', minutes: 60 },
+  tonight: { title: 'Remind me tonight' },
+  open: { title: 'Open TrinTasks' }
+};
+
+// Chrome shows at most two buttons on a notification; 'none' leaves a slot empty
+export const DEFAULT_NOTIFICATION_ACTIONS = ['complete', 'snooze60'];
+
+// "Remind me tonight" goes off at this time (local)
+const TONIGHT_TIME = '20:00';
+
+// "Remind me tonight" isn't offered this close to (or after) tonight's time
+const TONIGHT_MIN_LEAD_MS = 30 * 60 * 1000;
+
+/**
+ * Fill in missing or unknown button actions from the defaults
+ * @param {Array<string>} [value] - Stored action IDs, one per button
+ * @returns {Array<string>} Two action IDs ('none' for an empty slot)
+ */
+export function normalizeNotificationActions(value) {
+  return DEFAULT_NOTIFICATION_ACTIONS.map((fallback, index) => {
+    const action = Array.isArray(value) ? value[index] : undefined;
+    return action === 'none' || Object.prototype.hasOwnProperty.call(NOTIFICATION_ACTIONS, action) ? action : fallback;
+  });
+}
+
+/**
+ * Get tonight's reminder time
+ * @param {number} now - Current time in epoch ms
+ * @returns {number} Epoch ms of tonight's reminder time today
+ */
+export function getTonightTime(now) {
+  const today = new Date(now);
+  const [hours, minutes] = TONIGHT_TIME.split(':').map(part => parseInt(part, 10));
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate(), hours, minutes).getTime();
+}
+
+/**
+ * Pick the buttons for a reminder notification
+ * @param {Array<string>} actions - Action IDs from the settings
+ * @param {Object} record - The reminder being shown
+ * @param {number} now - Current time in epoch ms
+ * @returns {Array<string>} Action IDs in button order (empty slots and actions that don't apply are left out)
+ */
+export function getReminderActions(actions, record, now) {
+  return normalizeNotificationActions(actions).filter((action, index, list) => {
+    if (action === 'none' || list.indexOf(action) !== index) return false;
+    // Test reminders have no assignment to complete
+    if (action === 'complete') return !!record.eventId;
+    if (action === 'tonight') return getTonightTime(now) - now >= TONIGHT_MIN_LEAD_MS;
+    return true;
+  });
+}
@@ -0,0 +1,123 @@
+// Quiet Hours - Times of day when reminders wait (overnight, during class), set separately for weekdays and weekends
+// Each moment is checked against the windows of its own day, so Saturday 8 AM follows the weekend windows and
+// Friday 11 PM the weekday ones. Windows that cross midnight are split at midnight.
+
+// Windows offered in the settings, in order; stored windows are matched to these by position
+export const DEFAULT_QUIET_HOURS = {
+  weekdays: [
+    { enabled: false, start: '22:00', end: '07:00' },
+    { enabled: false, start: '08:00', end: '15:00' }
+  ],
+  weekends: [
+    { enabled: false, start: '23:00', end: '09:00' }
+  ]
+};
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+// A reminder pulled ahead of quiet hours goes out this long before they start
+const PULL_EARLIER_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Fill in missing or malformed quiet hour windows from the defaults
+ * @param {Object} [value] - Stored quiet hours ({weekdays, weekends} arrays of {enabled, start, end})
+ * @returns {{weekdays: Array, weekends: Array}} Quiet hours with every window present
+ */
+export function normalizeQuietHours(value) {
+  const result = {};
+  Object.keys(DEFAULT_QUIET_HOURS).forEach(day => {
+    result[day] = DEFAULT_QUIET_HOURS[day].map((fallback, index) => {
+      const window = (value && Array.isArray(value[day]) && value[day][index]) || {};
+      return {
+        enabled: window.enabled === true,
+        start: TIME_PATTERN.test(window.start || '') ? window.start : fallback.start,
+        end: TIME_PATTERN.test(window.end || '') ? window.end : fallback.end
+      };
+    });
+  });
+  return result;
+}
+
+/**
+ * Get the quiet intervals that fall on one local calendar day
+ * @param {Date} day - Any time on the day
+ * @param {Object} quietHours - Normalized quiet hours
+ * @returns {Array<{start: number, end: number}>} Intervals in epoch ms
+ */
+function getDayIntervals(day, quietHours) {
+  const year = day.getFullYear();
+  const month = day.getMonth();
+  const date = day.getDate();
+  const at = (time) => {
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    return new Date(year, month, date, hours, minutes).getTime();
+  };
+  const dayStart = new Date(year, month, date).getTime();
+  const dayEnd = new Date(year, month, date + 1).getTime();
+  const isWeekend = day.getDay() === 0 || day.getDay() === 6;
+
+  const intervals = [];
+  quietHours[isWeekend ? 'weekends' : 'weekdays'].forEach(window => {
+    if (!window.enabled || window.start === window.end) return;
+    if (window.start < window.end) {
+      intervals.push({ start: at(window.start), end: at(window.end) });
+    } else {
+      intervals.push({ start: dayStart, end: at(window.end) });
+      intervals.push({ start: at(window.start), end: dayEnd });
+    }
+  });
+  return intervals;
+}
+
+/**
+ * Find the stretch of quiet hours a time falls in (back-to-back windows, such as Friday night into Saturday
+ * morning, count as one stretch)
+ * @param {number} time - Epoch ms
+ * @param {Object} quietHours - Normalized quiet hours
+ * @returns {{start: number, end: number}|null} The stretch in epoch ms, or null if the time isn't quiet
+ */
+export function getQuietPeriod(time, quietHours) {
+  const base = new Date(time);
+  const intervals = [];
+  for (let offset = -2; offset <= 3; offset++) {
+    const day = new Date(base.getFullYear(), base.getMonth(), base.getDate() + offset);
+    intervals.push(...getDayIntervals(day, quietHours));
+  }
+  intervals.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  intervals.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+
+  return merged.find(period => period.start <= time && time < period.end) || null;
+}
+
+/**
+ * Move a reminder time out of quiet hours
+ * It waits for the quiet stretch to end, unless that would be after the due time; then it goes out just before the
+ * stretch starts. If that moment has already passed, the time is left as it is.
+ * @param {number} time - When the reminder would go off (epoch ms)
+ * @param {number|null} dueAt - The assignment's due time (local epoch ms)
+ * @param {Object} quietHours - Normalized quiet hours
+ * @param {number} now - Current time in epoch ms
+ * @returns {{time: number, reason: 'deferred'|'advanced'|null}} The time to use and how it was moved
+ */
+export function shiftForQuietHours(time, dueAt, quietHours, now) {
+  const period = getQuietPeriod(time, quietHours);
+  if (!period) return { time, reason: null };
+
+  if (!dueAt || period.end <= dueAt) {
+    return { time: period.end, reason: 'deferred' };
+  }
+  const earlier = period.start - PULL_EARLIER_MARGIN_MS;
+  if (earlier > now) {
+    return { time: earlier, reason: 'advanced' };
+  }
+  return { time, reason: null };
+}
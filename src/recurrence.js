@@ -0,0 +1,221 @@
+// Recurrence - Expands RRULE recurrence rules into individual occurrences
+
+import { fieldsFromWallClockMs, parseDateFields, wallClockMs } from './utils.js';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard stop for rules that never match (e.g. BYMONTHDAY=31 in a monthly rule on February only)
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - RRULE value (e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10")
+ * @returns {{freq: string, interval: number, count: number|null, until: Object|null, byDay: Array, byMonthDay: Array<number>, byMonth: Array<number>, weekStart: number}|null}
+ */
+export function parseRRule(value) {
+  if (!value) return null;
+
+  const parts = {};
+  value.split(';').forEach(part => {
+    const eqIdx = part.indexOf('=');
+    if (eqIdx === -1) return;
+    parts[part.substring(0, eqIdx).trim().toUpperCase()] = part.substring(eqIdx + 1).trim();
+  });
+
+  const freq = (parts.FREQ || '').toUpperCase();
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) return null;
+
+  const list = (key) => (parts[key] || '').split(',').map(v => v.trim()).filter(Boolean);
+
+  return {
+    freq,
+    interval: Math.max(parseInt(parts.INTERVAL, 10) || 1, 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseDateFields(parts.UNTIL) : null,
+    byDay: list('BYDAY').map(day => {
+      const match = day.toUpperCase().match(/^([+-]?\d+)?([A-Z]{2})$/);
+      if (!match || WEEKDAY_CODES.indexOf(match[2]) === -1) return null;
+      return { ordinal: match[1] ? parseInt(match[1], 10) : 0, weekday: WEEKDAY_CODES.indexOf(match[2]) };
+    }).filter(Boolean),
+    byMonthDay: list('BYMONTHDAY').map(d => parseInt(d, 10)).filter(d => !isNaN(d) && d !== 0),
+    byMonth: list('BYMONTH').map(m => parseInt(m, 10) - 1).filter(m => m >= 0 && m < 12),
+    weekStart: parts.WKST ? Math.max(WEEKDAY_CODES.indexOf(parts.WKST.toUpperCase()), 0) : 1
+  };
+}
+
+/**
+ * Get the days of a month that match BYMONTHDAY and BYDAY filters
+ * BYDAY ordinals (e.g. 2SU, -1FR) count within the month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-based)
+ * @param {{byDay: Array, byMonthDay: Array<number>}} rule - Parsed rule parts
+ * @returns {Array<number>} Matching days of the month, ascending
+ */
+export function getMatchingMonthDays(year, month, rule) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let days = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    days.push(day);
+  }
+
+  if (rule.byMonthDay.length > 0) {
+    days = days.filter(day => rule.byMonthDay.some(md => (md > 0 ? md : daysInMonth + md + 1) === day));
+  }
+
+  if (rule.byDay.length > 0) {
+    const matches = new Set();
+    rule.byDay.forEach(({ ordinal, weekday }) => {
+      const sameWeekday = days.filter(day => new Date(Date.UTC(year, month, day)).getUTCDay() === weekday);
+      if (ordinal === 0) {
+        sameWeekday.forEach(day => matches.add(day));
+      } else {
+        const day = ordinal > 0 ? sameWeekday[ordinal - 1] : sameWeekday[sameWeekday.length + ordinal];
+        if (day) matches.add(day);
+      }
+    });
+    days = days.filter(day => matches.has(day));
+  }
+
+  return days;
+}
+
+/**
+ * Get the candidate occurrence days (wall-clock midnight ms) for one period of a rule
+ * @param {Object} rule - Parsed RRULE
+ * @param {Object} start - DTSTART fields
+ * @param {number} period - Period index (0 = the period containing DTSTART)
+ * @returns {Array<number>} Candidate days as wall-clock midnight ms, ascending
+ */
+function getPeriodDays(rule, start, period) {
+  const step = period * rule.interval;
+  const byMonthAllows = (month) => rule.byMonth.length === 0 || rule.byMonth.includes(month);
+
+  if (rule.freq === 'DAILY') {
+    const day = Date.UTC(start.year, start.month, start.day) + step * DAY_MS;
+    const d = new Date(day);
+    const weekdayOk = rule.byDay.length === 0 || rule.byDay.some(bd => bd.weekday === d.getUTCDay());
+    const monthDayOk = rule.byMonthDay.length === 0 ||
+      getMatchingMonthDays(d.getUTCFullYear(), d.getUTCMonth(), { byDay: [], byMonthDay: rule.byMonthDay }).includes(d.getUTCDate());
+    return weekdayOk && monthDayOk && byMonthAllows(d.getUTCMonth()) ? [day] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const startDay = Date.UTC(start.year, start.month, start.day);
+    const offsetToWeekStart = (new Date(startDay).getUTCDay() - rule.weekStart + 7) % 7;
+    const weekStartDay = startDay - offsetToWeekStart * DAY_MS + step * 7 * DAY_MS;
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(bd => bd.weekday) : [new Date(startDay).getUTCDay()];
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const day = weekStartDay + i * DAY_MS;
+      const d = new Date(day);
+      if (weekdays.includes(d.getUTCDay()) && byMonthAllows(d.getUTCMonth())) {
+        days.push(day);
+      }
+    }
+    return days;
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = start.month + step;
+    const year = start.year + Math.floor(monthIndex / 12);
+    const month = ((monthIndex % 12) + 12) % 12;
+    if (!byMonthAllows(month)) return [];
+    const filters = rule.byDay.length > 0 || rule.byMonthDay.length > 0
+      ? rule
+      : { byDay: [], byMonthDay: [start.day] };
+    // A plain monthly rule on the 31st skips shorter months rather than clamping
+    return getMatchingMonthDays(year, month, filters).map(day => Date.UTC(year, month, day));
+  }
+
+  // YEARLY
+  const year = start.year + step;
+  const months = rule.byMonth.length > 0 ? rule.byMonth : [start.month];
+  const days = [];
+  months.slice().sort((a, b) => a - b).forEach(month => {
+    const filters = rule.byDay.length > 0 || rule.byMonthDay.length > 0
+      ? rule
+      : { byDay: [], byMonthDay: [start.day] };
+    getMatchingMonthDays(year, month, filters).forEach(day => days.push(Date.UTC(year, month, day)));
+  });
+  return days;
+}
+
+/**
+ * Get the first period that can hold an occurrence at or after a wall-clock time
+ * @param {Object} rule - Parsed RRULE
+ * @param {Object} start - DTSTART fields
+ * @param {number} fromWall - Wall-clock ms to reach
+ * @returns {number} Period index (one early, so nothing in the window is skipped)
+ */
+function getFirstPeriod(rule, start, fromWall) {
+  const from = new Date(fromWall);
+  let elapsed;
+  if (rule.freq === 'DAILY') {
+    elapsed = Math.floor((fromWall - Date.UTC(start.year, start.month, start.day)) / DAY_MS);
+  } else if (rule.freq === 'WEEKLY') {
+    elapsed = Math.floor((fromWall - Date.UTC(start.year, start.month, start.day)) / (7 * DAY_MS));
+  } else if (rule.freq === 'MONTHLY') {
+    elapsed = (from.getUTCFullYear() - start.year) * 12 + from.getUTCMonth() - start.month;
+  } else {
+    elapsed = from.getUTCFullYear() - start.year;
+  }
+  return Math.max(Math.floor(elapsed / rule.interval) - 1, 0);
+}
+
+/**
+ * Expand a recurrence rule into occurrence start times
+ * DTSTART is always the first occurrence; COUNT and UNTIL are applied from DTSTART,
+ * then only occurrences inside the window are returned
+ * @param {Object} start - DTSTART fields (from parseDateFields)
+ * @param {Object} rule - Parsed RRULE (from parseRRule)
+ * @param {Object} options
+ * @param {number} options.windowStart - Earliest occurrence to return (ms since epoch)
+ * @param {number} options.windowEnd - Latest occurrence to return (ms since epoch)
+ * @param {Function} options.toTimestamp - Converts occurrence fields to ms since epoch (applies DTSTART's zone)
+ * @returns {Array<{fields: Object, timestamp: number}>} Occurrences inside the window
+ */
+export function expandRRule(start, rule, { windowStart, windowEnd, toTimestamp }) {
+  const occurrences = [];
+  const startWall = wallClockMs(start);
+  const timeOfDay = startWall - Date.UTC(start.year, start.month, start.day);
+
+  // UNTIL in UTC is compared as an instant; a floating/date UNTIL is compared as wall clock
+  const untilTimestamp = rule.until && rule.until.isUtc ? wallClockMs(rule.until) : null;
+  const untilWall = rule.until && !rule.until.isUtc
+    ? wallClockMs(rule.until.isDate ? { ...rule.until, hour: 23, minute: 59, second: 59 } : rule.until)
+    : null;
+
+  let generated = 0;
+  const emit = (wall) => {
+    const fields = fieldsFromWallClockMs(wall, start);
+    const timestamp = toTimestamp(fields);
+    if (untilWall !== null && wall > untilWall) return false;
+    if (untilTimestamp !== null && timestamp > untilTimestamp) return false;
+    generated++;
+    if (timestamp >= windowStart && timestamp <= windowEnd) {
+      occurrences.push({ fields, timestamp });
+    }
+    return rule.count === null || generated < rule.count;
+  };
+
+  if (!emit(startWall)) return occurrences;
+
+  // Without COUNT, periods before the window can be skipped (with COUNT every occurrence has to be counted).
+  // The window is an instant, so start a day early to cover any zone offset
+  const firstPeriod = rule.count === null ? getFirstPeriod(rule, start, windowStart - DAY_MS) : 0;
+
+  for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+    const days = getPeriodDays(rule, start, period);
+    for (const day of days) {
+      const wall = day + timeOfDay;
+      if (wall <= startWall) continue;
+      // Occurrences past the window can't be returned, and later ones only get later
+      if (wall - DAY_MS > windowEnd) return occurrences;
+      if (!emit(wall)) return occurrences;
+    }
+  }
+
+  return occurrences;
+}
@@ -0,0 +1,448 @@
+// Refresh Pipeline - Fetches, parses and merges calendar feeds (shared by the popup and the service worker)
+
+import { ICalParser } from './ical-parser.js';
+import { getEventId, hashContent } from './utils.js';
+import { FEED_CACHE_MAX_AGE_MS, REFRESH_CHANGES_LIMIT, REFRESH_HISTORY_LIMIT } from './constants.js';
+import { getEventSource, isStaticFeed, loadFeeds, setFeedRefreshStatus } from './feed-manager.js';
+import { matchChangedEvents } from './event-matching.js';
+import { createArchiveEntry, trimArchive } from './archive.js';
+import { moveEventReminders, saveReminderChanges, syncReminders } from './reminder-scheduler.js';
+
+// Fields to compare for detecting event changes (excludes status fields)
+const EVENT_COMPARE_FIELDS = ['title', 'dueAt', 'startAt', 'endAt', 'allDay', 'description', 'location', 'status'];
+
+// Long text values are shortened in the change log
+const CHANGE_TEXT_MAX_LENGTH = 300;
+
+/**
+ * Check if two events have meaningful differences (ignoring status fields)
+ * @param {Object} prev - Previous event
+ * @param {Object} curr - Current event
+ * @returns {boolean} True if events differ
+ */
+export function hasEventChanged(prev, curr) {
+  for (const field of EVENT_COMPARE_FIELDS) {
+    if (prev[field] !== curr[field]) return true;
+  }
+  return false;
+}
+
+/**
+ * List the fields that differ between two versions of an event
+ * @param {Object} prev - Previous event
+ * @param {Object} curr - Current event
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields (text values are shortened)
+ */
+export function diffEventFields(prev, curr) {
+  const shorten = (value) => (typeof value === 'string' && value.length > CHANGE_TEXT_MAX_LENGTH
+    ? `${value.substring(0, CHANGE_TEXT_MAX_LENGTH - 1)}…`
+    : value);
+  return EVENT_COMPARE_FIELDS
+    .filter(field => (prev[field] ?? null) !== (curr[field] ?? null))
+    .map(field => ({ field, from: shorten(prev[field] ?? null), to: shorten(curr[field] ?? null) }));
+}
+
+/**
+ * Describe an event for the change log
+ * @param {string} type - 'added', 'updated', 'moved', 'renamed' or 'removed'
+ * @param {Object} event - The event as it is now (or was, if removed)
+ * @param {Object} [prev] - The previous version of the event
+ * @returns {Object} Change log entry
+ */
+function createChange(type, event, prev = null) {
+  const change = {
+    type,
+    id: getEventId(event),
+    title: event.title,
+    dueAt: event.dueAt ?? null,
+    startAt: event.startAt ?? null,
+    allDay: !!event.allDay,
+    status: event.status || null
+  };
+  if (prev) {
+    change.previousAllDay = !!prev.allDay;
+    change.fields = diffEventFields(prev, event);
+  }
+  return change;
+}
+
+/**
+ * Reconcile task status published by the feed (VTODO STATUS/COMPLETED) with the local status maps
+ * The feed wins whenever its status changes; local toggles win until the feed changes again
+ * @param {Array} events - Freshly parsed events
+ * @param {Array} previousEvents - Events from the previous refresh
+ * @param {Object} completedAssignments - Map of completed assignment IDs (updated in place)
+ * @param {Object} inProgressAssignments - Map of in-progress assignment IDs (updated in place)
+ * @returns {number} Number of assignments whose status was taken from the feed
+ */
+export function reconcileFeedStatus(events, previousEvents, completedAssignments, inProgressAssignments) {
+  const prevStatus = new Map();
+  (previousEvents || []).forEach(ev => prevStatus.set(getEventId(ev), ev.feedStatus || null));
+
+  let applied = 0;
+  (events || []).forEach(event => {
+    if (event.componentType !== 'VTODO') return;
+
+    const id = getEventId(event);
+    const status = event.feedStatus || null;
+    const previous = prevStatus.has(id) ? prevStatus.get(id) : null;
+
+    // Unchanged since last refresh: keep whatever the user set locally
+    if (prevStatus.has(id) && previous === status) return;
+    // A new task that hasn't been started has nothing to apply
+    if (!status && !previous) return;
+
+    delete completedAssignments[id];
+    delete inProgressAssignments[id];
+
+    if (status === 'completed') {
+      completedAssignments[id] = {
+        completedDate: new Date(event.completedAt || Date.now()).toISOString(),
+        title: event.title,
+        source: 'feed'
+      };
+    } else if (status === 'in-progress') {
+      inProgressAssignments[id] = {
+        inProgressDate: new Date().toISOString(),
+        title: event.title,
+        source: 'feed'
+      };
+    }
+    applied++;
+  });
+
+  return applied;
+}
+
+/**
+ * Fetch and parse one feed, skipping the parse when the feed hasn't changed
+ * Validators are dropped once a day so recurring events get re-expanded
+ * @param {Object} feed - The feed to fetch
+ * @param {number} retries - Fetch attempts before giving up
+ * @returns {Promise<{feed: Object, outcome: 'changed'|'unchanged'|'error', events: Array|null, cache: Object|null, error: string|null}>}
+ */
+async function fetchFeedEvents(feed, retries) {
+  const cache = feed.cache && Date.now() - feed.cache.parsedAt < FEED_CACHE_MAX_AGE_MS ? feed.cache : {};
+
+  try {
+    console.log('Refreshing calendar from:', feed.url);
+    const response = await ICalParser.fetchFeed(feed.url, cache, retries);
+    const contentHash = response.notModified ? cache.contentHash : await hashContent(response.content);
+
+    if (response.notModified || contentHash === cache.contentHash) {
+      return {
+        feed,
+        outcome: 'unchanged',
+        events: null,
+        cache: { ...cache, etag: response.etag, lastModified: response.lastModified },
+        error: null
+      };
+    }
+
+    return {
+      feed,
+      outcome: 'changed',
+      events: ICalParser.parseICalContent(response.content),
+      cache: { etag: response.etag, lastModified: response.lastModified, contentHash, parsedAt: Date.now() },
+      error: null
+    };
+  } catch (error) {
+    console.warn(`Failed to refresh feed "${feed.name}":`, error.message);
+    return { feed, outcome: 'error', events: null, cache: null, error: error.message };
+  }
+}
+
+/**
+ * Merge a feed's freshly parsed events with its previous events
+ * Status maps are updated in place: feed task status is applied, status moves with assignments that were
+ * renamed or moved (see matchChangedEvents), and removed events are moved to the archive with their status.
+ * An event that comes back with the ID of an archived one gets its status back.
+ * @param {string} feedId - The feed the events came from
+ * @param {Array} newEvents - Freshly parsed events
+ * @param {Array} feedPrevious - The feed's events from the last refresh
+ * @param {Object} completedAssignments - Map of completed assignment IDs
+ * @param {Object} inProgressAssignments - Map of in-progress assignment IDs
+ * @param {Object} [archivedEvents] - Map of archived assignment IDs to archive entries (updated in place)
+ * @returns {{events: Array, added: number, updated: number, removed: number, moved: number, renamed: number, matches: Array, changes: Array}}
+ */
+export function mergeFeedEvents(feedId, newEvents, feedPrevious, completedAssignments, inProgressAssignments, archivedEvents = {}) {
+  newEvents.forEach(ev => {
+    ev.source = feedId;
+  });
+  reconcileFeedStatus(newEvents, feedPrevious, completedAssignments, inProgressAssignments);
+
+  const prevMap = new Map();
+  feedPrevious.forEach(ev => prevMap.set(getEventId(ev), ev));
+
+  let updated = 0;
+  const changes = [];
+  const nextIds = new Set();
+  const addedEvents = [];
+  newEvents.forEach(ev => {
+    const id = getEventId(ev);
+    nextIds.add(id);
+
+    const prev = prevMap.get(id);
+    if (!prev) {
+      addedEvents.push(ev);
+    } else if (hasEventChanged(prev, ev)) {
+      updated++;
+      changes.push(createChange('updated', ev, prev));
+    }
+  });
+  const removedEvents = feedPrevious.filter(ev => !nextIds.has(getEventId(ev)));
+
+  // Renamed or moved assignments keep their status under the new ID
+  const matches = matchChangedEvents(removedEvents, addedEvents, newEvents);
+  matches.forEach(({ fromId, toId }) => {
+    if (completedAssignments[fromId] && !completedAssignments[toId] && !inProgressAssignments[toId]) {
+      completedAssignments[toId] = completedAssignments[fromId];
+    }
+    if (inProgressAssignments[fromId] && !completedAssignments[toId] && !inProgressAssignments[toId]) {
+      inProgressAssignments[toId] = inProgressAssignments[fromId];
+    }
+  });
+
+  // Republished events: take back the status they had when they were archived
+  addedEvents.forEach(ev => {
+    const id = getEventId(ev);
+    const archived = archivedEvents[id];
+    if (!archived) return;
+    if (archived.completed && !completedAssignments[id] && !inProgressAssignments[id]) {
+      completedAssignments[id] = archived.completed;
+    } else if (archived.inProgress && !completedAssignments[id] && !inProgressAssignments[id]) {
+      inProgressAssignments[id] = archived.inProgress;
+    }
+    delete archivedEvents[id];
+  });
+
+  const matchedIds = new Set(matches.map(match => match.fromId));
+  const matchedAdded = new Set(matches.map(match => match.to));
+  matches.forEach(({ from, to, moved }) => changes.push(createChange(moved ? 'moved' : 'renamed', to, from)));
+  addedEvents.filter(ev => !matchedAdded.has(ev)).forEach(ev => {
+    const change = createChange('added', ev);
+    // The first refresh of a feed adds everything it has
+    if (feedPrevious.length === 0) change.initial = true;
+    changes.push(change);
+  });
+  removedEvents.filter(ev => !matchedIds.has(getEventId(ev))).forEach(ev => changes.push(createChange('removed', ev)));
+
+  // Removed events: present in this feed before but not now; keep them and their status in the archive
+  removedEvents.forEach(ev => {
+    const id = getEventId(ev);
+    if (!matchedIds.has(id)) {
+      archivedEvents[id] = createArchiveEntry(ev, feedId, completedAssignments[id], inProgressAssignments[id]);
+    }
+    delete completedAssignments[id];
+    delete inProgressAssignments[id];
+  });
+
+  // Preserve completion status, then in-progress status (if not completed)
+  newEvents.forEach(ev => {
+    const id = getEventId(ev);
+    if (completedAssignments[id]) {
+      ev.isCompleted = true;
+      ev.completedDate = completedAssignments[id].completedDate;
+    }
+    if (inProgressAssignments[id] && !ev.isCompleted) {
+      ev.isInProgress = true;
+      ev.inProgressDate = inProgressAssignments[id].inProgressDate;
+    }
+  });
+
+  return {
+    events: newEvents,
+    added: addedEvents.length - matches.length,
+    updated,
+    removed: removedEvents.length - matches.length,
+    moved: matches.filter(match => match.moved).length,
+    renamed: matches.filter(match => match.renamed).length,
+    matches,
+    changes
+  };
+}
+
+/**
+ * Move pins, custom day orders and reminders from the old ID of a renamed or moved
+ * assignment to its new one (status maps are handled by mergeFeedEvents)
+ * @param {Array} matches - Matches returned by mergeFeedEvents
+ * @param {{pinnedAssignments: Object, eventOrder: Object, reminders: Object}} state - Maps updated in place
+ */
+function carryOverUserState(matches, { pinnedAssignments, eventOrder, reminders }) {
+  for (const { fromId, toId, to } of matches) {
+    if (pinnedAssignments[fromId]) {
+      pinnedAssignments[toId] = {
+        ...pinnedAssignments[fromId],
+        title: to.title,
+        dueAt: to.dueAt,
+        startAt: to.startAt,
+        allDay: to.allDay
+      };
+      delete pinnedAssignments[fromId];
+    }
+
+    Object.keys(eventOrder).forEach(dateKey => {
+      eventOrder[dateKey] = eventOrder[dateKey].map(id => (id === fromId ? toId : id));
+    });
+
+    moveEventReminders(reminders, fromId, toId, to);
+  }
+}
+
+/**
+ * Refresh calendar feeds and store the merged result
+ * Every feed is fetched before storage is read, so status toggled while waiting on the network is kept.
+ * A feed that fails keeps its previous events, and removals are only counted (and archived) within each feed.
+ * Custom assignments, imported (static) feeds and feeds not being refreshed are carried over untouched.
+ * @param {Object} [options]
+ * @param {string|null} [options.feedId] - Refresh only this feed (defaults to every enabled URL feed)
+ * @param {number} [options.retries] - Fetch attempts per feed
+ * @param {Function} [options.onChanges] - Called with the refresh's change log entries (tagged with feedId) once they are stored
+ * @returns {Promise<{added: number, updated: number, removed: number, moved: number, renamed: number, timestamp: number}|null>} Change summary, or null if there was nothing to refresh
+ */
+export async function refreshFeeds({ feedId = null, retries = 1, onChanges = null } = {}) {
+  const feeds = await loadFeeds();
+  const targets = feeds.filter(feed => feed.enabled && !isStaticFeed(feed) && (!feedId || feed.id === feedId));
+  if (targets.length === 0) {
+    console.log('No enabled calendar feeds to fetch, skipping refresh');
+    return null;
+  }
+
+  const results = [];
+  for (const feed of targets) {
+    results.push(await fetchFeedEvents(feed, retries));
+  }
+
+  return storeFeedResults(results, { onChanges });
+}
+
+/**
+ * Store events parsed outside a refresh: the first fetch of a newly subscribed feed, or an imported .ics file
+ * They go through the same merge as a refresh (see storeFeedResults)
+ * @param {Object} feed - The feed the events belong to
+ * @param {Array} events - Freshly parsed events
+ * @returns {Promise<{added: number, updated: number, removed: number, moved: number, renamed: number, timestamp: number}>} Change summary
+ */
+export async function importFeedEvents(feed, events) {
+  return storeFeedResults([{ feed, outcome: 'changed', events, cache: null, error: null }], { reportSummary: false });
+}
+
+/**
+ * Merge fetched feeds with the stored events and store the result
+ * @param {Array<{feed: Object, outcome: 'changed'|'unchanged'|'error', events: Array|null, cache: Object|null, error: string|null}>} results
+ *   One result per feed (see fetchFeedEvents)
+ * @param {Object} [options]
+ * @param {Function} [options.onChanges] - Called with the change log entries (tagged with feedId) once they are stored
+ * @param {boolean} [options.reportSummary] - Whether to store the summary as lastRefreshSummary (shown as a toast)
+ * @returns {Promise<Object>} Change summary
+ */
+async function storeFeedResults(results, { onChanges = null, reportSummary = true } = {}) {
+  const data = await chrome.storage.local.get([
+    'events',
+    'completedAssignments',
+    'inProgressAssignments',
+    'archivedEvents',
+    'refreshHistory',
+    'pinnedAssignments',
+    'eventOrder',
+    'reminders'
+  ]);
+  const previousEvents = data.events || [];
+  const completedAssignments = data.completedAssignments || {};
+  const inProgressAssignments = data.inProgressAssignments || {};
+  const archivedEvents = data.archivedEvents || {};
+  const userState = {
+    pinnedAssignments: data.pinnedAssignments || {},
+    eventOrder: data.eventOrder || {},
+    reminders: { ...(data.reminders || {}) }
+  };
+
+  const targetIds = new Set(results.map(({ feed }) => feed.id));
+  let nextEvents = previousEvents.filter(ev => !targetIds.has(getEventSource(ev)));
+  const statusByFeed = {};
+  const cacheByFeed = {};
+  const errors = [];
+  const summary = { added: 0, updated: 0, removed: 0, moved: 0, renamed: 0, timestamp: Date.now() };
+  const matches = [];
+  const changes = [];
+  let changedFeeds = 0;
+
+  results.forEach(({ feed, outcome, events, cache, error }) => {
+    const feedPrevious = previousEvents.filter(ev => getEventSource(ev) === feed.id);
+
+    if (outcome !== 'changed') {
+      // Failed or unchanged: keep the feed's events as they are
+      nextEvents.push(...feedPrevious);
+      if (outcome === 'error') {
+        errors.push(`${feed.name}: ${error}`);
+      } else {
+        console.log(`Feed "${feed.name}" unchanged`);
+        cacheByFeed[feed.id] = cache;
+      }
+      statusByFeed[feed.id] = { status: outcome === 'error' ? 'error' : 'ok', error, timestamp: Date.now(), eventCount: feedPrevious.length };
+      return;
+    }
+
+    const merged = mergeFeedEvents(feed.id, events, feedPrevious, completedAssignments, inProgressAssignments, archivedEvents);
+    // Assignments restored from the archive give way to the feed's copy once it is republished
+    const feedEventIds = new Set(merged.events.map(getEventId));
+    nextEvents = nextEvents.filter(ev => !(ev.restoredFrom === feed.id && feedEventIds.has(getEventId(ev))));
+    nextEvents.push(...merged.events);
+    summary.added += merged.added;
+    summary.updated += merged.updated;
+    summary.removed += merged.removed;
+    summary.moved += merged.moved;
+    summary.renamed += merged.renamed;
+    matches.push(...merged.matches);
+    changes.push(...merged.changes.map(change => ({ ...change, feedId: feed.id })));
+    statusByFeed[feed.id] = { status: 'ok', error: null, timestamp: Date.now(), eventCount: merged.events.length };
+    cacheByFeed[feed.id] = cache;
+    changedFeeds++;
+  });
+
+  // Nothing changed: leave events untouched so listeners don't re-render
+  if (changedFeeds > 0) {
+    trimArchive(archivedEvents);
+    const updates = {
+      events: nextEvents,
+      completedAssignments,
+      inProgressAssignments,
+      archivedEvents,
+      lastUpdated: new Date().toISOString()
+    };
+    if (reportSummary) updates.lastRefreshSummary = summary;
+    if (changes.length > 0) {
+      const entry = {
+        timestamp: summary.timestamp,
+        summary,
+        changes: changes.slice(0, REFRESH_CHANGES_LIMIT),
+        omitted: Math.max(0, changes.length - REFRESH_CHANGES_LIMIT)
+      };
+      updates.refreshHistory = [entry, ...(data.refreshHistory || [])].slice(0, REFRESH_HISTORY_LIMIT);
+    }
+    if (matches.length > 0) {
+      carryOverUserState(matches, userState);
+      updates.pinnedAssignments = userState.pinnedAssignments;
+      updates.eventOrder = userState.eventOrder;
+    }
+    await chrome.storage.local.set(updates);
+    if (matches.length > 0) {
+      await saveReminderChanges(data.reminders || {}, userState.reminders);
+    }
+    // Reminders follow due time changes and leave removed or cancelled assignments
+    await syncReminders();
+    console.log(`Calendar refreshed: +${summary.added}, updated ${summary.updated}, removed ${summary.removed}, moved ${summary.moved}, renamed ${summary.renamed}`);
+  }
+  await setFeedRefreshStatus(statusByFeed, cacheByFeed);
+
+  if (onChanges && changes.length > 0) {
+    await onChanges(changes);
+  }
+
+  // Only report failure when nothing could be refreshed
+  if (errors.length === results.length) {
+    throw new Error(errors.join('; '));
+  }
+
+  return summary;
+}
@@ -0,0 +1,158 @@
+// Reminder Picker - Panel for a reminder at an exact date and time, or a set time before an assignment is due
+
+import { getCleanTitle } from './utils.js';
+import { formatEventWhen, getEventTime } from './event-model.js';
+import { validateReminderTime } from './reminder-scheduler.js';
+
+const UNIT_MS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+
+// Suggested before an assignment is due when it has no reminder yet
+const DEFAULT_OFFSET = { value: 2, unit: 'hours' };
+
+/**
+ * Format a time for a datetime-local input
+ * @param {number} time - Epoch ms
+ * @returns {string} "YYYY-MM-DDTHH:MM" in local time
+ */
+function toDateTimeInputValue(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Split an offset into the largest unit it is a whole number of
+ * @param {number} ms - Offset in milliseconds
+ * @returns {{value: number, unit: string}} Value and unit for the inputs
+ */
+function splitOffset(ms) {
+  const unit = ['days', 'hours', 'minutes'].find(name => ms % UNIT_MS[name] === 0) || 'minutes';
+  return { value: Math.max(1, Math.round(ms / UNIT_MS[unit])), unit };
+}
+
+export class ReminderPicker {
+  constructor(options = {}) {
+    this.modal = options.modal;
+    this.titleEl = options.titleEl;
+    this.modeInputs = options.modeInputs || [];
+    this.exactGroup = options.exactGroup;
+    this.offsetGroup = options.offsetGroup;
+    this.dateTimeInput = options.dateTimeInput;
+    this.offsetValueInput = options.offsetValueInput;
+    this.offsetUnitSelect = options.offsetUnitSelect;
+    this.errorEl = options.errorEl;
+    this.saveBtn = options.saveBtn;
+    this.onSave = options.onSave || (async () => {});
+    this.event = null;
+
+    this.modeInputs.forEach(input => input.addEventListener('change', () => this.showMode(input.value)));
+    [this.dateTimeInput, this.offsetValueInput, this.offsetUnitSelect].forEach(input => {
+      if (input) input.addEventListener('input', () => this.showError(null));
+    });
+    if (this.saveBtn) this.saveBtn.addEventListener('click', () => this.save());
+  }
+
+  /**
+   * Open the picker for an assignment
+   * @param {Object} event - The assignment
+   * @param {Object|null} current - Its current reminder record, if it has one
+   */
+  open(event, current) {
+    this.event = event;
+    const now = Date.now();
+    const dueAt = getEventTime(event);
+    const hasUpcomingDue = dueAt > now;
+
+    if (this.titleEl) {
+      this.titleEl.textContent = hasUpcomingDue
+        ? `${getCleanTitle(event.title)} · due ${formatEventWhen(event)}`
+        : getCleanTitle(event.title);
+    }
+
+    // Suggest the current reminder, otherwise two hours before due (or an hour from now)
+    const offset = current && current.leadMs ? splitOffset(current.leadMs) : DEFAULT_OFFSET;
+    let suggested = current ? current.fireAt : dueAt - offset.value * UNIT_MS[offset.unit];
+    if (!suggested || suggested <= now) suggested = now + UNIT_MS.hours;
+    this.dateTimeInput.value = toDateTimeInputValue(suggested);
+    this.dateTimeInput.min = toDateTimeInputValue(now);
+    if (hasUpcomingDue) this.dateTimeInput.max = toDateTimeInputValue(dueAt);
+    else this.dateTimeInput.removeAttribute('max');
+    this.offsetValueInput.value = offset.value;
+    this.offsetUnitSelect.value = offset.unit;
+
+    // "Before it's due" needs a due time that is still ahead
+    const mode = hasUpcomingDue && current && current.leadMs ? 'offset' : 'exact';
+    this.modeInputs.forEach(input => {
+      input.checked = input.value === mode;
+      if (input.value === 'offset') input.disabled = !hasUpcomingDue;
+    });
+    this.showMode(mode);
+    this.showError(null);
+    this.modal.classList.remove('hidden');
+  }
+
+  close() {
+    this.modal.classList.add('hidden');
+    this.event = null;
+  }
+
+  /**
+   * Show the inputs for a mode
+   * @param {'exact'|'offset'} mode - Picker mode
+   */
+  showMode(mode) {
+    this.exactGroup.classList.toggle('hidden', mode !== 'exact');
+    this.offsetGroup.classList.toggle('hidden', mode !== 'offset');
+    this.showError(null);
+  }
+
+  /**
+   * Show (or hide) the message under the inputs
+   * @param {string|null} message - What is wrong, or null to hide it
+   */
+  showError(message) {
+    if (!this.errorEl) return;
+    this.errorEl.textContent = message || '';
+    this.errorEl.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Read the reminder time from the inputs
+   * @returns {{fireAt: number, offsetMs: number|null}} When to notify, and the offset before due for offset reminders
+   */
+  readInputs() {
+    const mode = (this.modeInputs.find(input => input.checked) || {}).value;
+    if (mode === 'offset') {
+      const value = parseInt(this.offsetValueInput.value, 10);
+      const offsetMs = value > 0 ? value * UNIT_MS[this.offsetUnitSelect.value] : NaN;
+      return { fireAt: getEventTime(this.event) - offsetMs, offsetMs };
+    }
+    // datetime-local values without a time zone are read as local time
+    const fireAt = this.dateTimeInput.value ? new Date(this.dateTimeInput.value).getTime() : NaN;
+    return { fireAt, offsetMs: null };
+  }
+
+  /**
+   * Check the picked time and set the reminder
+   */
+  async save() {
+    if (!this.event) return;
+    const { fireAt, offsetMs } = this.readInputs();
+    const error = validateReminderTime(fireAt, getEventTime(this.event) || null);
+    if (error) {
+      this.showError(error);
+      return;
+    }
+
+    try {
+      await this.onSave(this.event, fireAt, offsetMs);
+      this.close();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+}
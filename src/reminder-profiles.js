@@ -0,0 +1,153 @@
+// Reminder Profiles - Stacked reminder stages (e.g. 3 days, 1 day and 2 hours before due) chosen per course
+// (subject tag) or by whether an assignment is a major assessment. Each stage becomes its own reminder.
+
+import { extractSubject, findSubjectTagKey, isMajorAssignment } from './utils.js';
+
+// Follows the "Reminder lead time" setting (a single stage)
+export const STANDARD_PROFILE_ID = 'standard';
+
+// Profiles offered besides Standard; their stages can be edited in the settings
+export const DEFAULT_REMINDER_PROFILES = {
+  tests: {
+    name: 'Tests & projects',
+    stages: [
+      { type: 'before', minutes: 3 * 24 * 60 },
+      { type: 'before', minutes: 24 * 60 },
+      { type: 'before', minutes: 2 * 60 }
+    ]
+  },
+  homework: {
+    name: 'Homework',
+    stages: [{ type: 'night', time: '20:00' }]
+  }
+};
+
+// "Night before" reminders go out at this time unless the stage says otherwise
+const DEFAULT_NIGHT_TIME = '20:00';
+
+const STAGE_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * Check whether a profile ID is one of the known profiles
+ * @param {string} profileId - Profile ID
+ * @returns {boolean} True for Standard and the default profiles
+ */
+export function isReminderProfile(profileId) {
+  return profileId === STANDARD_PROFILE_ID || Object.prototype.hasOwnProperty.call(DEFAULT_REMINDER_PROFILES, profileId);
+}
+
+/**
+ * Parse stages typed in the settings, e.g. "3d, 1d, 2h" or "night 20:00"
+ * @param {string} text - Comma-separated stages: a number with m, h or d (before due), or "night" with an optional time
+ * @returns {Array<{type: 'before', minutes: number}|{type: 'night', time: string}>|null} Stages, or null if any part
+ *   can't be read or there are none
+ */
+export function parseStages(text) {
+  const parts = (text || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const stages = [];
+  for (const part of parts) {
+    const before = part.match(/^(\d+)\s*([mhd])$/);
+    const night = part.match(/^night(?:\s+(\d{1,2}):(\d{2}))?$/);
+    if (before && parseInt(before[1], 10) > 0) {
+      stages.push({ type: 'before', minutes: parseInt(before[1], 10) * STAGE_UNITS[before[2]] });
+    } else if (night) {
+      const hours = night[1] ? parseInt(night[1], 10) : null;
+      if (hours !== null && (hours > 23 || parseInt(night[2], 10) > 59)) return null;
+      stages.push({ type: 'night', time: hours !== null ? `${String(hours).padStart(2, '0')}:${night[2]}` : DEFAULT_NIGHT_TIME });
+    } else {
+      return null;
+    }
+  }
+  return stages;
+}
+
+/**
+ * Write stages the way they are typed in the settings
+ * @param {Array} stages - Profile stages
+ * @returns {string} e.g. "3d, 1d, 2h"
+ */
+export function formatStages(stages) {
+  return stages.map(stage => {
+    if (stage.type === 'night') return `night ${stage.time}`;
+    if (stage.minutes % STAGE_UNITS.d === 0) return `${stage.minutes / STAGE_UNITS.d}d`;
+    if (stage.minutes % STAGE_UNITS.h === 0) return `${stage.minutes / STAGE_UNITS.h}h`;
+    return `${stage.minutes}m`;
+  }).join(', ');
+}
+
+/**
+ * Fill in missing or malformed profiles from the defaults
+ * @param {Object} [value] - Stored profiles keyed by ID ({stages})
+ * @returns {Object} Profiles keyed by ID ({name, stages})
+ */
+export function normalizeReminderProfiles(value) {
+  const profiles = {};
+  Object.keys(DEFAULT_REMINDER_PROFILES).forEach(id => {
+    const stored = value && value[id];
+    const stages = stored && Array.isArray(stored.stages) ? stored.stages.filter(isValidStage) : [];
+    profiles[id] = {
+      name: DEFAULT_REMINDER_PROFILES[id].name,
+      stages: stages.length > 0 ? stages : DEFAULT_REMINDER_PROFILES[id].stages
+    };
+  });
+  return profiles;
+}
+
+/**
+ * Check the shape of a stored stage
+ * @param {Object} stage - Stage to check
+ * @returns {boolean} True if it can be used
+ */
+function isValidStage(stage) {
+  if (!stage) return false;
+  if (stage.type === 'night') return /^\d{2}:\d{2}$/.test(stage.time || '');
+  return stage.type === 'before' && Number.isInteger(stage.minutes) && stage.minutes > 0;
+}
+
+/**
+ * Work out which profile an assignment's reminders follow: its course's profile if one is set, otherwise the
+ * profile for major or other assignments
+ * @param {Object} event - The assignment
+ * @param {Object} settings - Stored reminderSettings
+ * @param {Object} [subjectTags] - Subject tags keyed by their original name ({color, displayName, reminderProfile})
+ * @returns {string} Profile ID
+ */
+export function getEventProfileId(event, settings, subjectTags = {}) {
+  const tagKey = findSubjectTagKey(extractSubject(event.title), subjectTags);
+  const courseProfile = tagKey && subjectTags[tagKey] ? subjectTags[tagKey].reminderProfile : null;
+  if (courseProfile && isReminderProfile(courseProfile)) return courseProfile;
+
+  const profileId = isMajorAssignment(event) ? settings.majorProfile : settings.minorProfile;
+  return isReminderProfile(profileId) ? profileId : STANDARD_PROFILE_ID;
+}
+
+/**
+ * Get the stages of a profile
+ * @param {string} profileId - Profile ID
+ * @param {Object} settings - Stored reminderSettings
+ * @returns {Array} Stages
+ */
+export function getProfileStages(profileId, settings) {
+  if (profileId !== STANDARD_PROFILE_ID) {
+    const profile = normalizeReminderProfiles(settings.profiles)[profileId];
+    if (profile) return profile.stages;
+  }
+  return [{ type: 'before', minutes: (parseInt(settings.hours, 10) || 24) * 60 }];
+}
+
+/**
+ * Get when a stage goes off for a due time
+ * @param {Object} stage - Profile stage
+ * @param {number} dueAt - The assignment's due time (local epoch ms)
+ * @returns {number} Epoch ms
+ */
+export function getStageTime(stage, dueAt) {
+  if (stage.type === 'night') {
+    const due = new Date(dueAt);
+    const [hours, minutes] = stage.time.split(':').map(part => parseInt(part, 10));
+    return new Date(due.getFullYear(), due.getMonth(), due.getDate() - 1, hours, minutes).getTime();
+  }
+  return dueAt - stage.minutes * 60 * 1000;
+}
@@ -0,0 +1,625 @@
+// Reminder Scheduler - One record format and one alarm naming scheme for every kind of reminder
+// Lead-time reminders (from the settings), calendar alarms (VALARM), reminders set on an assignment and test
+// reminders are all stored in the `reminders` map and scheduled by syncReminders(), from the popup or the service worker.
+
+import { getEventId, isCancelledEvent } from './utils.js';
+import { getEventTime, toLocalTime } from './event-model.js';
+import { getEventSource, loadFeeds } from './feed-manager.js';
+import { normalizeQuietHours, shiftForQuietHours } from './quiet-hours.js';
+import { getEventProfileId, getProfileStages, getStageTime } from './reminder-profiles.js';
+
+// Alarm names are this prefix plus the reminder's key; the key is looked up, never parsed
+export const REMINDER_ALARM_PREFIX = 'reminder:';
+
+// Alarm names used before the scheduler existed (cleared when found)
+const LEGACY_ALARM_PREFIXES = ['reminder_', 'assignment_reminder_'];
+
+// Chrome doesn't fire alarms sooner than 30 seconds after they are created
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+// An existing alarm this close to the wanted time is left alone
+const ALARM_TOLERANCE_MS = 60 * 1000;
+
+// Reminders scheduled from the settings rather than by the student
+const AUTOMATIC_SOURCES = ['lead', 'feed'];
+
+let queue = Promise.resolve();
+
+/**
+ * Get the key a reminder is stored under
+ * Automatic reminders get the same key every time they are planned, which keeps rescheduling idempotent
+ * @param {'lead'|'feed'|'custom'|'test'} source - Where the reminder comes from
+ * @param {string|null} eventId - Assignment ID (null for test reminders)
+ * @param {number} [leadMs] - How long before the due time it fires (lead and feed reminders)
+ * @param {string|null} [stage] - Name of a profile stage that isn't a fixed lead time (e.g. 'night'); used instead of leadMs
+ * @returns {string} Reminder key
+ */
+export function getReminderKey(source, eventId, leadMs = 0, stage = null) {
+  if (source === 'test') return `test:${Date.now()}`;
+  if (source === 'custom') return `custom:${eventId}`;
+  return `${source}:${stage || `${Math.round(leadMs / 60000)}m`}:${eventId}`;
+}
+
+/**
+ * Get the alarm name of a reminder
+ * @param {string} key - Reminder key
+ * @returns {string} Alarm name
+ */
+export function getReminderAlarmName(key) {
+  return `${REMINDER_ALARM_PREFIX}${key}`;
+}
+
+/**
+ * Check whether an alarm (or notification) belongs to a reminder
+ * @param {string} name - Alarm or notification name
+ * @returns {boolean} True for reminder alarms
+ */
+export function isReminderAlarm(name) {
+  return typeof name === 'string' && name.startsWith(REMINDER_ALARM_PREFIX);
+}
+
+/**
+ * Check whether a reminder was set by the student (and so belongs in backups)
+ * @param {Object} record - Reminder record
+ * @returns {boolean} True for reminders set on an assignment
+ */
+export function isCustomReminder(record) {
+  return !!record && record.source === 'custom';
+}
+
+/**
+ * Create a reminder record
+ * @param {Object} fields
+ * @param {'lead'|'feed'|'custom'|'test'} fields.source - Where the reminder comes from
+ * @param {string|null} fields.eventId - Assignment ID
+ * @param {string} fields.title - Assignment title
+ * @param {number} fields.fireAt - When to notify (epoch ms)
+ * @param {number|null} [fields.dueAt] - The assignment's due time the reminder was planned for (local epoch ms)
+ * @param {number|null} [fields.leadMs] - How long before the due time it fires (lead and feed reminders, and
+ *   reminders the student set relative to the due time)
+ * @param {string|null} [fields.stage] - Profile stage name when it isn't a fixed lead time (see getReminderKey)
+ * @param {string} [fields.message] - Fixed notification text (test reminders)
+ * @returns {{eventId: string|null, source: string, title: string, fireAt: number, shiftedTo: number|null, dueAt: number|null, leadMs: number|null, stage: string|null, snoozeCount: number, delivered: boolean, deliveredAt: number|null}}
+ *   shiftedTo is set when quiet hours moved the reminder away from fireAt
+ */
+export function createReminderRecord({ source, eventId, title, fireAt, dueAt = null, leadMs = null, stage = null, message }) {
+  const record = {
+    eventId,
+    source,
+    title,
+    fireAt,
+    shiftedTo: null,
+    dueAt,
+    leadMs,
+    stage,
+    snoozeCount: 0,
+    delivered: false,
+    deliveredAt: null
+  };
+  if (message) record.message = message;
+  return record;
+}
+
+/**
+ * Get when a reminder actually goes off (after any quiet hours shift)
+ * @param {Object} record - Reminder record
+ * @returns {number} Epoch ms
+ */
+export function getReminderFireTime(record) {
+  return record.shiftedTo || record.fireAt;
+}
+
+/**
+ * Move a pending reminder out of quiet hours (or back, if they no longer apply) and log the move
+ * @param {string} key - Reminder key
+ * @param {Object} record - Reminder record
+ * @param {Object} quietHours - Normalized quiet hours
+ * @param {number} now - Current time in epoch ms
+ * @returns {Object} The record with shiftedTo updated
+ */
+function applyQuietHours(key, record, quietHours, now) {
+  if (record.delivered || record.source === 'test') return record;
+  // Already moved to a time that has come; it goes out now
+  if (record.shiftedTo && record.shiftedTo <= now) return record;
+
+  const time = Math.max(record.fireAt, now);
+  const shift = shiftForQuietHours(time, record.dueAt, quietHours, now);
+  const shiftedTo = shift.reason ? shift.time : null;
+  if (shiftedTo !== (record.shiftedTo || null)) {
+    if (shiftedTo) {
+      console.log(`Reminder ${key} ${shift.reason} for quiet hours: ${new Date(time).toLocaleString()} -> ${new Date(shiftedTo).toLocaleString()}`);
+    } else {
+      console.log(`Reminder ${key} no longer in quiet hours, back to ${new Date(time).toLocaleString()}`);
+    }
+  }
+  return { ...record, shiftedTo };
+}
+
+/**
+ * Describe a lead time for reminder messages ("45 minutes", "12 hours", "2 days")
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Readable duration
+ */
+export function formatLeadTime(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  const days = Math.round(hours / 24);
+  return `${days} days`;
+}
+
+/**
+ * Get the notification text for a reminder
+ * @param {Object} record - Reminder record
+ * @param {number} [now] - Current time in epoch ms
+ * @returns {string} Message
+ */
+export function getReminderMessage(record, now = Date.now()) {
+  if (record.message) return record.message;
+  if (record.source === 'custom' || !record.dueAt) return record.title || 'You have an upcoming assignment!';
+  return `${record.title} is due in ${formatLeadTime(Math.max(record.dueAt - now, 0))}!`;
+}
+
+/**
+ * Get the fire times of an event's feed (VALARM) alarms, ascending
+ * @param {Object} event - The event
+ * @returns {Array<number>} Epoch ms
+ */
+function getFeedAlarmTimes(event) {
+  const start = toLocalTime(event.startAt, event.allDay);
+  const end = event.componentType === 'VTODO'
+    ? getEventTime(event)
+    : toLocalTime(event.endAt, event.allDay) || start;
+
+  return (event.alarms || [])
+    .map(alarm => {
+      if (alarm.type === 'absolute') return alarm.timestamp;
+      const anchor = alarm.related === 'END' ? end : (start || end);
+      return anchor ? anchor + alarm.offsetMs : 0;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Work out the automatic reminders an assignment should have: one per stage of its reminder profile, plus the
+ * feed's own alarms
+ * @param {Object} event - The assignment
+ * @param {{hours: number, feedAlarms: string}} settings - Reminder settings (with profile choices)
+ * @param {Object} [subjectTags] - Subject tags, which may pick a profile for their course
+ * @returns {Array<{source: 'lead'|'feed', leadMs: number, stage: string|null, fireAt: number}>} Planned reminders
+ */
+function planAutomaticReminders(event, settings, subjectTags) {
+  const dueAt = getEventTime(event);
+  // How VALARMs from the feed are used: 'accept' (alongside the profile's stages), 'minimum' or 'ignore'
+  const feedAlarmMode = settings.feedAlarms || 'accept';
+
+  const plans = getProfileStages(getEventProfileId(event, settings, subjectTags), settings)
+    .map(stage => {
+      const fireAt = getStageTime(stage, dueAt);
+      return { source: 'lead', leadMs: dueAt - fireAt, stage: stage.type === 'before' ? null : stage.type, fireAt };
+    })
+    .filter(plan => plan.leadMs > 0);
+  const stageLeads = plans.map(plan => plan.leadMs);
+
+  // Lead times from feed alarms that fire before the due time
+  const feedLeads = feedAlarmMode === 'ignore'
+    ? []
+    : getFeedAlarmTimes(event)
+      .map(fireAt => Math.round((dueAt - fireAt) / 60000) * 60000)
+      .filter(ms => ms > 0 && !stageLeads.includes(ms));
+  const feedPlan = (leadMs) => ({ source: 'feed', leadMs, stage: null, fireAt: dueAt - leadMs });
+
+  if (feedAlarmMode === 'accept') {
+    return plans.concat([...new Set(feedLeads)].map(feedPlan));
+  }
+  if (feedAlarmMode === 'minimum' && feedLeads.length > 0) {
+    // The feed's earliest alarm is the least warning the student gets: it takes the place of the earliest stage
+    const longestLead = Math.max(...feedLeads);
+    const earliestStage = Math.max(0, ...stageLeads);
+    if (longestLead > earliestStage) {
+      return plans.filter(plan => plan.leadMs !== earliestStage).concat(feedPlan(longestLead));
+    }
+  }
+  return plans;
+}
+
+/**
+ * Load what reminders are planned from: stored assignments, their status, reminder settings, subject tags and reminders
+ * @returns {Promise<{data: Object, disabledFeeds: Set<string>}>} Stored values and the IDs of hidden feeds
+ */
+export async function loadReminderData() {
+  const data = await chrome.storage.local.get(['events', 'completedAssignments', 'reminderSettings', 'reminders', 'subjectTags']);
+  const disabledFeeds = new Set((await loadFeeds()).filter(feed => !feed.enabled).map(feed => feed.id));
+  return { data, disabledFeeds };
+}
+
+/**
+ * Get the assignments that can still be reminded about (not completed, cancelled or in a hidden feed)
+ * @param {Object} data - Stored values (events, completedAssignments)
+ * @param {Set<string>} disabledFeeds - IDs of hidden feeds
+ * @returns {Map<string, Object>} Events by ID
+ */
+export function getActiveEvents(data, disabledFeeds) {
+  const completedAssignments = data.completedAssignments || {};
+  const active = new Map();
+  (data.events || []).forEach(event => {
+    const eventId = getEventId(event);
+    if (event.isCompleted || completedAssignments[eventId] || isCancelledEvent(event)) return;
+    if (disabledFeeds.has(getEventSource(event))) return;
+    active.set(eventId, event);
+  });
+  return active;
+}
+
+/**
+ * Work out the reminders that should be stored for the current assignments and settings
+ * Safe to run any number of times: automatic reminders are planned under stable keys, reminders follow due time
+ * changes, and reminders of completed, cancelled or removed assignments are dropped.
+ * @param {Object} data - Stored values (events, completedAssignments, reminderSettings, reminders, subjectTags)
+ * @param {Set<string>} disabledFeeds - IDs of hidden feeds
+ * @param {number} now - Current time in epoch ms
+ * @returns {{reminders: Object, added: number, rescheduled: number, removed: number, shifted: number}} The new reminder map and what changed
+ */
+export function planReminders(data, disabledFeeds, now) {
+  const settings = data.reminderSettings || { enabled: true, hours: 24 };
+  const previous = data.reminders || {};
+
+  // Automatic reminders need the assignment to be upcoming, while a reminder the student set also works for one
+  // that is past due
+  const active = getActiveEvents(data, disabledFeeds);
+  const upcoming = new Map([...active].filter(([, event]) => getEventTime(event) > now));
+
+  const planned = new Map();
+  if (settings.enabled) {
+    upcoming.forEach((event, eventId) => {
+      if (!event.isAssignment) return;
+      planAutomaticReminders(event, settings, data.subjectTags).forEach(plan => {
+        planned.set(getReminderKey(plan.source, eventId, plan.leadMs, plan.stage), { ...plan, eventId, event });
+      });
+    });
+  }
+
+  const reminders = {};
+  let added = 0;
+  let rescheduled = 0;
+  let removed = 0;
+
+  Object.entries(previous).forEach(([key, record]) => {
+    if (record.source === 'test') {
+      if (!record.delivered) reminders[key] = record;
+      return;
+    }
+    const event = active.get(record.eventId);
+    const keep = AUTOMATIC_SOURCES.includes(record.source)
+      ? planned.has(key)
+      : !!event && (!record.delivered || upcoming.has(record.eventId));
+    if (!event || !keep) {
+      removed++;
+      return;
+    }
+
+    const next = { ...record, title: event.title };
+    const dueAt = getEventTime(event);
+    const plan = planned.get(key);
+    if (next.dueAt === null || next.dueAt === undefined) {
+      // Records carried over from before the scheduler may not know the due time they were planned for
+      next.dueAt = dueAt;
+    } else if (next.dueAt !== dueAt || (plan && plan.leadMs !== next.leadMs)) {
+      // The due time moved, or a stage like "night before" now falls at another time
+      next.dueAt = dueAt;
+      // Reminders set "before due" keep their offset from the new due time
+      const fireAt = plan ? plan.fireAt : (next.source === 'custom' && next.leadMs ? dueAt - next.leadMs : null);
+      if (fireAt !== null) {
+        next.fireAt = fireAt;
+        next.leadMs = plan ? plan.leadMs : next.leadMs;
+        next.shiftedTo = null;
+        next.delivered = false;
+        next.deliveredAt = null;
+        next.snoozeCount = 0;
+      }
+      console.log('Due time or stage changed, rescheduling reminder:', key);
+      rescheduled++;
+    }
+    reminders[key] = next;
+  });
+
+  planned.forEach((plan, key) => {
+    if (reminders[key]) return;
+    const dueAt = getEventTime(plan.event);
+    reminders[key] = createReminderRecord({
+      source: plan.source,
+      eventId: plan.eventId,
+      title: plan.event.title,
+      fireAt: plan.fireAt,
+      dueAt,
+      leadMs: plan.leadMs,
+      stage: plan.stage
+    });
+    added++;
+  });
+
+  // Several missed automatic reminders for one assignment collapse into a single catch-up (the latest one)
+  const missedByEvent = new Map();
+  Object.entries(reminders).forEach(([key, record]) => {
+    if (!AUTOMATIC_SOURCES.includes(record.source) || record.delivered || record.fireAt > now) return;
+    if (!missedByEvent.has(record.eventId)) missedByEvent.set(record.eventId, []);
+    missedByEvent.get(record.eventId).push(key);
+  });
+  missedByEvent.forEach(keys => {
+    keys.sort((a, b) => reminders[b].fireAt - reminders[a].fireAt);
+    keys.slice(1).forEach(key => {
+      reminders[key] = { ...reminders[key], delivered: true, deliveredAt: now, skipped: true };
+    });
+  });
+
+  // Reminders that would go off during quiet hours wait for them to end (or go out before they start)
+  const quietHours = normalizeQuietHours(settings.quietHours);
+  let shifted = 0;
+  Object.keys(reminders).forEach(key => {
+    const before = reminders[key].shiftedTo || null;
+    reminders[key] = applyQuietHours(key, reminders[key], quietHours, now);
+    if ((reminders[key].shiftedTo || null) !== before) shifted++;
+  });
+
+  return { reminders, added, rescheduled, removed, shifted };
+}
+
+/**
+ * Store the changes made to a copy of the reminders map on top of what is stored now
+ * The popup and the service worker both update reminders and don't share a queue, so the stored map may have changed
+ * since `before` was read: only the records this change touched are written, and a record that was delivered in the
+ * meantime isn't made pending again unless its time changed (snoozed, or re-anchored to a new due time).
+ * @param {Object} before - The reminders map as it was read
+ * @param {Object} after - The map with this change applied
+ * @returns {Promise<Object>} The reminders map as stored
+ */
+export async function saveReminderChanges(before, after) {
+  const { reminders: stored = {} } = await chrome.storage.local.get(['reminders']);
+  const merged = { ...stored };
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    const next = after[key];
+    if (JSON.stringify(before[key]) === JSON.stringify(next)) return;
+    if (!next) {
+      delete merged[key];
+      return;
+    }
+    const current = stored[key];
+    if (current && current.delivered && !next.delivered && current.fireAt === next.fireAt) {
+      merged[key] = { ...next, delivered: true, deliveredAt: current.deliveredAt, actions: current.actions };
+      return;
+    }
+    merged[key] = next;
+  });
+
+  await chrome.storage.local.set({ reminders: merged });
+  return merged;
+}
+
+/**
+ * Create, move or clear alarms so each pending reminder has exactly one
+ * @param {Object} reminders - Map of reminder key to record
+ * @param {number} now - Current time in epoch ms
+ */
+async function applyReminderAlarms(reminders, now) {
+  const alarms = await chrome.alarms.getAll();
+  const existing = new Map(alarms.map(alarm => [alarm.name, alarm]));
+
+  for (const alarm of alarms) {
+    const stale = isReminderAlarm(alarm.name)
+      ? !reminders[alarm.name.slice(REMINDER_ALARM_PREFIX.length)] || reminders[alarm.name.slice(REMINDER_ALARM_PREFIX.length)].delivered
+      : LEGACY_ALARM_PREFIXES.some(prefix => alarm.name.startsWith(prefix));
+    if (stale) await chrome.alarms.clear(alarm.name);
+  }
+
+  for (const [key, record] of Object.entries(reminders)) {
+    if (record.delivered) continue;
+    const name = getReminderAlarmName(key);
+    const fireTime = getReminderFireTime(record);
+    const when = Math.max(fireTime, now + MIN_ALARM_DELAY_MS);
+    const alarm = existing.get(name);
+    if (alarm && (fireTime <= now || Math.abs(alarm.scheduledTime - when) <= ALARM_TOLERANCE_MS)) continue;
+    await chrome.alarms.create(name, { when });
+  }
+}
+
+/**
+ * Run a task after the reminder tasks already queued in this context
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} The task's result
+ */
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(error => {
+    console.error('Reminder scheduling failed:', error);
+  });
+  return run;
+}
+
+/**
+ * Re-plan every reminder from the stored assignments and settings and update their alarms
+ * @returns {Promise<{added: number, rescheduled: number, removed: number, shifted: number}>} What changed
+ */
+export function syncReminders() {
+  return enqueue(async () => {
+    const { data, disabledFeeds } = await loadReminderData();
+    const now = Date.now();
+
+    const { reminders, added, rescheduled, removed, shifted } = planReminders(data, disabledFeeds, now);
+    const stored = await saveReminderChanges(data.reminders || {}, reminders);
+    await applyReminderAlarms(stored, now);
+
+    console.log(`Reminders synced: ${added} added, ${rescheduled} rescheduled, ${removed} removed, ${shifted} shifted for quiet hours`);
+    return { added, rescheduled, removed, shifted };
+  });
+}
+
+/**
+ * Update a stored reminder and its alarm (the new time is moved out of quiet hours)
+ * @param {string} key - Reminder key
+ * @param {Function} update - Returns the new record (or null to remove it) given the current one
+ * @returns {Promise<Object|null>} The new record
+ */
+function updateReminder(key, update) {
+  return enqueue(async () => {
+    const data = await chrome.storage.local.get(['reminders', 'reminderSettings']);
+    const reminders = { ...(data.reminders || {}) };
+    const updated = update(reminders[key] || null);
+    const quietHours = normalizeQuietHours((data.reminderSettings || {}).quietHours);
+    const record = updated ? applyQuietHours(key, { ...updated, shiftedTo: null }, quietHours, Date.now()) : null;
+    const name = getReminderAlarmName(key);
+
+    if (record) {
+      reminders[key] = record;
+    } else {
+      delete reminders[key];
+    }
+    await saveReminderChanges(data.reminders || {}, reminders);
+
+    await chrome.alarms.clear(name);
+    if (record && !record.delivered) {
+      await chrome.alarms.create(name, { when: Math.max(getReminderFireTime(record), Date.now() + MIN_ALARM_DELAY_MS) });
+    }
+    return record;
+  });
+}
+
+/**
+ * Check a time the student picked for a reminder
+ * @param {number} fireAt - When to notify (epoch ms)
+ * @param {number|null} dueAt - The assignment's due time (local epoch ms)
+ * @param {number} [now] - Current time in epoch ms
+ * @returns {string|null} What is wrong with the time, or null if it can be used
+ */
+export function validateReminderTime(fireAt, dueAt, now = Date.now()) {
+  if (!Number.isFinite(fireAt)) return 'Pick a date and time';
+  if (fireAt <= now) return 'Pick a time in the future';
+  // Past-due assignments can still get a reminder, for whenever the student plans to catch up
+  if (dueAt && dueAt > now && fireAt >= dueAt) return 'The reminder has to be before the due time';
+  return null;
+}
+
+/**
+ * Set (or replace) the reminder the student put on an assignment
+ * @param {Object} event - The assignment
+ * @param {number} fireAt - When to notify (epoch ms)
+ * @param {number|null} [offsetMs] - For reminders set relative to the due time: how long before it to notify; the
+ *   reminder then follows the due time when the feed moves it
+ * @returns {Promise<Object>} The reminder record
+ */
+export function setCustomReminder(event, fireAt, offsetMs = null) {
+  const eventId = getEventId(event);
+  const dueAt = getEventTime(event) || null;
+  const error = validateReminderTime(fireAt, dueAt);
+  if (error) return Promise.reject(new Error(error));
+
+  return updateReminder(getReminderKey('custom', eventId), () => createReminderRecord({
+    source: 'custom',
+    eventId,
+    title: event.title,
+    fireAt,
+    dueAt,
+    leadMs: offsetMs
+  }));
+}
+
+/**
+ * Remove the reminder the student put on an assignment
+ * @param {Object} event - The assignment
+ * @returns {Promise<null>}
+ */
+export function clearCustomReminder(event) {
+  return updateReminder(getReminderKey('custom', getEventId(event)), () => null);
+}
+
+/**
+ * Get the pending reminder the student put on an assignment
+ * @param {Object} event - The assignment
+ * @returns {Promise<Object|null>} The reminder record, or null if there is none
+ */
+export async function getCustomReminder(event) {
+  const data = await chrome.storage.local.get(['reminders']);
+  const record = (data.reminders || {})[getReminderKey('custom', getEventId(event))];
+  return record && !record.delivered ? record : null;
+}
+
+/**
+ * Fire the reminder again after a delay
+ * @param {string} key - Reminder key
+ * @param {number} minutes - Delay in minutes
+ * @returns {Promise<Object|null>} The snoozed record, or null if it no longer exists
+ */
+export function snoozeReminder(key, minutes) {
+  return updateReminder(key, record => (record ? {
+    ...record,
+    fireAt: Date.now() + minutes * 60 * 1000,
+    snoozeCount: (record.snoozeCount || 0) + 1,
+    delivered: false,
+    deliveredAt: null
+  } : null));
+}
+
+/**
+ * Schedule a test reminder
+ * @param {string} message - Notification text
+ * @param {number} [delayMs] - How long from now to fire
+ * @returns {Promise<{key: string, fireAt: number}>}
+ */
+export async function scheduleTestReminder(message, delayMs = MIN_ALARM_DELAY_MS) {
+  const key = getReminderKey('test', null);
+  const fireAt = Date.now() + delayMs;
+  await updateReminder(key, () => createReminderRecord({ source: 'test', eventId: null, title: 'Test Reminder', fireAt, message }));
+  return { key, fireAt };
+}
+
+/**
+ * Mark the reminder behind a fired alarm as delivered
+ * @param {string} alarmName - Name of the alarm that fired
+ * @param {Function} [pickActions] - Returns the notification buttons (action IDs) for the record; they are stored on it
+ *   as `actions` so a button click maps to the action that was shown
+ * @returns {Promise<{key: string, record: Object}|null>} The reminder to show, or null if it is gone, already delivered,
+ *   or its assignment was completed in the meantime
+ */
+export function takeDueReminder(alarmName, pickActions = () => []) {
+  if (!isReminderAlarm(alarmName)) return Promise.resolve(null);
+  const key = alarmName.slice(REMINDER_ALARM_PREFIX.length);
+
+  return enqueue(async () => {
+    const data = await chrome.storage.local.get(['reminders', 'completedAssignments']);
+    const reminders = { ...(data.reminders || {}) };
+    const record = reminders[key];
+    if (!record || record.delivered) return null;
+
+    if (record.eventId && (data.completedAssignments || {})[record.eventId]) {
+      delete reminders[key];
+      await saveReminderChanges(data.reminders, reminders);
+      return null;
+    }
+
+    reminders[key] = { ...record, delivered: true, deliveredAt: Date.now(), actions: pickActions(record) };
+    await saveReminderChanges(data.reminders, reminders);
+    return { key, record: reminders[key] };
+  });
+}
+
+/**
+ * Give the reminders of an assignment that was renamed or moved to a new ID (updated in place)
+ * Alarms are brought in line by the next syncReminders()
+ * @param {Object} reminders - Map of reminder key to record
+ * @param {string} fromId - The assignment's old ID
+ * @param {string} toId - Its new ID
+ * @param {Object} event - The assignment as it is now
+ */
+export function moveEventReminders(reminders, fromId, toId, event) {
+  Object.keys(reminders).forEach(key => {
+    const record = reminders[key];
+    if (record.eventId !== fromId) return;
+    delete reminders[key];
+    const nextKey = getReminderKey(record.source, toId, record.leadMs || 0, record.stage);
+    if (!reminders[nextKey]) {
+      reminders[nextKey] = { ...record, eventId: toId, title: event.title };
+    }
+  });
+}
@@ -1,8 +1,7 @@
 // Sidebar - Handles major assignments sidebar display
 
-import { getCleanTitle } from './utils.js';
-import { ICalParser } from './ical-parser.js';
-import { MAJOR_ASSIGNMENT_KEYWORDS } from './constants.js';
+import { getCleanTitle, isMajorAssignment } from './utils.js';
+import { formatEventWhen, getEventDate, getEventTime } from './event-model.js';
 
 export class Sidebar {
   constructor(options = {}) {
@@ -45,9 +44,7 @@ export class Sidebar {
    * @returns {boolean} True if major assignment
    */
   isMajorAssignment(event) {
-    if (!event) return false;
-    const text = `${event.title || ''} ${event.description || ''}`;
-    return MAJOR_ASSIGNMENT_KEYWORDS.test(text);
+    return isMajorAssignment(event);
   }
 
   /**
@@ -126,7 +123,7 @@ export class Sidebar {
 
         const meta = document.createElement('div');
         meta.className = 'major-meta';
-        meta.textContent = ev.dueTime || ev.startTime || '';
+        meta.textContent = formatEventWhen(ev);
 
         content.appendChild(title);
         content.appendChild(meta);
@@ -147,12 +144,7 @@ export class Sidebar {
         item.appendChild(unpinBtn);
 
         // Click to navigate to date
-        item.addEventListener('click', () => {
-          const raw = ev.dueRaw || ev.startRaw;
-          if (raw) {
-            this.navigateToRawDate(raw);
-          }
-        });
+        item.addEventListener('click', () => this.navigateToEvent(ev));
 
         this.majorListDiv.appendChild(item);
       });
@@ -163,12 +155,12 @@ export class Sidebar {
     const twoWeeksMs = 14 * 24 * 60 * 60 * 1000;
     const majors = (this.events || []).filter(e => {
       if (!this.isMajorAssignment(e)) return false;
-      const ts = ICalParser.iCalDateToTimestamp(e.dueRaw || e.startRaw) || 0;
+      const ts = getEventTime(e);
       return ts >= now && ts <= (now + twoWeeksMs);
     });
     majors.sort((a, b) => {
-      const ta = ICalParser.iCalDateToTimestamp(a.dueRaw || a.startRaw) || 0;
-      const tb = ICalParser.iCalDateToTimestamp(b.dueRaw || b.startRaw) || 0;
+      const ta = getEventTime(a);
+      const tb = getEventTime(b);
       return ta - tb;
     });
 
@@ -226,8 +218,7 @@ export class Sidebar {
 
         const meta = document.createElement('div');
         meta.className = 'major-meta';
-        const when = ev.dueTime || ev.startTime || '';
-        meta.textContent = when;
+        meta.textContent = formatEventWhen(ev);
 
         content.appendChild(title);
         content.appendChild(meta);
@@ -236,11 +227,7 @@ export class Sidebar {
         item.appendChild(content);
 
         // Clicking focuses the date/day in the main view
-        item.addEventListener('click', () => {
-          if (ev.dueRaw || ev.startRaw) {
-            this.navigateToRawDate(ev.dueRaw || ev.startRaw);
-          }
-        });
+        item.addEventListener('click', () => this.navigateToEvent(ev));
         this.majorListDiv.appendChild(item);
       });
     }
@@ -257,16 +244,12 @@ export class Sidebar {
   }
 
   /**
-   * Navigate to a date from a raw iCal date string
-   * @param {string} raw - Raw iCal date string
+   * Navigate to the local day an event is due (or starts)
+   * @param {Object} ev - Event or pinned-assignment data
    */
-  navigateToRawDate(raw) {
-    const datePart = (raw.split('T')[0] || raw).replace(/\D/g, '').substring(0, 8);
-    if (datePart.length === 8) {
-      const y = parseInt(datePart.substring(0, 4), 10);
-      const m = parseInt(datePart.substring(4, 6), 10) - 1;
-      const d = parseInt(datePart.substring(6, 8), 10);
-      const date = new Date(y, m, d);
+  navigateToEvent(ev) {
+    const date = getEventDate(ev);
+    if (date) {
       this.onNavigateToDate(date);
     }
   }
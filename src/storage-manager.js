@@ -1,48 +1,36 @@
 // Storage Manager - Handles Chrome local storage operations
 
-import { ICalParser } from './ical-parser.js';
 import { getEventId } from './utils.js';
+import { loadFeeds } from './feed-manager.js';
+import { importFeedEvents, refreshFeeds } from './refresh-pipeline.js';
+import { BACKUP_STORAGE_KEYS, createBackup, planRestore } from './backup.js';
+import { saveReminderChanges, syncReminders } from './reminder-scheduler.js';
+import { getDigestSettings, scheduleDailyDigest } from './daily-digest.js';
+import { normalizeQuietHours } from './quiet-hours.js';
+import { isReminderProfile, normalizeReminderProfiles, STANDARD_PROFILE_ID } from './reminder-profiles.js';
+import { normalizeNotificationActions } from './notification-actions.js';
 
 /**
- * Save events to Chrome storage
- * @param {string} url - The iCal URL
- * @param {Array} events - Array of events to save
+ * Store a feed's freshly parsed events (the first fetch of a new feed, or an imported file)
+ * Runs the same merge as a refresh (see importFeedEvents)
+ * @param {Object} feed - The feed the events came from
+ * @param {Array} events - Freshly parsed events
+ * @returns {Promise<Array>} All stored events with completion status merged
  */
-export async function saveToStorage(url, events) {
-  try {
-    // Load existing completed assignments
-    const data = await chrome.storage.local.get(['completedAssignments']);
-    const completedAssignments = data.completedAssignments || {};
-
-    // Merge completion status with events
-    events = events.map(event => {
-      const eventId = getEventId(event);
-      if (completedAssignments[eventId]) {
-        event.isCompleted = true;
-        event.completedDate = completedAssignments[eventId].completedDate;
-      }
-      return event;
-    });
-
-    await chrome.storage.local.set({
-      icalUrl: url,
-      events: events,
-      lastUpdated: new Date().toISOString()
-    });
-    console.log('Data saved to storage');
-  } catch (error) {
-    console.error('Failed to save to storage:', error);
-  }
+export async function saveFeedEvents(feed, events) {
+  await importFeedEvents(feed, events);
+  const data = await chrome.storage.local.get(['events', 'completedAssignments', 'inProgressAssignments']);
+  return mergeCompletionStatus(data.events, data.completedAssignments, data.inProgressAssignments);
 }
 
 /**
  * Load saved data from Chrome storage
- * @returns {Promise<{url: string, events: Array, pinnedAssignments: Object, lastRefreshSummary: Object}|null>}
+ * @returns {Promise<{feeds: Array, events: Array, pinnedAssignments: Object, lastRefreshSummary: Object}|null>}
  */
 export async function loadSavedData() {
   try {
+    const feeds = await loadFeeds();
     const data = await chrome.storage.local.get([
-      'icalUrl',
       'events',
       'completedAssignments',
       'inProgressAssignments',
@@ -50,14 +38,14 @@ export async function loadSavedData() {
       'pinnedAssignments'
     ]);
 
-    if (data.icalUrl && data.events) {
+    if (feeds.length > 0 && data.events) {
       // Merge completion and in-progress status with cached events
       const completedAssignments = data.completedAssignments || {};
       const inProgressAssignments = data.inProgressAssignments || {};
       const cachedEvents = mergeCompletionStatus(data.events, completedAssignments, inProgressAssignments);
 
       return {
-        url: data.icalUrl,
+        feeds,
         events: cachedEvents,
         pinnedAssignments: data.pinnedAssignments || {},
         lastRefreshSummary: data.lastRefreshSummary
@@ -86,16 +74,19 @@ export function mergeCompletionStatus(events, completedAssignments, inProgressAs
       merged.isCompleted = true;
       merged.completedDate = completed[eventId].completedDate;
       merged.isInProgress = false;
+      merged.statusSource = completed[eventId].source || 'local';
     } else if (inProgress[eventId]) {
       merged.isInProgress = true;
       merged.inProgressDate = inProgress[eventId].inProgressDate;
       merged.isCompleted = false;
       merged.completedDate = null;
+      merged.statusSource = inProgress[eventId].source || 'local';
     } else {
       merged.isCompleted = false;
       merged.completedDate = null;
       merged.isInProgress = false;
       merged.inProgressDate = null;
+      merged.statusSource = null;
     }
     return merged;
   });
@@ -123,10 +114,9 @@ export async function togglePinAssignment(event, currentPinned) {
     // Pin
     pinnedAssignments[eventId] = {
       title: event.title,
-      dueRaw: event.dueRaw,
-      startRaw: event.startRaw,
-      dueTime: event.dueTime,
-      startTime: event.startTime,
+      dueAt: event.dueAt,
+      startAt: event.startAt,
+      allDay: event.allDay,
       pinnedDate: new Date().toISOString()
     };
     isPinned = true;
@@ -168,6 +158,8 @@ export async function toggleAssignmentComplete(event) {
   }
 
   await chrome.storage.local.set({ completedAssignments, inProgressAssignments });
+  // Completed assignments don't need reminders; reopened ones get theirs back
+  await syncReminders();
   return { isCompleted, completedDate, isInProgress: false };
 }
 
@@ -203,121 +195,75 @@ export async function toggleAssignmentInProgress(event) {
   }
 
   await chrome.storage.local.set({ inProgressAssignments, completedAssignments });
+  // An assignment moved back from completed gets its reminders back
+  await syncReminders();
   return { isInProgress, inProgressDate, isCompleted: false };
 }
 
 /**
- * Listen for storage changes
- * @param {Function} callback - Callback function(changes, areaName)
+ * Load the change logs of recent refreshes
+ * @returns {Promise<Array>} Refreshes that changed something, most recent first (see refresh-pipeline.js)
  */
-export function listenForStorageChanges(callback) {
-  chrome.storage.onChanged.addListener(callback);
+export async function loadRefreshHistory() {
+  const data = await chrome.storage.local.get(['refreshHistory']);
+  return data.refreshHistory || [];
 }
 
-// Fields to compare for detecting event changes (excludes status fields)
-const EVENT_COMPARE_FIELDS = ['title', 'dueRaw', 'startRaw', 'endRaw', 'description', 'location', 'dueTime', 'startTime'];
-
 /**
- * Check if two events have meaningful differences (ignoring status fields)
- * @param {Object} prev - Previous event
- * @param {Object} curr - Current event
- * @returns {boolean} True if events differ
+ * Load assignments that dropped out of their feeds
+ * @returns {Promise<Object>} Map of assignment ID to archive entry (see archive.js)
  */
-function hasEventChanged(prev, curr) {
-  for (const field of EVENT_COMPARE_FIELDS) {
-    if (prev[field] !== curr[field]) return true;
-  }
-  return false;
+export async function loadArchivedEvents() {
+  const data = await chrome.storage.local.get(['archivedEvents']);
+  return data.archivedEvents || {};
 }
 
 /**
- * Refresh calendar data locally (fallback when background refresh fails)
- * @param {string} url - The iCal URL
- * @returns {Promise<{added: number, updated: number, removed: number}>}
+ * Bring an archived assignment back into the assignment list with its status
+ * It is kept like a custom assignment so refreshes don't archive it again; if its feed republishes
+ * it under the same ID, the feed's copy replaces it
+ * @param {string} eventId - ID of the archived assignment
+ * @returns {Promise<Object|null>} The restored event, or null if it isn't archived
  */
-export async function refreshLocally(url) {
-  const data = await chrome.storage.local.get(['events', 'completedAssignments']);
-  const previousEvents = data.events || [];
-  const completedAssignments = data.completedAssignments || {};
-
-  const newEvents = await ICalParser.fetchAndParse(url);
+export async function restoreArchivedEvent(eventId) {
+  const data = await chrome.storage.local.get(['events', 'archivedEvents', 'completedAssignments', 'inProgressAssignments']);
+  const archivedEvents = data.archivedEvents || {};
+  const entry = archivedEvents[eventId];
+  if (!entry) return null;
 
-  // Build map of previous events by ID
-  const prevMap = new Map();
-  previousEvents.forEach(ev => prevMap.set(getEventId(ev), ev));
-
-  // Process new events and track changes
-  const nextEvents = [];
-  const nextIds = new Set();
-  let added = 0;
-  let updated = 0;
-
-  for (const ev of newEvents) {
-    const id = getEventId(ev);
-    nextIds.add(id);
-
-    const prev = prevMap.get(id);
-    if (!prev) {
-      added++;
-    } else if (hasEventChanged(prev, ev)) {
-      updated++;
-    }
-
-    // Preserve completion status
-    if (completedAssignments[id]) {
-      ev.isCompleted = true;
-      ev.completedDate = completedAssignments[id].completedDate;
-    }
-    nextEvents.push(ev);
-  }
-
-  // Count removed events and clean up completion status
-  let removed = 0;
-  for (const ev of previousEvents) {
-    const id = getEventId(ev);
-    if (!nextIds.has(id)) {
-      removed++;
-      delete completedAssignments[id];
-    }
+  const completedAssignments = data.completedAssignments || {};
+  const inProgressAssignments = data.inProgressAssignments || {};
+  const event = { ...entry.event, isCustom: true, source: 'custom', restoredFrom: entry.feedId };
+  const events = (data.events || []).filter(ev => getEventId(ev) !== eventId);
+  events.push(event);
+
+  if (entry.completed) {
+    completedAssignments[eventId] = entry.completed;
+  } else if (entry.inProgress) {
+    inProgressAssignments[eventId] = entry.inProgress;
   }
+  delete archivedEvents[eventId];
 
-  await chrome.storage.local.set({
-    events: nextEvents,
-    completedAssignments,
-    lastUpdated: new Date().toISOString(),
-    lastRefreshSummary: {
-      added,
-      updated,
-      removed,
-      timestamp: Date.now()
-    }
-  });
-
-  return { added, updated, removed };
+  await chrome.storage.local.set({ events, archivedEvents, completedAssignments, inProgressAssignments });
+  return event;
 }
 
 /**
- * Clear all reminder alarms
+ * Listen for storage changes
+ * @param {Function} callback - Callback function(changes, areaName)
  */
-export async function clearAllReminderAlarms() {
-  try {
-    const alarms = await new Promise(resolve => chrome.alarms.getAll(resolve));
-    const reminderAlarms = alarms.filter(a => a.name && a.name.startsWith('reminder_'));
-
-    for (const alarm of reminderAlarms) {
-      await chrome.alarms.clear(alarm.name);
-    }
-
-    // Also clear stored reminders and history
-    await chrome.storage.local.set({
-      reminders: {},
-      reminderHistory: {}
-    });
+export function listenForStorageChanges(callback) {
+  chrome.storage.onChanged.addListener(callback);
+}
 
-    console.log(`Cleared ${reminderAlarms.length} reminder alarms`);
-  } catch (err) {
-    console.error('Failed to clear reminder alarms:', err);
-  }
+/**
+ * Refresh calendar data locally (fallback when background refresh fails)
+ * Runs the same refresh pipeline as the service worker
+ * @param {string|null} [feedId] - Refresh only this feed (defaults to every enabled URL feed)
+ * @returns {Promise<{added: number, updated: number, removed: number, moved: number, renamed: number, timestamp: number}|null>}
+ */
+export async function refreshLocally(feedId = null) {
+  return refreshFeeds({ feedId });
 }
 
 /**
@@ -325,6 +271,61 @@ export async function clearAllReminderAlarms() {
  */
 export async function clearAllData() {
   await chrome.storage.local.clear();
+  // With nothing stored, this clears every reminder alarm and the digest alarm
+  await syncReminders();
+  await scheduleDailyDigest();
+}
+
+/**
+ * Export completion history, custom and imported assignments, pins, subject colors,
+ * calendars and settings as a backup
+ * @returns {Promise<Object>} Backup object (see backup.js)
+ */
+export async function exportBackup() {
+  const stored = await chrome.storage.local.get(BACKUP_STORAGE_KEYS);
+  const settings = await loadSettings();
+  return createBackup(stored, settings);
+}
+
+/**
+ * Preview what restoring a backup would change, without writing anything
+ * @param {Object} backup - Backup returned by parseBackup()
+ * @param {'merge'|'replace'} mode - How to combine the backup with current data
+ * @returns {Promise<Object>} Restore plan (see planRestore)
+ */
+export async function previewRestore(backup, mode) {
+  const current = await chrome.storage.local.get(BACKUP_STORAGE_KEYS);
+  const settings = await loadSettings();
+  return planRestore(backup, current, settings, mode);
+}
+
+/**
+ * Restore a backup
+ * Writes through storage so the popup's and service worker's storage listeners pick the data up,
+ * and re-schedules reminders for the restored data and settings
+ * @param {Object} backup - Backup returned by parseBackup()
+ * @param {'merge'|'replace'} mode - How to combine the backup with current data
+ * @returns {Promise<Object>} The restore plan that was applied
+ */
+export async function restoreBackup(backup, mode) {
+  const current = await chrome.storage.local.get(BACKUP_STORAGE_KEYS);
+  const plan = planRestore(backup, current, await loadSettings(), mode);
+  const { subjectTags, reminders, ...updates } = plan.updates;
+
+  await chrome.storage.local.set({ ...updates, lastUpdated: new Date().toISOString() });
+  await saveReminderChanges(current.reminders || {}, reminders || {});
+  await saveSubjectTags(subjectTags);
+  if (plan.settings) {
+    await saveSettings(plan.settings);
+    await chrome.storage.local.set({ weatherUnlocked: plan.settings.weatherUnlocked === true });
+    await saveWeather(plan.settings.weather || 'clear');
+  }
+
+  await syncReminders();
+  await scheduleDailyDigest();
+
+  console.log(`Backup restored (${mode})`);
+  return plan;
 }
 
 /**
@@ -340,21 +341,42 @@ export async function loadSettings() {
     'theme',
     'uiStyle',
     'showMajorAssignmentsBar',
+    'hideTentative',
     'subjectTags',
     'weatherUnlocked',
-    'weather'
+    'weather',
+    'syncEnabled'
   ]);
+  const changeAlerts = (data.reminderSettings && data.reminderSettings.changeAlerts) || {};
+  const digest = getDigestSettings(data.reminderSettings);
+  const reminderSettings = data.reminderSettings || {};
 
   return {
     autoRefresh: data.autoRefresh || false,
     enableReminders: data.enableReminders === true, // Default OFF
     reminderHours: (data.reminderSettings && data.reminderSettings.hours) || data.reminderHours || 24,
+    feedAlarms: (data.reminderSettings && data.reminderSettings.feedAlarms) || 'accept',
+    // Notifications about feed changes to upcoming assignments (default ON)
+    notifyDueEarlier: changeAlerts.dueEarlier !== false,
+    notifyNewMajor: changeAlerts.newMajor !== false,
+    notifyCancelled: changeAlerts.cancelled !== false,
+    dailyDigest: digest.enabled, // Default OFF
+    digestTime: digest.time,
+    quietHours: normalizeQuietHours(reminderSettings.quietHours),
+    // Stacked reminder stages, picked per course (on the subject tag) or for major and other assignments
+    reminderProfiles: normalizeReminderProfiles(reminderSettings.profiles),
+    majorReminderProfile: isReminderProfile(reminderSettings.majorProfile) ? reminderSettings.majorProfile : STANDARD_PROFILE_ID,
+    minorReminderProfile: isReminderProfile(reminderSettings.minorProfile) ? reminderSettings.minorProfile : STANDARD_PROFILE_ID,
+    // Buttons on reminder notifications, one action ID per button
+    notificationActions: normalizeNotificationActions(reminderSettings.actions),
     theme: data.theme || 'slate',
     uiStyle: data.uiStyle || 'neobrutalism',
     showMajorAssignmentsBar: data.showMajorAssignmentsBar === true,
+    hideTentative: data.hideTentative === true, // Default OFF
     subjectTags: data.subjectTags || {},
     weatherUnlocked: data.weatherUnlocked === true,
-    weather: data.weather || 'clear'
+    weather: data.weather || 'clear',
+    syncEnabled: data.syncEnabled === true // Default OFF
   };
 }
 
@@ -371,12 +393,49 @@ export async function saveSettings(settings) {
     uiStyle: settings.uiStyle,
     reminderSettings: {
       enabled: settings.enableReminders,
-      hours: settings.reminderHours
+      hours: settings.reminderHours,
+      feedAlarms: settings.feedAlarms,
+      changeAlerts: {
+        dueEarlier: settings.notifyDueEarlier !== false,
+        newMajor: settings.notifyNewMajor !== false,
+        cancelled: settings.notifyCancelled !== false
+      },
+      digest: {
+        enabled: settings.dailyDigest === true,
+        time: settings.digestTime
+      },
+      quietHours: normalizeQuietHours(settings.quietHours),
+      profiles: normalizeReminderProfiles(settings.reminderProfiles),
+      majorProfile: isReminderProfile(settings.majorReminderProfile) ? settings.majorReminderProfile : STANDARD_PROFILE_ID,
+      minorProfile: isReminderProfile(settings.minorReminderProfile) ? settings.minorReminderProfile : STANDARD_PROFILE_ID,
+      actions: normalizeNotificationActions(settings.notificationActions)
     },
-    showMajorAssignmentsBar: settings.showMajorAssignmentsBar
+    showMajorAssignmentsBar: settings.showMajorAssignmentsBar,
+    hideTentative: settings.hideTentative === true
   });
 }
 
+/**
+ * Turn syncing through chrome.storage.sync on or off for this device
+ * Turning it off forgets what was last synced, so turning it back on merges as a new device
+ * @param {boolean} enabled - Whether to sync
+ */
+export async function setSyncEnabled(enabled) {
+  await chrome.storage.local.set({ syncEnabled: enabled });
+  if (!enabled) {
+    await chrome.storage.local.remove(['syncState', 'syncStatus']);
+  }
+}
+
+/**
+ * Get the result of the last sync pass
+ * @returns {Promise<{status: string, error: string|null, timestamp: number, skipped: number}|null>}
+ */
+export async function loadSyncStatus() {
+  const data = await chrome.storage.local.get(['syncStatus']);
+  return data.syncStatus || null;
+}
+
 /**
  * Unlock weather effects (easter egg)
  */
@@ -422,90 +481,3 @@ export async function loadEventOrder(dateKey) {
   const eventOrder = data.eventOrder || {};
   return eventOrder[dateKey] || null;
 }
-
-/**
- * Set a reminder for a specific assignment
- * @param {Object} event - The event to set reminder for
- * @param {number} hours - Hours from now to trigger reminder
- * @returns {Promise<{success: boolean, reminderTime: number}>}
- */
-export async function setAssignmentReminder(event, hours) {
-  const eventId = getEventId(event);
-  const reminderTime = Date.now() + (hours * 60 * 60 * 1000);
-
-  // Load existing assignment reminders
-  const data = await chrome.storage.local.get(['assignmentReminders']);
-  const assignmentReminders = data.assignmentReminders || {};
-
-  // Store the reminder
-  assignmentReminders[eventId] = {
-    reminderTime,
-    hours,
-    title: event.title,
-    dueRaw: event.dueRaw,
-    createdAt: Date.now()
-  };
-
-  await chrome.storage.local.set({ assignmentReminders });
-
-  // Create a Chrome alarm for this specific reminder
-  const alarmName = `assignment_reminder_${eventId}`;
-  await chrome.alarms.create(alarmName, {
-    when: reminderTime
-  });
-
-  return { success: true, reminderTime };
-}
-
-/**
- * Clear a reminder for a specific assignment
- * @param {Object} event - The event to clear reminder for
- * @returns {Promise<{success: boolean}>}
- */
-export async function clearAssignmentReminder(event) {
-  const eventId = getEventId(event);
-
-  // Load existing assignment reminders
-  const data = await chrome.storage.local.get(['assignmentReminders']);
-  const assignmentReminders = data.assignmentReminders || {};
-
-  // Remove the reminder
-  delete assignmentReminders[eventId];
-  await chrome.storage.local.set({ assignmentReminders });
-
-  // Clear the Chrome alarm
-  const alarmName = `assignment_reminder_${eventId}`;
-  await chrome.alarms.clear(alarmName);
-
-  return { success: true };
-}
-
-/**
- * Get all assignment reminders
- * @returns {Promise<Object>} Map of eventId to reminder data
- */
-export async function getAssignmentReminders() {
-  const data = await chrome.storage.local.get(['assignmentReminders']);
-  return data.assignmentReminders || {};
-}
-
-/**
- * Check if an assignment has a reminder set
- * @param {Object} event - The event to check
- * @returns {Promise<{hasReminder: boolean, reminderTime: number|null, hours: number|null}>}
- */
-export async function getAssignmentReminderStatus(event) {
-  const eventId = getEventId(event);
-  const data = await chrome.storage.local.get(['assignmentReminders']);
-  const assignmentReminders = data.assignmentReminders || {};
-
-  if (assignmentReminders[eventId]) {
-    return {
-      hasReminder: true,
-      reminderTime: assignmentReminders[eventId].reminderTime,
-      hours: assignmentReminders[eventId].hours
-    };
-  }
-
-  return { hasReminder: false, reminderTime: null, hours: null };
-}
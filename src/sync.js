@@ -0,0 +1,388 @@
+// Sync - Optional mirror of assignment status, pins, custom assignments and settings in chrome.storage.sync
+// Runs in the service worker. Calendar events are never synced; each device fetches its own feeds.
+
+import { getEventId } from './utils.js';
+import { runMigrations } from './migrations.js';
+
+// Assignment records are spread over this many sync items so each stays under the per-item quota
+const SHARD_COUNT = 16;
+const SHARD_KEY_PREFIX = 'syncRecords_';
+const SETTINGS_SYNC_KEY = 'syncSettings';
+const SUBJECT_TAGS_SYNC_KEY = 'syncSubjectTags';
+
+// Settings mirrored across devices (syncEnabled itself stays per device)
+const SYNCED_SETTING_KEYS = [
+  'autoRefresh',
+  'enableReminders',
+  'reminderHours',
+  'reminderSettings',
+  'theme',
+  'uiStyle',
+  'showMajorAssignmentsBar',
+  'hideTentative'
+];
+
+// Local keys whose changes are pushed to sync
+const WATCHED_LOCAL_KEYS = [
+  'syncEnabled',
+  'completedAssignments',
+  'inProgressAssignments',
+  'pinnedAssignments',
+  'events',
+  'subjectTags',
+  ...SYNCED_SETTING_KEYS
+];
+
+// Fields of custom assignments that are derived from the status maps and not synced
+const VOLATILE_EVENT_FIELDS = ['isCompleted', 'completedDate', 'isInProgress', 'inProgressDate', 'statusSource'];
+
+// Deleted assignments are remembered this long so other devices can catch up
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Leave headroom under Chrome's limits (102,400 bytes in total, 8,192 per item)
+const QUOTA_BYTES = Math.floor(((chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES) || 102400) * 0.9);
+const QUOTA_BYTES_PER_ITEM = Math.floor(((chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES_PER_ITEM) || 8192) * 0.95);
+
+// Local edits are batched so bursts of toggles cost one sync write (the limit is 120 writes a minute)
+const PUSH_DELAY_MS = 2000;
+export const SYNC_RETRY_ALARM = 'syncRetry';
+
+let pushTimer = null;
+let queue = Promise.resolve();
+
+/**
+ * Pick the sync item an assignment record lives in
+ * @param {string} id - Assignment ID
+ * @returns {string} Sync key
+ */
+function getShardKey(id) {
+  let hash = 5381;
+  for (let i = 0; i < id.length; i++) {
+    hash = ((hash * 33) ^ id.charCodeAt(i)) >>> 0;
+  }
+  return `${SHARD_KEY_PREFIX}${hash % SHARD_COUNT}`;
+}
+
+/**
+ * Bytes an item counts against the sync quota (key plus JSON value)
+ * @param {string} key - Sync key
+ * @param {*} value - Value to store
+ * @returns {number} Size in bytes
+ */
+function getItemSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Build the synced record of every assignment that has local user state
+ * A record holds the assignment's completed/in-progress entry, pin and (for custom assignments) the assignment itself
+ * @param {Object} data - Local values of the watched keys
+ * @returns {Object} Map of assignment ID to record content
+ */
+function buildLocalRecords(data) {
+  const records = {};
+  const recordFor = (id) => {
+    if (!records[id]) records[id] = {};
+    return records[id];
+  };
+
+  Object.entries(data.completedAssignments || {}).forEach(([id, entry]) => {
+    recordFor(id).done = entry;
+  });
+  Object.entries(data.inProgressAssignments || {}).forEach(([id, entry]) => {
+    recordFor(id).prog = entry;
+  });
+  Object.entries(data.pinnedAssignments || {}).forEach(([id, pin]) => {
+    recordFor(id).pin = pin;
+  });
+  (data.events || []).filter(ev => ev.isCustom).forEach(ev => {
+    const custom = { ...ev };
+    VOLATILE_EVENT_FIELDS.forEach(field => delete custom[field]);
+    recordFor(getEventId(ev)).custom = custom;
+  });
+
+  return records;
+}
+
+/**
+ * Estimate when a record was last written, for records seen for the first time
+ * @param {Object} content - Record content
+ * @returns {number} Epoch ms (0 if unknown, so an existing synced record wins)
+ */
+function estimateRecordTime(content) {
+  const times = [
+    content.done && Date.parse(content.done.completedDate),
+    content.prog && Date.parse(content.prog.inProgressDate),
+    content.pin && Date.parse(content.pin.pinnedDate),
+    content.custom && parseInt(String(content.custom.uid || '').replace('custom_', ''), 10)
+  ].filter(t => Number.isFinite(t));
+  return times.length > 0 ? Math.max(...times) : 0;
+}
+
+/**
+ * Pick the synced settings from local values
+ * @param {Object} data - Local values
+ * @returns {Object} Settings that are set locally
+ */
+function pickSettings(data) {
+  const values = {};
+  SYNCED_SETTING_KEYS.forEach(key => {
+    if (data[key] !== undefined) values[key] = data[key];
+  });
+  return values;
+}
+
+/**
+ * Decide whether a synced write beats the local one
+ * Equal timestamps are settled by comparing contents so every device picks the same winner
+ * @param {{t: number, v: string}} remote - Synced timestamp and serialized content
+ * @param {{t: number, v: string}|undefined} local - Local timestamp and serialized content
+ * @returns {boolean} True if the synced write wins
+ */
+function isNewer(remote, local) {
+  if (!local) return true;
+  if (remote.t !== local.t) return remote.t > local.t;
+  return remote.v !== local.v && remote.v > local.v;
+}
+
+/**
+ * Merge one last-write-wins value (settings or subject tags) with its synced copy
+ * @param {Object|null} entry - Last synced {t, v} for this value
+ * @param {Object} localValue - Current local value
+ * @param {Object|undefined} remote - Synced {t, values}
+ * @param {boolean} firstSync - Whether this device has never synced
+ * @returns {{entry: Object, apply: Object|null}} New sync state entry, and the remote value if it won
+ */
+function mergeValue(entry, localValue, remote, firstSync) {
+  const v = JSON.stringify(localValue);
+  let next = entry;
+  if (!next || next.v !== v) {
+    // A device joining sync takes the synced settings rather than overwriting them with its defaults
+    next = { t: firstSync && remote ? 0 : Date.now(), v };
+  }
+  if (remote) {
+    const remoteEntry = { t: remote.t, v: JSON.stringify(remote.values) };
+    if (isNewer(remoteEntry, next)) {
+      return { entry: remoteEntry, apply: remote.values };
+    }
+  }
+  return { entry: next, apply: null };
+}
+
+/**
+ * Choose which records go into sync, dropping the least useful ones until every item and the total fit the quota
+ * Tombstones go first, then the records written longest ago; dropped records stay on this device
+ * @param {Object} records - Map of assignment ID to {t, v}
+ * @param {number} reservedBytes - Bytes used by the other sync items
+ * @returns {{shards: Object, skipped: number}} Map of sync key to records, and how many records were left out
+ */
+function buildShards(records, reservedBytes) {
+  const shards = {};
+  for (let i = 0; i < SHARD_COUNT; i++) {
+    shards[`${SHARD_KEY_PREFIX}${i}`] = {};
+  }
+  Object.entries(records).forEach(([id, record]) => {
+    shards[getShardKey(id)][id] = { t: record.t, ...JSON.parse(record.v) };
+  });
+
+  const evictionOrder = Object.keys(records).sort((a, b) => {
+    const aTombstone = records[a].v === '{}';
+    const bTombstone = records[b].v === '{}';
+    if (aTombstone !== bTombstone) return aTombstone ? -1 : 1;
+    return records[a].t - records[b].t;
+  });
+  const sizes = {};
+  Object.keys(shards).forEach(key => {
+    sizes[key] = getItemSize(key, shards[key]);
+  });
+
+  let skipped = 0;
+  const evict = (predicate) => {
+    const index = evictionOrder.findIndex(predicate);
+    if (index === -1) return false;
+    const [id] = evictionOrder.splice(index, 1);
+    const key = getShardKey(id);
+    delete shards[key][id];
+    sizes[key] = getItemSize(key, shards[key]);
+    skipped++;
+    return true;
+  };
+
+  Object.keys(shards).forEach(key => {
+    while (sizes[key] > QUOTA_BYTES_PER_ITEM && evict(id => getShardKey(id) === key));
+  });
+  const total = () => reservedBytes + Object.values(sizes).reduce((sum, size) => sum + size, 0);
+  while (total() > QUOTA_BYTES && evict(() => true));
+
+  return { shards, skipped };
+}
+
+/**
+ * Two-way merge between local storage and chrome.storage.sync
+ * Local edits since the last sync are stamped with the current time; for each assignment the newer
+ * record wins, and the result is written back to whichever side is behind
+ */
+async function synchronize() {
+  await runMigrations();
+  const data = await chrome.storage.local.get([...WATCHED_LOCAL_KEYS, 'syncState', 'archivedEvents']);
+  if (!data.syncEnabled) return;
+
+  const remote = await chrome.storage.sync.get(null);
+  const firstSync = !data.syncState;
+  const state = data.syncState || { records: {}, settings: null, subjectTags: null };
+  const archivedEvents = data.archivedEvents || {};
+  const now = Date.now();
+
+  // 1. Stamp local edits made since the last sync
+  const localRecords = buildLocalRecords(data);
+  new Set([...Object.keys(localRecords), ...Object.keys(state.records)]).forEach(id => {
+    const content = localRecords[id] || {};
+    const v = JSON.stringify(content);
+    const previous = state.records[id];
+    if (!previous) {
+      if (v !== '{}') state.records[id] = { t: firstSync ? estimateRecordTime(content) : now, v };
+    } else if (previous.v !== v) {
+      // A refresh that archives an assignment moves its status into the archive, which isn't a deletion:
+      // a tombstone would clear the status on devices that still list the assignment
+      if (v === '{}' && archivedEvents[id]) return;
+      state.records[id] = { t: now, v };
+    }
+  });
+
+  // 2. Take every synced record that is newer than ours
+  const won = {};
+  Object.keys(remote).filter(key => key.startsWith(SHARD_KEY_PREFIX)).forEach(key => {
+    Object.entries(remote[key] || {}).forEach(([id, { t, ...content }]) => {
+      const entry = { t, v: JSON.stringify(content) };
+      if (isNewer(entry, state.records[id])) {
+        state.records[id] = entry;
+        won[id] = content;
+      }
+    });
+  });
+
+  const settings = mergeValue(state.settings, pickSettings(data), remote[SETTINGS_SYNC_KEY], firstSync);
+  const subjectTags = mergeValue(state.subjectTags, data.subjectTags || {}, remote[SUBJECT_TAGS_SYNC_KEY], firstSync);
+  state.settings = settings.entry;
+  state.subjectTags = subjectTags.entry;
+
+  // 3. Forget tombstones every device has had time to see
+  Object.keys(state.records).forEach(id => {
+    if (state.records[id].v === '{}' && now - state.records[id].t > TOMBSTONE_TTL_MS) {
+      delete state.records[id];
+    }
+  });
+
+  // 4. Apply the records that won to local storage
+  // The popup and the service worker write status separately, so local state is read again right before writing:
+  // anything edited while sync storage was being read is kept as it is now (the next pass stamps and pushes it)
+  const current = await chrome.storage.local.get(WATCHED_LOCAL_KEYS);
+  const currentRecords = buildLocalRecords(current);
+  const unchangedSinceRead = (value, readValue) => JSON.stringify(value) === JSON.stringify(readValue);
+
+  const localUpdates = { syncState: state };
+  const wonIds = Object.keys(won).filter(id => unchangedSinceRead(currentRecords[id] || {}, localRecords[id] || {}));
+  if (wonIds.length > 0) {
+    const completedAssignments = { ...(current.completedAssignments || {}) };
+    const inProgressAssignments = { ...(current.inProgressAssignments || {}) };
+    const pinnedAssignments = { ...(current.pinnedAssignments || {}) };
+    let events = current.events || [];
+    let customsChanged = false;
+
+    wonIds.forEach(id => {
+      const content = won[id];
+      delete completedAssignments[id];
+      delete inProgressAssignments[id];
+      delete pinnedAssignments[id];
+      if (content.done) completedAssignments[id] = content.done;
+      if (content.prog) inProgressAssignments[id] = content.prog;
+      if (content.pin) pinnedAssignments[id] = content.pin;
+
+      const hadCustom = events.some(ev => ev.isCustom && getEventId(ev) === id);
+      if (hadCustom || content.custom) {
+        events = events.filter(ev => !(ev.isCustom && getEventId(ev) === id));
+        if (content.custom) events.push({ ...content.custom });
+        customsChanged = true;
+      }
+    });
+
+    Object.assign(localUpdates, { completedAssignments, inProgressAssignments, pinnedAssignments });
+    if (customsChanged) localUpdates.events = events;
+  }
+  if (settings.apply && unchangedSinceRead(pickSettings(current), pickSettings(data))) {
+    Object.assign(localUpdates, settings.apply);
+  }
+  if (subjectTags.apply && unchangedSinceRead(current.subjectTags || {}, data.subjectTags || {})) {
+    localUpdates.subjectTags = subjectTags.apply;
+  }
+
+  // 5. Write back whatever sync is missing, in a single write operation
+  const syncUpdates = {};
+  const settingsItem = { t: state.settings.t, values: JSON.parse(state.settings.v) };
+  const subjectTagsItem = { t: state.subjectTags.t, values: JSON.parse(state.subjectTags.v) };
+  [[SETTINGS_SYNC_KEY, settingsItem], [SUBJECT_TAGS_SYNC_KEY, subjectTagsItem]].forEach(([key, item]) => {
+    if (JSON.stringify(remote[key]) !== JSON.stringify(item)) syncUpdates[key] = item;
+  });
+  const reserved = getItemSize(SETTINGS_SYNC_KEY, settingsItem) + getItemSize(SUBJECT_TAGS_SYNC_KEY, subjectTagsItem);
+  const { shards, skipped } = buildShards(state.records, reserved);
+  Object.entries(shards).forEach(([key, shard]) => {
+    if (JSON.stringify(remote[key] || {}) !== JSON.stringify(shard)) syncUpdates[key] = shard;
+  });
+
+  await chrome.storage.local.set(localUpdates);
+
+  const syncStatus = { status: 'ok', error: null, timestamp: Date.now(), skipped };
+  try {
+    if (Object.keys(syncUpdates).length > 0) {
+      await chrome.storage.sync.set(syncUpdates);
+    }
+  } catch (error) {
+    // Usually the write rate limit; local state is kept, so a later pass pushes it
+    console.warn('Failed to write to sync storage:', error.message);
+    syncStatus.status = 'error';
+    syncStatus.error = error.message;
+    chrome.alarms.create(SYNC_RETRY_ALARM, { delayInMinutes: 1 });
+  }
+  if (skipped > 0) {
+    console.warn(`${skipped} assignment records did not fit in sync storage and stay on this device`);
+  }
+  await chrome.storage.local.set({ syncStatus });
+}
+
+/**
+ * Run a sync pass after any queued pass finishes
+ * @returns {Promise<void>}
+ */
+export function syncNow() {
+  queue = queue.then(synchronize).catch(error => {
+    console.error('Sync failed:', error);
+  });
+  return queue;
+}
+
+/**
+ * Schedule a sync pass shortly, folding bursts of changes into one pass
+ */
+function scheduleSync() {
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(() => {
+    pushTimer = null;
+    syncNow();
+  }, PUSH_DELAY_MS);
+}
+
+/**
+ * Start syncing: merge on storage changes from this device and from sync
+ * Must be called while the service worker starts so the listener is registered synchronously
+ */
+export function initSync() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync') {
+      if (Object.keys(changes).some(key => key.startsWith(SHARD_KEY_PREFIX) || key === SETTINGS_SYNC_KEY || key === SUBJECT_TAGS_SYNC_KEY)) {
+        syncNow();
+      }
+    } else if (areaName === 'local' && WATCHED_LOCAL_KEYS.some(key => key in changes)) {
+      scheduleSync();
+    }
+  });
+}
@@ -0,0 +1,209 @@
+// Timezone - Resolves TZID-qualified iCal date-times to absolute timestamps
+
+import { parseDateFields, wallClockMs } from './utils.js';
+import { getMatchingMonthDays, parseRRule } from './recurrence.js';
+
+// Intl formatters are expensive to build, so keep one per zone
+const intlFormatters = new Map();
+
+/**
+ * Parse a UTC offset such as "-0500" or "+053000"
+ * @param {string} value - The TZOFFSETFROM/TZOFFSETTO value
+ * @returns {number} Offset in minutes east of UTC
+ */
+function parseUtcOffset(value) {
+  const match = (value || '').trim().match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+  if (!match) return 0;
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10) + parseInt(match[4] || '0', 10) / 60;
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Parse a VTIMEZONE component into its observances
+ * @param {Object} component - VTIMEZONE component from ICalParser.parseComponents
+ * @returns {{tzid: string, observances: Array}|null} Timezone definition or null if unusable
+ */
+export function parseVTimezone(component) {
+  const tzidProp = component.properties.find(p => p.name === 'TZID');
+  if (!tzidProp || !tzidProp.value.trim()) return null;
+
+  const observances = [];
+  (component.components || []).forEach(child => {
+    if (child.name !== 'STANDARD' && child.name !== 'DAYLIGHT') return;
+
+    const getValue = (name) => {
+      const prop = child.properties.find(p => p.name === name);
+      return prop ? prop.value.trim() : null;
+    };
+
+    const start = parseDateFields(getValue('DTSTART'));
+    if (!start) return;
+
+    const rdates = [];
+    child.properties.filter(p => p.name === 'RDATE').forEach(p => {
+      p.value.split(',').forEach(v => {
+        const fields = parseDateFields(v);
+        if (fields) rdates.push(wallClockMs(fields));
+      });
+    });
+
+    observances.push({
+      type: child.name,
+      start: wallClockMs(start),
+      startFields: start,
+      offsetFrom: parseUtcOffset(getValue('TZOFFSETFROM')),
+      offsetTo: parseUtcOffset(getValue('TZOFFSETTO')),
+      rule: parseObservanceRule(getValue('RRULE')),
+      rdates
+    });
+  });
+
+  if (observances.length === 0) return null;
+  return { tzid: tzidProp.value.trim(), observances };
+}
+
+/**
+ * Parse the yearly RRULE of a STANDARD/DAYLIGHT observance
+ * @param {string} value - RRULE value (e.g. "FREQ=YEARLY;BYMONTH=3;BYDAY=2SU")
+ * @returns {Object|null} Parsed rule with UNTIL as wall-clock ms, or null if not yearly
+ */
+function parseObservanceRule(value) {
+  const rule = parseRRule(value);
+  if (!rule || rule.freq !== 'YEARLY') return null;
+  return { ...rule, until: rule.until ? wallClockMs(rule.until) : null };
+}
+
+/**
+ * Get the onsets of a yearly observance rule in a given year
+ * @param {Object} observance - Parsed observance
+ * @param {number} year - Year to compute
+ * @returns {Array<number>} Wall-clock onsets in that year
+ */
+function getRuleOnsets(observance, year) {
+  const { rule, startFields } = observance;
+  const months = rule.byMonth.length > 0 ? rule.byMonth : [startFields.month];
+  const filters = rule.byDay.length > 0 || rule.byMonthDay.length > 0
+    ? rule
+    : { byDay: [], byMonthDay: [startFields.day] };
+  const onsets = [];
+
+  months.forEach(month => {
+    getMatchingMonthDays(year, month, filters).forEach(day => {
+      onsets.push(Date.UTC(year, month, day, startFields.hour, startFields.minute, startFields.second));
+    });
+  });
+
+  return onsets.filter(onset => onset >= observance.start && (rule.until === null || onset <= rule.until));
+}
+
+/**
+ * Find the latest onset of an observance at or before a wall-clock time
+ * @param {Object} observance - Parsed observance
+ * @param {number} wallMs - Wall-clock milliseconds
+ * @returns {number|null} Latest onset or null if the observance has not started
+ */
+function getLatestOnset(observance, wallMs) {
+  if (wallMs < observance.start) return null;
+
+  let latest = observance.start;
+  observance.rdates.forEach(rdate => {
+    if (rdate <= wallMs && rdate > latest) latest = rdate;
+  });
+
+  if (observance.rule) {
+    const year = new Date(wallMs).getUTCFullYear();
+    [year - 1, year].forEach(y => {
+      getRuleOnsets(observance, y).forEach(onset => {
+        if (onset <= wallMs && onset > latest) latest = onset;
+      });
+    });
+  }
+
+  return latest;
+}
+
+/**
+ * Get the UTC offset in effect for a wall-clock time in a VTIMEZONE definition
+ * @param {Object} timezone - Definition from parseVTimezone
+ * @param {number} wallMs - Wall-clock milliseconds
+ * @returns {number} Offset in minutes east of UTC
+ */
+export function getVTimezoneOffset(timezone, wallMs) {
+  let active = null;
+  let activeOnset = -Infinity;
+
+  timezone.observances.forEach(observance => {
+    const onset = getLatestOnset(observance, wallMs);
+    if (onset !== null && onset > activeOnset) {
+      active = observance;
+      activeOnset = onset;
+    }
+  });
+
+  if (active) return active.offsetTo;
+
+  // Before every observance started: use the offset the earliest one transitions from
+  const earliest = timezone.observances.reduce((a, b) => (a.start <= b.start ? a : b));
+  return earliest.offsetFrom;
+}
+
+/**
+ * Get the UTC offset of an IANA zone at an instant using the browser's tz database
+ * @param {string} tzid - IANA zone name (e.g. "America/New_York")
+ * @param {number} timestamp - Instant in ms since epoch
+ * @returns {number|null} Offset in minutes east of UTC, or null if the zone is unknown
+ */
+export function getIntlOffset(tzid, timestamp) {
+  let formatter = intlFormatters.get(tzid);
+  if (formatter === undefined) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: tzid,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    } catch (e) {
+      formatter = null;
+    }
+    intlFormatters.set(tzid, formatter);
+  }
+  if (!formatter) return null;
+
+  const parts = {};
+  formatter.formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+  const asWallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asWallClock - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a TZID to an absolute timestamp
+ * Prefers the feed's own VTIMEZONE definition, then the browser's IANA database
+ * @param {Object} fields - Fields from parseDateFields
+ * @param {string} tzid - The TZID parameter value
+ * @param {Object} timezones - Map of TZID to definitions from parseVTimezone
+ * @returns {number|null} Timestamp in ms, or null if the zone can't be resolved
+ */
+export function zonedTimeToTimestamp(fields, tzid, timezones = {}) {
+  const wallMs = wallClockMs(fields);
+
+  const definition = timezones[tzid];
+  if (definition) {
+    return wallMs - getVTimezoneOffset(definition, wallMs) * 60000;
+  }
+
+  // Some producers prefix IANA names with a slash (e.g. "/America/New_York")
+  const ianaName = tzid.replace(/^\//, '');
+  const guessOffset = getIntlOffset(ianaName, wallMs);
+  if (guessOffset === null) return null;
+
+  // Re-check at the guessed instant so times next to a DST transition land on the right side
+  const offset = getIntlOffset(ianaName, wallMs - guessOffset * 60000);
+  return wallMs - offset * 60000;
+}
@@ -5,9 +5,16 @@ import { ThemeManager } from './theme-manager.js';
 import { EventRenderer } from './event-renderer.js';
 import { WeekView, getEventsForDate } from './week-view.js';
 import { Sidebar } from './sidebar.js';
+import { ArchiveView } from './archive-view.js';
+import { ChangesView } from './changes-view.js';
+import { ReminderPicker } from './reminder-picker.js';
 import { DEFAULT_SUBJECT_COLORS } from './constants.js';
+import { extractSubject, findSubjectTagKey, getTimeAgo, isTentativeEvent } from './utils.js';
+import { combineDateAndTime, toStoredTime } from './event-model.js';
+import { runMigrations } from './migrations.js';
+import { parseBackup } from './backup.js';
 import {
-  saveToStorage,
+  saveFeedEvents,
   loadSavedData,
   mergeCompletionStatus,
   togglePinAssignment,
@@ -15,17 +22,27 @@ import {
   toggleAssignmentInProgress,
   listenForStorageChanges,
   refreshLocally,
-  clearAllReminderAlarms,
   clearAllData,
   loadSettings,
   saveSettings,
   saveSubjectTags,
   unlockWeather,
   saveWeather,
-  setAssignmentReminder,
-  clearAssignmentReminder,
-  getAssignmentReminderStatus
+  exportBackup,
+  previewRestore,
+  restoreBackup,
+  setSyncEnabled,
+  loadSyncStatus,
+  loadArchivedEvents,
+  restoreArchivedEvent,
+  loadRefreshHistory
 } from './storage-manager.js';
+import { addFeed, addStaticFeed, getEventSource, isStaticFeed, loadFeeds, removeFeed, updateFeed } from './feed-manager.js';
+import { clearCustomReminder, formatLeadTime, getCustomReminder, setCustomReminder, syncReminders } from './reminder-scheduler.js';
+import { DEFAULT_DIGEST_TIME, scheduleDailyDigest } from './daily-digest.js';
+import { DEFAULT_QUIET_HOURS } from './quiet-hours.js';
+import { DEFAULT_REMINDER_PROFILES, formatStages, parseStages, STANDARD_PROFILE_ID } from './reminder-profiles.js';
+import { DEFAULT_NOTIFICATION_ACTIONS } from './notification-actions.js';
 
 export class UIController {
   constructor() {
@@ -34,6 +51,7 @@ export class UIController {
     // DOM element references
     this.parseBtn = document.getElementById('parseBtn');
     this.icalLinkInput = document.getElementById('icalLink');
+    this.setupImportDiv = document.getElementById('setupImport');
     this.loadingSpinner = document.getElementById('loadingSpinner');
     this.errorMessage = document.getElementById('errorMessage');
     this.mainContent = document.getElementById('mainContent');
@@ -42,6 +60,7 @@ export class UIController {
     this.filterSelect = document.getElementById('filterSelect');
     this.filterCurrent = document.getElementById('filterCurrent');
     this.filterOptions = document.getElementById('filterOptions');
+    this.sourceFilterSelect = document.getElementById('sourceFilter');
 
     // Week view elements
     this.weekView = document.getElementById('weekView');
@@ -80,12 +99,33 @@ export class UIController {
     this.settingsView = document.getElementById('settingsView');
 
     // Settings elements
-    this.settingsIcalLink = document.getElementById('settingsIcalLink');
+    this.feedListDiv = document.getElementById('feedList');
+    this.newFeedNameInput = document.getElementById('newFeedName');
+    this.newFeedUrlInput = document.getElementById('newFeedUrl');
+    this.addFeedBtn = document.getElementById('addFeedBtn');
+    this.settingsImportDiv = document.getElementById('settingsImport');
     this.refreshCalendarBtn = document.getElementById('refreshCalendarBtn');
     this.clearDataBtn = document.getElementById('clearDataBtn');
+    this.exportBackupBtn = document.getElementById('exportBackupBtn');
+    this.restoreBackupBtn = document.getElementById('restoreBackupBtn');
+    this.backupFileInput = document.getElementById('backupFileInput');
     this.autoRefreshCheckbox = document.getElementById('autoRefresh');
     this.enableRemindersCheckbox = document.getElementById('enableReminders');
     this.reminderHoursSelect = document.getElementById('reminderHours');
+    this.feedAlarmModeSelect = document.getElementById('feedAlarmMode');
+    this.notifyDueEarlierCheckbox = document.getElementById('notifyDueEarlier');
+    this.notifyNewMajorCheckbox = document.getElementById('notifyNewMajor');
+    this.notifyCancelledCheckbox = document.getElementById('notifyCancelled');
+    this.dailyDigestCheckbox = document.getElementById('dailyDigest');
+    this.digestTimeInput = document.getElementById('digestTime');
+    this.quietHoursRows = document.querySelectorAll('.quiet-hours-row');
+    this.profileStageInputs = document.querySelectorAll('.reminder-profile-stages');
+    this.majorReminderProfileSelect = document.getElementById('majorReminderProfile');
+    this.minorReminderProfileSelect = document.getElementById('minorReminderProfile');
+    this.notificationActionSelects = document.querySelectorAll('.notification-action-select');
+    this.openArchiveBtn = document.getElementById('openArchiveBtn');
+    this.syncEnabledCheckbox = document.getElementById('syncEnabled');
+    this.syncStatusText = document.getElementById('syncStatusText');
     this.themeOptions = document.getElementById('themeOptions');
 
     // Subject tags elements
@@ -107,12 +147,21 @@ export class UIController {
     this.setupThemes = document.getElementById('setupThemes');
     this.setupUIStyles = document.getElementById('setupUIStyles');
     this.setupStyleLabel = document.getElementById('setupStyleLabel');
+    this.setupRestoreBtn = document.getElementById('setupRestoreBtn');
+
+    // Restore backup modal elements
+    this.restoreBackupModal = document.getElementById('restoreBackupModal');
+    this.restoreBackupSource = document.getElementById('restoreBackupSource');
+    this.restorePreviewList = document.getElementById('restorePreview');
+    this.restoreConfirmBtn = document.getElementById('restoreConfirmBtn');
+    this.restoreCancelBtn = document.getElementById('restoreCancelBtn');
     this.settingsUIStyles = document.getElementById('settingsUIStyles');
 
     // Major assignments sidebar elements
     this.majorAssignmentsBar = document.getElementById('majorAssignmentsBar');
     this.majorListDiv = document.getElementById('majorList');
     this.showMajorAssignmentsCheckbox = document.getElementById('showMajorAssignments');
+    this.hideTentativeCheckbox = document.getElementById('hideTentative');
 
     // Easter egg elements
     this.logoEgg = document.getElementById('logoEgg');
@@ -127,7 +176,11 @@ export class UIController {
     this.weatherOptions = document.getElementById('weatherOptions');
 
     // State
-    this.events = [];
+    this.allEvents = []; // Every stored event, including hidden feeds
+    this.events = []; // Events from enabled feeds matching the source filter
+    this.feeds = [];
+    this.sourceFilter = 'all';
+    this.hideTentative = false; // Hide events the calendar marks as not confirmed
     this.subjectTags = {};
     this.pinnedAssignments = {};
     this.isSettingsView = false;
@@ -137,6 +190,7 @@ export class UIController {
     this.isAnimating = false; // Prevent re-render during animations
     this.weatherUnlocked = false;
     this.easterEggBuffer = '';
+    this.pendingBackup = null; // Validated backup waiting for the user to confirm the restore
 
     // Initialize modules
     this.themeManager = new ThemeManager();
@@ -147,8 +201,18 @@ export class UIController {
       onTogglePin: (event, element) => this.handleTogglePin(event, element),
       onSetReminder: (event, hours) => this.handleSetReminder(event, hours),
       onClearReminder: (event) => this.handleClearReminder(event),
+      onOpenReminderPicker: async (event) => this.reminderPicker.open(event, await getCustomReminder(event)),
       getSubjectFromTitle: (title) => this.getSubjectFromTitle(title),
-      getAssignmentReminderStatus: (event) => getAssignmentReminderStatus(event),
+      getAssignmentReminderStatus: async (event) => {
+        const reminder = await getCustomReminder(event);
+        return {
+          hasReminder: !!reminder,
+          reminderTime: reminder ? reminder.fireAt : null,
+          offsetMs: reminder ? reminder.leadMs : null
+        };
+      },
+      getFeedForEvent: (event) => this.getFeedForEvent(event),
+      onOpenRefreshChanges: () => this.changesView.open(),
       themeManager: this.themeManager
     });
 
@@ -178,11 +242,50 @@ export class UIController {
       onToggleInProgress: (event, element) => this.handleSidebarToggleInProgress(event, element)
     });
 
+    this.archiveView = new ArchiveView({
+      modal: document.getElementById('archiveModal'),
+      searchInput: document.getElementById('archiveSearch'),
+      courseSelect: document.getElementById('archiveCourse'),
+      termSelect: document.getElementById('archiveTerm'),
+      listDiv: document.getElementById('archiveList'),
+      countSpan: document.getElementById('archiveCount'),
+      loadArchive: () => loadArchivedEvents(),
+      onRestore: (eventId) => this.handleRestoreArchived(eventId),
+      getSubjectColor: (event) => this.getSubjectTagColor(event.title)
+    });
+
+    this.changesView = new ChangesView({
+      modal: document.getElementById('changesModal'),
+      listDiv: document.getElementById('changesList'),
+      loadHistory: () => loadRefreshHistory(),
+      onNavigateToDate: (date) => {
+        if (this.isSettingsView) this.closeSettings();
+        this.navigateToDate(date);
+      },
+      getSubjectColor: (change) => this.getSubjectTagColor(change.title)
+    });
+
+    this.reminderPicker = new ReminderPicker({
+      modal: document.getElementById('reminderPickerModal'),
+      titleEl: document.getElementById('reminderPickerTitle'),
+      modeInputs: [...document.querySelectorAll('input[name="reminderPickerMode"]')],
+      exactGroup: document.getElementById('reminderPickerExact'),
+      offsetGroup: document.getElementById('reminderPickerOffset'),
+      dateTimeInput: document.getElementById('reminderPickerDateTime'),
+      offsetValueInput: document.getElementById('reminderPickerOffsetValue'),
+      offsetUnitSelect: document.getElementById('reminderPickerOffsetUnit'),
+      errorEl: document.getElementById('reminderPickerError'),
+      saveBtn: document.getElementById('reminderPickerSaveBtn'),
+      onSave: (event, fireAt, offsetMs) => this.saveReminder(event, fireAt, offsetMs)
+    });
+
     this.setupEventListeners();
     this.initialize();
   }
 
   async initialize() {
+    // Bring stored data up to the current schema before anything reads it
+    await runMigrations();
     await this.loadSettingsFromStorage();
     await this.loadSubjectTags();
     this.listenForStorageChanges();
@@ -191,6 +294,19 @@ export class UIController {
     if (hasData) {
       this.requestBackgroundRefresh();
     }
+    await this.openRequestedPanel();
+  }
+
+  /**
+   * Open the panel a notification click asked for (the service worker leaves it in openPanel)
+   */
+  async openRequestedPanel() {
+    const { openPanel } = await chrome.storage.local.get(['openPanel']);
+    if (!openPanel) return;
+    await chrome.storage.local.remove('openPanel');
+    if (openPanel === 'changes') {
+      this.changesView.open();
+    }
   }
 
   setupEventListeners() {
@@ -251,12 +367,113 @@ export class UIController {
     }
     this.clearDataBtn.addEventListener('click', () => this.handleClearAllData());
 
+    // Archive of assignments that dropped out of their feeds
+    if (this.openArchiveBtn) {
+      this.openArchiveBtn.addEventListener('click', () => this.archiveView.open());
+    }
+    const archiveModal = document.getElementById('archiveModal');
+    if (archiveModal) {
+      archiveModal.addEventListener('click', (e) => {
+        if (e.target.classList.contains('custom-assignment-overlay')) {
+          this.archiveView.close();
+        }
+      });
+      document.getElementById('archiveCloseBtn').addEventListener('click', () => this.archiveView.close());
+    }
+
+    // "What changed" panel, opened from the refresh toast
+    const changesModal = document.getElementById('changesModal');
+    if (changesModal) {
+      changesModal.addEventListener('click', (e) => {
+        if (e.target.classList.contains('custom-assignment-overlay')) {
+          this.changesView.close();
+        }
+      });
+      document.getElementById('changesCloseBtn').addEventListener('click', () => this.changesView.close());
+    }
+
+    // Reminder at an exact time or before due, opened from an assignment's action menu
+    const reminderPickerModal = document.getElementById('reminderPickerModal');
+    if (reminderPickerModal) {
+      reminderPickerModal.addEventListener('click', (e) => {
+        if (e.target.classList.contains('custom-assignment-overlay')) {
+          this.reminderPicker.close();
+        }
+      });
+      document.getElementById('reminderPickerCancelBtn').addEventListener('click', () => this.reminderPicker.close());
+    }
+
+    if (this.syncEnabledCheckbox) {
+      this.syncEnabledCheckbox.addEventListener('change', async () => {
+        await setSyncEnabled(this.syncEnabledCheckbox.checked);
+        this.updateSyncStatus();
+      });
+    }
+
+    // Backup export / restore (settings and setup)
+    if (this.exportBackupBtn) {
+      this.exportBackupBtn.addEventListener('click', () => this.handleExportBackup());
+    }
+    if (this.backupFileInput) {
+      [this.restoreBackupBtn, this.setupRestoreBtn].forEach(btn => {
+        if (btn) btn.addEventListener('click', () => this.backupFileInput.click());
+      });
+      this.backupFileInput.addEventListener('change', async () => {
+        await this.handleBackupFile(this.backupFileInput.files[0]);
+        this.backupFileInput.value = '';
+      });
+    }
+    if (this.restoreBackupModal) {
+      this.restoreBackupModal.querySelectorAll('input[name="restoreMode"]').forEach(radio => {
+        radio.addEventListener('change', () => this.renderRestorePreview());
+      });
+      this.restoreBackupModal.addEventListener('click', (e) => {
+        if (e.target.classList.contains('custom-assignment-overlay')) {
+          this.closeRestoreModal();
+        }
+      });
+      this.restoreCancelBtn.addEventListener('click', () => this.closeRestoreModal());
+      this.restoreConfirmBtn.addEventListener('click', () => this.handleConfirmRestore());
+    }
+
     // Auto-save on settings change
     if (this.autoRefreshCheckbox) {
       this.autoRefreshCheckbox.addEventListener('change', () => this.handleSaveSettings());
     }
     this.enableRemindersCheckbox.addEventListener('change', () => this.handleSaveSettings());
     this.reminderHoursSelect.addEventListener('change', () => this.handleSaveSettings());
+    if (this.feedAlarmModeSelect) {
+      this.feedAlarmModeSelect.addEventListener('change', () => this.handleSaveSettings());
+    }
+    [this.notifyDueEarlierCheckbox, this.notifyNewMajorCheckbox, this.notifyCancelledCheckbox].forEach(checkbox => {
+      if (checkbox) checkbox.addEventListener('change', () => this.handleSaveSettings());
+    });
+    [this.dailyDigestCheckbox, this.digestTimeInput].forEach(input => {
+      if (input) input.addEventListener('change', () => this.handleSaveSettings());
+    });
+    this.quietHoursRows.forEach(row => {
+      row.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => this.handleSaveSettings());
+      });
+    });
+    this.profileStageInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        const stages = parseStages(input.value);
+        input.classList.toggle('invalid', !stages);
+        if (!stages) {
+          this.eventRenderer.showMessageToast('Use times like 3d, 1d, 2h or night 20:00');
+          return;
+        }
+        input.value = formatStages(stages);
+        this.handleSaveSettings();
+      });
+    });
+    [this.majorReminderProfileSelect, this.minorReminderProfileSelect].forEach(select => {
+      if (select) select.addEventListener('change', () => this.handleSaveSettings());
+    });
+    this.notificationActionSelects.forEach(select => {
+      select.addEventListener('change', () => this.handleSaveSettings());
+    });
 
     if (this.showMajorAssignmentsCheckbox) {
       this.showMajorAssignmentsCheckbox.addEventListener('change', () => {
@@ -267,6 +484,35 @@ export class UIController {
       });
     }
 
+    if (this.hideTentativeCheckbox) {
+      this.hideTentativeCheckbox.addEventListener('change', () => {
+        this.hideTentative = this.hideTentativeCheckbox.checked;
+        this.handleSaveSettings();
+        this.refreshVisibleEvents();
+      });
+    }
+
+    // Calendar source filter
+    if (this.sourceFilterSelect) {
+      this.sourceFilterSelect.addEventListener('change', () => this.setSourceFilter(this.sourceFilterSelect.value));
+    }
+
+    // Calendar feed settings
+    if (this.addFeedBtn) {
+      this.addFeedBtn.addEventListener('click', () => this.handleAddFeed());
+    }
+    if (this.newFeedUrlInput) {
+      this.newFeedUrlInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          this.handleAddFeed();
+        }
+      });
+    }
+
+    // Calendar file / pasted text import (setup and settings)
+    this.setupIcsImport(this.setupImportDiv);
+    this.setupIcsImport(this.settingsImportDiv);
+
     // Filter selector click
     if (this.filterOptions) {
       this.filterOptions.querySelectorAll('button').forEach(btn => {
@@ -366,15 +612,16 @@ export class UIController {
 
   }
 
-  async handleParse() {
-    const url = this.icalLinkInput.value.trim();
-
+  /**
+   * Check that a calendar URL looks usable
+   * @param {string} url - The URL entered by the user
+   * @returns {string|null} Error message, or null if the URL is valid
+   */
+  validateFeedUrl(url) {
     if (!url) {
-      this.showError('Please enter a valid URL');
-      return;
+      return 'Please enter a valid URL';
     }
 
-    // Validate URL format
     try {
       if (url.startsWith('webcal://') || url.startsWith('webcals://')) {
         if (url.length < 12) {
@@ -384,7 +631,17 @@ export class UIController {
         new URL(url);
       }
     } catch {
-      this.showError('Please enter a valid URL (webcal://, http://, or https://)');
+      return 'Please enter a valid URL (webcal://, http://, or https://)';
+    }
+    return null;
+  }
+
+  async handleParse() {
+    const url = this.icalLinkInput.value.trim();
+
+    const urlError = this.validateFeedUrl(url);
+    if (urlError) {
+      this.showError(urlError);
       return;
     }
 
@@ -392,9 +649,12 @@ export class UIController {
     this.clearError();
 
     try {
-      const events = await ICalParser.fetchAndParse(url);
+      const parsedEvents = await ICalParser.fetchAndParse(url);
+      const { feed } = await addFeed({ url });
+      // Display the saved copy so feed-provided task status is shown right away
+      const events = await saveFeedEvents(feed, parsedEvents);
+      this.feeds = await loadFeeds();
       this.displayEvents(events);
-      await saveToStorage(url, events);
       // Save the selected theme from setup
       await this.handleSaveSettings();
       // Show tutorial for first-time users
@@ -414,11 +674,13 @@ export class UIController {
       return;
     }
 
-    this.events = events;
+    this.allEvents = events;
+    this.events = this.getVisibleEvents();
     this.ensureSubjectTags(events);
+    this.updateSourceFilterOptions();
 
     // Update sidebar and renderer
-    this.sidebar.updateData({ events, pinnedAssignments: this.pinnedAssignments });
+    this.sidebar.updateData({ events: this.events, pinnedAssignments: this.pinnedAssignments });
     this.updateEventRendererOptions();
 
     // Hide setup view and show main content
@@ -433,6 +695,78 @@ export class UIController {
     this.sidebar.update();
   }
 
+  /**
+   * Get the events to display: enabled feeds (plus custom assignments), narrowed by the source filter
+   * and, if turned on, without tentative events
+   * @returns {Array} Visible events
+   */
+  getVisibleEvents() {
+    const disabled = new Set(this.feeds.filter(f => !f.enabled).map(f => f.id));
+    return this.allEvents.filter(event => {
+      const source = getEventSource(event);
+      if (source && disabled.has(source)) return false;
+      if (this.hideTentative && isTentativeEvent(event)) return false;
+      return this.sourceFilter === 'all' || source === this.sourceFilter;
+    });
+  }
+
+  /**
+   * Get the feed an event came from
+   * @param {Object} event - The event
+   * @returns {Object|null} Feed, or null for custom assignments
+   */
+  getFeedForEvent(event) {
+    const source = getEventSource(event);
+    return source ? this.feeds.find(f => f.id === source) || null : null;
+  }
+
+  /**
+   * Rebuild the calendar filter; it is only shown when more than one feed is enabled
+   */
+  updateSourceFilterOptions() {
+    if (!this.sourceFilterSelect) return;
+
+    const enabledFeeds = this.feeds.filter(f => f.enabled);
+    if (this.sourceFilter !== 'all' && !enabledFeeds.some(f => f.id === this.sourceFilter)) {
+      this.sourceFilter = 'all';
+    }
+
+    this.sourceFilterSelect.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = 'all';
+    allOption.textContent = 'All calendars';
+    this.sourceFilterSelect.appendChild(allOption);
+    enabledFeeds.forEach(feed => {
+      const option = document.createElement('option');
+      option.value = feed.id;
+      option.textContent = feed.name;
+      this.sourceFilterSelect.appendChild(option);
+    });
+    this.sourceFilterSelect.value = this.sourceFilter;
+    this.sourceFilterSelect.classList.toggle('hidden', enabledFeeds.length < 2);
+  }
+
+  setSourceFilter(feedId) {
+    this.sourceFilter = feedId || 'all';
+    this.refreshVisibleEvents();
+  }
+
+  /**
+   * Re-apply feed visibility and the source filter to the current events
+   */
+  refreshVisibleEvents() {
+    this.events = this.getVisibleEvents();
+    this.updateSourceFilterOptions();
+    this.sidebar.updateData({ events: this.events, pinnedAssignments: this.pinnedAssignments });
+    this.weekViewController.renderWeekView();
+    if (this.isWeekAssignmentsView) {
+      this.populateWeekAssignments();
+    } else {
+      this.showEventsForSelectedDay();
+    }
+    this.sidebar.update();
+  }
+
   showEventsForSelectedDay() {
     this.updateEventRendererOptions();
     this.weekViewController.showEventsForSelectedDay(
@@ -444,7 +778,8 @@ export class UIController {
     const sidebarEnabled = this.showMajorAssignmentsCheckbox && this.showMajorAssignmentsCheckbox.checked;
     this.eventRenderer.updateOptions({
       pinnedAssignments: this.pinnedAssignments,
-      sidebarEnabled
+      sidebarEnabled,
+      showSource: this.feeds.length > 1
     });
   }
 
@@ -678,12 +1013,15 @@ export class UIController {
       return;
     }
 
-    // Create a custom event object
+    // Create a custom event object (no time means due any time that day)
     const customEvent = {
       uid: `custom_${Date.now()}`,
       title: title,
-      dueRaw: dueDate,
-      dueTime: dueTime || null,
+      dueAt: dueTime ? combineDateAndTime(dueDate, dueTime) : toStoredTime(dueDate, null, true),
+      startAt: null,
+      endAt: null,
+      allDay: !dueTime,
+      source: 'custom',
       description: description,
       isCustom: true,
       isCompleted: false,
@@ -694,15 +1032,16 @@ export class UIController {
     customEvent.summary = course;
     // Ensure course is in tags
     if (!this.subjectTags[course]) {
-      this.subjectTags[course] = '#9333ea'; // Default purple color
+      this.subjectTags[course] = { color: '#9333ea', displayName: course }; // Default purple color
     }
 
     // Add to events array
-    this.events.push(customEvent);
+    this.allEvents.push(customEvent);
+    this.events = this.getVisibleEvents();
 
     // Save to storage
     await chrome.storage.local.set({
-      events: this.events,
+      events: this.allEvents,
       subjectTags: this.subjectTags
     });
 
@@ -712,7 +1051,7 @@ export class UIController {
     this.closeCustomAssignmentModal();
 
     // Show success message
-    this.eventRenderer.showRefreshToast({ added: 1, updated: 0, removed: 0, timestamp: Date.now() });
+    this.eventRenderer.showMessageToast('Assignment added');
   }
 
   async handleToggleComplete(event, eventElement) {
@@ -883,27 +1222,32 @@ export class UIController {
 
   async handleSetReminder(event, hours) {
     try {
-      const result = await setAssignmentReminder(event, hours);
-      if (result.success) {
-        const reminderTime = new Date(result.reminderTime);
-        const timeStr = reminderTime.toLocaleTimeString('en-US', {
-          hour: 'numeric',
-          minute: '2-digit'
-        });
-        this.eventRenderer.showMessageToast(`Reminder set for ${timeStr}`);
-      }
+      await this.saveReminder(event, Date.now() + hours * 60 * 60 * 1000);
     } catch (error) {
       console.error('Failed to set reminder:', error);
-      this.eventRenderer.showMessageToast('Failed to set reminder');
+      this.eventRenderer.showMessageToast(error.message || 'Failed to set reminder');
     }
   }
 
+  /**
+   * Set an assignment's reminder and confirm it in a toast
+   * @param {Object} event - The assignment
+   * @param {number} fireAt - When to notify (epoch ms)
+   * @param {number|null} [offsetMs] - How long before due, for reminders that follow the due time
+   * @throws {Error} If the time is in the past or after the due time
+   */
+  async saveReminder(event, fireAt, offsetMs = null) {
+    const reminder = await setCustomReminder(event, fireAt, offsetMs);
+    const timeStr = this.eventRenderer.formatReminderTime(reminder.fireAt);
+    this.eventRenderer.showMessageToast(offsetMs
+      ? `Reminder set ${formatLeadTime(offsetMs)} before due (${timeStr})`
+      : `Reminder set for ${timeStr}`);
+  }
+
   async handleClearReminder(event) {
     try {
-      const result = await clearAssignmentReminder(event);
-      if (result.success) {
-        this.eventRenderer.showMessageToast('Reminder cleared');
-      }
+      await clearCustomReminder(event);
+      this.eventRenderer.showMessageToast('Reminder cleared');
     } catch (error) {
       console.error('Failed to clear reminder:', error);
       this.eventRenderer.showMessageToast('Failed to clear reminder');
@@ -933,8 +1277,8 @@ export class UIController {
   async loadSavedDataFromStorage() {
     const data = await loadSavedData();
     if (data) {
-      this.icalLinkInput.value = data.url;
-      this.settingsIcalLink.value = data.url;
+      this.feeds = data.feeds;
+      this.icalLinkInput.value = data.feeds[0].url || '';
       this.pinnedAssignments = data.pinnedAssignments || {};
       this.displayEvents(data.events);
 
@@ -957,18 +1301,44 @@ export class UIController {
       const changes = pendingChanges;
       pendingChanges = {};
 
+      // A notification was clicked while the popup was already open
+      if (changes.openPanel && changes.openPanel.newValue) {
+        this.openRequestedPanel();
+      }
+
       // Don't re-render during completion animation
       if (this.isAnimating) return;
 
-      const eventsChanged = changes.events || changes.completedAssignments || changes.inProgressAssignments || changes.icalUrl;
+      const eventsChanged = changes.events || changes.completedAssignments || changes.inProgressAssignments;
       if (eventsChanged) {
         await this.updateEventsFromStorage();
       }
 
+      if (changes.feeds) {
+        this.feeds = changes.feeds.newValue || [];
+        if (this.isSettingsView) {
+          this.displayFeeds();
+        }
+        if (!eventsChanged && this.allEvents.length > 0) {
+          this.refreshVisibleEvents();
+        }
+      }
+
       if (changes.lastRefreshSummary && changes.lastRefreshSummary.newValue) {
         this.eventRenderer.showRefreshToast(changes.lastRefreshSummary.newValue);
       }
 
+      if (changes.syncStatus && this.isSettingsView) {
+        this.updateSyncStatus();
+      }
+
+      if (changes.subjectTags && changes.subjectTags.newValue) {
+        this.subjectTags = changes.subjectTags.newValue;
+        if (this.isSettingsView) {
+          this.displaySubjectTags();
+        }
+      }
+
       if (changes.theme && changes.theme.newValue) {
         this.themeManager.applyTheme(changes.theme.newValue);
         this.updateThemePillSelection();
@@ -978,6 +1348,12 @@ export class UIController {
         this.themeManager.applyUIStyle(changes.uiStyle.newValue);
         this.updateUIStyleSelection();
       }
+
+      if (changes.hideTentative && changes.hideTentative.newValue !== this.hideTentative) {
+        this.hideTentative = changes.hideTentative.newValue === true;
+        if (this.hideTentativeCheckbox) this.hideTentativeCheckbox.checked = this.hideTentative;
+        this.refreshVisibleEvents();
+      }
     };
 
     listenForStorageChanges((changes, areaName) => {
@@ -999,11 +1375,8 @@ export class UIController {
 
   async updateEventsFromStorage() {
     try {
-      const data = await chrome.storage.local.get(['events', 'completedAssignments', 'inProgressAssignments', 'icalUrl', 'pinnedAssignments']);
-      if (data.icalUrl) {
-        this.icalLinkInput.value = data.icalUrl;
-        this.settingsIcalLink.value = data.icalUrl;
-      }
+      const data = await chrome.storage.local.get(['events', 'completedAssignments', 'inProgressAssignments', 'pinnedAssignments']);
+      this.feeds = await loadFeeds();
       this.pinnedAssignments = data.pinnedAssignments || {};
       const merged = mergeCompletionStatus(data.events || [], data.completedAssignments, data.inProgressAssignments);
       if (merged.length > 0) {
@@ -1014,17 +1387,19 @@ export class UIController {
     }
   }
 
-  async requestBackgroundRefresh() {
-    const currentUrl = this.icalLinkInput.value.trim() || this.settingsIcalLink.value.trim();
-    if (!currentUrl) {
+  /**
+   * Refresh feeds through the background worker, falling back to a local refresh
+   * @param {string|null} [feedId] - Refresh only this feed (defaults to every enabled feed)
+   */
+  async requestBackgroundRefresh(feedId = null) {
+    if (this.feeds.length === 0) {
       this.showError('Please add an iCal link first');
       return;
     }
-    await chrome.storage.local.set({ icalUrl: currentUrl });
 
     const response = await new Promise(resolve => {
       try {
-        chrome.runtime.sendMessage({ action: 'refreshCalendarNow', icalUrl: currentUrl }, (resp) => {
+        chrome.runtime.sendMessage({ action: 'refreshCalendarNow', feedId }, (resp) => {
           if (chrome.runtime.lastError) {
             resolve({ success: false, error: chrome.runtime.lastError.message });
           } else {
@@ -1039,7 +1414,7 @@ export class UIController {
     if (!response || !response.success) {
       console.warn('Background refresh failed or no response', response && response.error);
       try {
-        await refreshLocally(currentUrl);
+        await refreshLocally(feedId);
         await this.updateEventsFromStorage();
       } catch (err) {
         this.showError(response && response.error ? response.error : 'Could not refresh calendar. Please try again.');
@@ -1069,8 +1444,9 @@ export class UIController {
 
   // Settings methods
   openSettings() {
-    this.settingsIcalLink.value = this.icalLinkInput.value;
+    this.displayFeeds();
     this.displaySubjectTags();
+    this.updateSyncStatus();
 
     // Clear easter egg text when entering settings
     if (this.logoEgg) {
@@ -1095,12 +1471,6 @@ export class UIController {
   }
 
   closeSettings() {
-    const newUrl = this.settingsIcalLink.value.trim();
-    if (newUrl && newUrl !== this.icalLinkInput.value) {
-      this.icalLinkInput.value = newUrl;
-      this.handleParse();
-    }
-
     this.settingsView.classList.add('hidden');
     this.mainView.classList.remove('hidden');
     // Restore header with easter egg structure (no 'ity' visible after unlocking)
@@ -1122,6 +1492,19 @@ export class UIController {
 
     this.enableRemindersCheckbox.checked = settings.enableReminders;
     this.reminderHoursSelect.value = String(settings.reminderHours);
+    if (this.feedAlarmModeSelect) {
+      this.feedAlarmModeSelect.value = settings.feedAlarms;
+    }
+    if (this.notifyDueEarlierCheckbox) this.notifyDueEarlierCheckbox.checked = settings.notifyDueEarlier;
+    if (this.notifyNewMajorCheckbox) this.notifyNewMajorCheckbox.checked = settings.notifyNewMajor;
+    if (this.notifyCancelledCheckbox) this.notifyCancelledCheckbox.checked = settings.notifyCancelled;
+    if (this.dailyDigestCheckbox) this.dailyDigestCheckbox.checked = settings.dailyDigest;
+    if (this.digestTimeInput) this.digestTimeInput.value = settings.digestTime;
+    this.setQuietHoursInputs(settings.quietHours);
+    this.setReminderProfileInputs(settings.reminderProfiles);
+    if (this.majorReminderProfileSelect) this.majorReminderProfileSelect.value = settings.majorReminderProfile;
+    if (this.minorReminderProfileSelect) this.minorReminderProfileSelect.value = settings.minorReminderProfile;
+    this.setNotificationActionInputs(settings.notificationActions);
 
     this.themeManager.applyTheme(settings.theme);
     this.themeManager.applyUIStyle(settings.uiStyle);
@@ -1131,8 +1514,16 @@ export class UIController {
     if (this.showMajorAssignmentsCheckbox) {
       this.showMajorAssignmentsCheckbox.checked = settings.showMajorAssignmentsBar;
     }
+    this.hideTentative = settings.hideTentative;
+    if (this.hideTentativeCheckbox) {
+      this.hideTentativeCheckbox.checked = settings.hideTentative;
+    }
     this.sidebar.toggleVisibility(settings.showMajorAssignmentsBar);
 
+    if (this.syncEnabledCheckbox) {
+      this.syncEnabledCheckbox.checked = settings.syncEnabled;
+    }
+
     this.subjectTags = settings.subjectTags;
 
     // Check if weather effects are unlocked (easter egg)
@@ -1151,21 +1542,115 @@ export class UIController {
     this.updateWeatherSelectorVisibility();
   }
 
+  /**
+   * Show quiet hours in the settings rows (each row is one window, by day type and position)
+   * @param {{weekdays: Array, weekends: Array}} quietHours - Quiet hours as returned by loadSettings()
+   */
+  setQuietHoursInputs(quietHours) {
+    this.quietHoursRows.forEach(row => {
+      const window = (quietHours[row.dataset.day] || [])[parseInt(row.dataset.index, 10)];
+      if (!window) return;
+      row.querySelector('.quiet-hours-enabled').checked = window.enabled;
+      row.querySelector('.quiet-hours-start').value = window.start;
+      row.querySelector('.quiet-hours-end').value = window.end;
+    });
+  }
+
+  /**
+   * Read quiet hours from the settings rows
+   * @returns {{weekdays: Array, weekends: Array}} Quiet hours (cleared time inputs fall back to the defaults when saved)
+   */
+  getQuietHoursFromInputs() {
+    const quietHours = { weekdays: [], weekends: [] };
+    this.quietHoursRows.forEach(row => {
+      if (!quietHours[row.dataset.day]) return;
+      quietHours[row.dataset.day][parseInt(row.dataset.index, 10)] = {
+        enabled: row.querySelector('.quiet-hours-enabled').checked,
+        start: row.querySelector('.quiet-hours-start').value,
+        end: row.querySelector('.quiet-hours-end').value
+      };
+    });
+    return quietHours;
+  }
+
+  /**
+   * Show each profile's stages in its text input
+   * @param {Object} profiles - Profiles keyed by ID ({stages})
+   */
+  setReminderProfileInputs(profiles) {
+    this.reminderProfiles = profiles;
+    this.profileStageInputs.forEach(input => {
+      const profile = profiles[input.dataset.profile];
+      if (!profile) return;
+      input.value = formatStages(profile.stages);
+      input.classList.remove('invalid');
+    });
+  }
+
+  /**
+   * Read profile stages from the text inputs (inputs that can't be read keep the last saved stages)
+   * @returns {Object} Profiles keyed by ID ({stages})
+   */
+  getReminderProfilesFromInputs() {
+    const profiles = {};
+    this.profileStageInputs.forEach(input => {
+      const saved = this.reminderProfiles && this.reminderProfiles[input.dataset.profile];
+      const stages = parseStages(input.value) || (saved ? saved.stages : null);
+      if (stages) profiles[input.dataset.profile] = { stages };
+    });
+    return profiles;
+  }
+
+  /**
+   * Show the action of each reminder notification button in its select
+   * @param {Array<string>} actions - Action IDs, one per button
+   */
+  setNotificationActionInputs(actions) {
+    this.notificationActionSelects.forEach(select => {
+      select.value = actions[parseInt(select.dataset.index, 10)] || 'none';
+    });
+  }
+
+  /**
+   * Read the reminder notification buttons from the selects
+   * @returns {Array<string>} Action IDs, one per button
+   */
+  getNotificationActionsFromInputs() {
+    const actions = [];
+    this.notificationActionSelects.forEach(select => {
+      actions[parseInt(select.dataset.index, 10)] = select.value;
+    });
+    return actions;
+  }
+
   async handleSaveSettings() {
     const settings = {
       autoRefresh: this.autoRefreshCheckbox ? this.autoRefreshCheckbox.checked : false,
       enableReminders: this.enableRemindersCheckbox.checked,
       reminderHours: parseInt(this.reminderHoursSelect.value, 10) || 24,
+      feedAlarms: this.feedAlarmModeSelect ? this.feedAlarmModeSelect.value : 'accept',
+      notifyDueEarlier: this.notifyDueEarlierCheckbox ? this.notifyDueEarlierCheckbox.checked : true,
+      notifyNewMajor: this.notifyNewMajorCheckbox ? this.notifyNewMajorCheckbox.checked : true,
+      notifyCancelled: this.notifyCancelledCheckbox ? this.notifyCancelledCheckbox.checked : true,
+      dailyDigest: this.dailyDigestCheckbox ? this.dailyDigestCheckbox.checked : false,
+      // A cleared time input falls back to the default
+      digestTime: (this.digestTimeInput && this.digestTimeInput.value) || DEFAULT_DIGEST_TIME,
+      quietHours: this.getQuietHoursFromInputs(),
+      reminderProfiles: this.getReminderProfilesFromInputs(),
+      majorReminderProfile: this.majorReminderProfileSelect ? this.majorReminderProfileSelect.value : STANDARD_PROFILE_ID,
+      minorReminderProfile: this.minorReminderProfileSelect ? this.minorReminderProfileSelect.value : STANDARD_PROFILE_ID,
+      notificationActions: this.getNotificationActionsFromInputs(),
       theme: this.themeManager.currentTheme,
       uiStyle: this.themeManager.currentUIStyle,
-      showMajorAssignmentsBar: this.showMajorAssignmentsCheckbox ? this.showMajorAssignmentsCheckbox.checked : false
+      showMajorAssignmentsBar: this.showMajorAssignmentsCheckbox ? this.showMajorAssignmentsCheckbox.checked : false,
+      hideTentative: this.hideTentative
     };
 
     await saveSettings(settings);
 
-    if (!settings.enableReminders) {
-      await clearAllReminderAlarms();
-    }
+    // Lead time, enabled state, quiet hours or digest time may have changed
+    await syncReminders();
+    await scheduleDailyDigest();
 
     if (settings.autoRefresh) {
       this.setupAutoRefresh();
@@ -1177,14 +1662,39 @@ export class UIController {
     this.sidebar.update();
   }
 
+  async handleRestoreArchived(eventId) {
+    const event = await restoreArchivedEvent(eventId);
+    if (event) {
+      await this.updateEventsFromStorage();
+      this.eventRenderer.showMessageToast(`Restored "${event.title}"`);
+    }
+  }
+
+  async updateSyncStatus() {
+    if (!this.syncStatusText) return;
+    const status = this.syncEnabledCheckbox && this.syncEnabledCheckbox.checked ? await loadSyncStatus() : null;
+
+    this.syncStatusText.classList.toggle('sync-error', !!status && status.status === 'error');
+    if (!status) {
+      this.syncStatusText.textContent = '';
+    } else if (status.status === 'error') {
+      this.syncStatusText.textContent = `Sync paused: ${status.error}. Retrying shortly.`;
+    } else {
+      const skipped = status.skipped > 0 ? ` · ${status.skipped} older items kept on this device only (sync storage is full)` : '';
+      this.syncStatusText.textContent = `Last synced ${getTimeAgo(new Date(status.timestamp))}${skipped}`;
+    }
+  }
+
   async handleClearAllData() {
     if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
       await clearAllData();
+      this.allEvents = [];
       this.events = [];
+      this.feeds = [];
+      this.sourceFilter = 'all';
       this.subjectTags = {};
       this.pinnedAssignments = {};
       this.icalLinkInput.value = '';
-      this.settingsIcalLink.value = '';
       this.mainContent.classList.add('hidden');
       // Show setup view again
       if (this.setupView) {
@@ -1193,9 +1703,24 @@ export class UIController {
       if (this.autoRefreshCheckbox) this.autoRefreshCheckbox.checked = false;
       this.enableRemindersCheckbox.checked = true;
       this.reminderHoursSelect.value = '24';
+      if (this.feedAlarmModeSelect) this.feedAlarmModeSelect.value = 'accept';
+      [this.notifyDueEarlierCheckbox, this.notifyNewMajorCheckbox, this.notifyCancelledCheckbox].forEach(checkbox => {
+        if (checkbox) checkbox.checked = true;
+      });
+      if (this.dailyDigestCheckbox) this.dailyDigestCheckbox.checked = false;
+      if (this.digestTimeInput) this.digestTimeInput.value = DEFAULT_DIGEST_TIME;
+      this.setQuietHoursInputs(DEFAULT_QUIET_HOURS);
+      this.setReminderProfileInputs(DEFAULT_REMINDER_PROFILES);
+      [this.majorReminderProfileSelect, this.minorReminderProfileSelect].forEach(select => {
+        if (select) select.value = STANDARD_PROFILE_ID;
+      });
+      this.setNotificationActionInputs(DEFAULT_NOTIFICATION_ACTIONS);
+      if (this.syncEnabledCheckbox) this.syncEnabledCheckbox.checked = false;
       if (this.showMajorAssignmentsCheckbox) {
         this.showMajorAssignmentsCheckbox.checked = false;
       }
+      this.hideTentative = false;
+      if (this.hideTentativeCheckbox) this.hideTentativeCheckbox.checked = false;
       this.sidebar.toggleVisibility(false);
       this.loadSubjectTags();
       this.themeManager.applyTheme('slate');
@@ -1222,14 +1747,138 @@ export class UIController {
     }
   }
 
+  async handleExportBackup() {
+    try {
+      const backup = await exportBackup();
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `trintasks-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.eventRenderer.showMessageToast('Backup exported');
+    } catch (error) {
+      console.error('Backup export failed:', error);
+      alert(`Could not export a backup: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a chosen backup file and open the restore preview
+   * @param {File} file - The backup file
+   */
+  async handleBackupFile(file) {
+    if (!file) return;
+
+    try {
+      this.pendingBackup = parseBackup(await file.text());
+    } catch (error) {
+      console.error('Backup restore error:', error);
+      if (this.isSettingsView) {
+        alert(error.message);
+      } else {
+        this.showError(error.message);
+      }
+      return;
+    }
+
+    this.clearError();
+    const exportedAt = new Date(this.pendingBackup.exportedAt);
+    this.restoreBackupSource.textContent = isNaN(exportedAt)
+      ? file.name
+      : `${file.name} · exported ${exportedAt.toLocaleString()}`;
+    this.restoreBackupModal.querySelector('input[value="merge"]').checked = true;
+    this.restoreBackupModal.classList.remove('hidden');
+    await this.renderRestorePreview();
+  }
+
+  getRestoreMode() {
+    const selected = this.restoreBackupModal.querySelector('input[name="restoreMode"]:checked');
+    return selected ? selected.value : 'merge';
+  }
+
+  async renderRestorePreview() {
+    if (!this.pendingBackup) return;
+    const plan = await previewRestore(this.pendingBackup, this.getRestoreMode());
+
+    this.restorePreviewList.innerHTML = '';
+    const addLine = (label, detail, removed = false) => {
+      const li = document.createElement('li');
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = label;
+      const detailSpan = document.createElement('span');
+      detailSpan.textContent = detail;
+      if (removed) detailSpan.classList.add('restore-preview-removed');
+      li.appendChild(labelSpan);
+      li.appendChild(detailSpan);
+      this.restorePreviewList.appendChild(li);
+    };
+
+    plan.changes.forEach(change => {
+      if (change.added === 0 && change.removed === 0) return;
+      const parts = [];
+      if (change.added > 0) parts.push(`+${change.added}`);
+      if (change.removed > 0) parts.push(`−${change.removed}`);
+      addLine(change.label, parts.join(' '), change.removed > 0);
+    });
+    if (plan.settingsChanged.length > 0) {
+      addLine('Settings', `${plan.settingsChanged.length} changed`);
+    }
+    if (this.restorePreviewList.children.length === 0) {
+      addLine('Nothing new to restore', '');
+    }
+  }
+
+  closeRestoreModal() {
+    this.pendingBackup = null;
+    this.restoreBackupModal.classList.add('hidden');
+  }
+
+  async handleConfirmRestore() {
+    if (!this.pendingBackup) return;
+    const mode = this.getRestoreMode();
+    if (mode === 'replace' && !confirm('Replace all of your current data with this backup?')) {
+      return;
+    }
+
+    this.restoreConfirmBtn.disabled = true;
+    try {
+      const plan = await restoreBackup(this.pendingBackup, mode);
+      this.closeRestoreModal();
+
+      await this.loadSettingsFromStorage();
+      if (plan.settings && plan.settings.autoRefresh) {
+        this.setupAutoRefresh();
+      }
+      this.feeds = await loadFeeds();
+      await this.updateEventsFromStorage();
+      if (this.isSettingsView) {
+        this.displayFeeds();
+        this.displaySubjectTags();
+      }
+      this.eventRenderer.showMessageToast('Backup restored');
+
+      // Restored calendars have no cached copy yet
+      if (this.feeds.some(feed => feed.enabled && !isStaticFeed(feed))) {
+        await this.requestBackgroundRefresh();
+      }
+    } catch (error) {
+      console.error('Backup restore failed:', error);
+      alert(`Could not restore the backup: ${error.message}`);
+    } finally {
+      this.restoreConfirmBtn.disabled = false;
+    }
+  }
+
   setupAutoRefresh() {
     if (this.autoRefreshInterval) {
       clearInterval(this.autoRefreshInterval);
     }
 
     this.autoRefreshInterval = setInterval(() => {
-      if (this.icalLinkInput.value) {
-        this.handleParse();
+      if (this.feeds.length > 0) {
+        this.requestBackgroundRefresh();
       }
     }, 60 * 60 * 1000); // 1 hour
   }
@@ -1264,30 +1913,224 @@ export class UIController {
   }
 
   // Subject tag methods
-  async loadSubjectTags() {
-    const data = await chrome.storage.local.get(['subjectTags']);
-    this.subjectTags = data.subjectTags || {};
-    // Migrate old format (string color) to new format (object with color and displayName)
-    this.migrateSubjectTagsFormat();
-    this.displaySubjectTags();
+  // Calendar feed methods
+  displayFeeds() {
+    if (!this.feedListDiv) return;
+    this.feedListDiv.innerHTML = '';
+
+    if (this.feeds.length === 0) {
+      const emptyMsg = document.createElement('p');
+      emptyMsg.style.cssText = 'color: #9ca3af; font-size: 12px; margin: 0;';
+      emptyMsg.textContent = 'No calendars yet. Add one below.';
+      this.feedListDiv.appendChild(emptyMsg);
+      return;
+    }
+
+    this.feeds.forEach(feed => {
+      const feedDiv = document.createElement('div');
+      feedDiv.className = 'subject-tag-item feed-item';
+      feedDiv.classList.toggle('disabled', !feed.enabled);
+      feedDiv.title = isStaticFeed(feed) ? 'Imported calendar (not refreshed)' : feed.url;
+
+      const enabledInput = document.createElement('input');
+      enabledInput.type = 'checkbox';
+      enabledInput.checked = feed.enabled;
+      enabledInput.title = feed.enabled ? 'Hide this calendar' : 'Show this calendar';
+      enabledInput.addEventListener('change', () => this.handleToggleFeed(feed, enabledInput.checked));
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = feed.color;
+      colorInput.className = 'tag-color-input';
+      colorInput.title = 'Click to change color';
+      colorInput.addEventListener('change', (e) => updateFeed(feed.id, { color: e.target.value }));
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = feed.name;
+      nameInput.className = 'tag-name-input';
+      nameInput.title = 'Click to rename';
+      nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        if (name) {
+          updateFeed(feed.id, { name });
+        } else {
+          nameInput.value = feed.name;
+        }
+      });
+
+      const statusSpan = document.createElement('span');
+      statusSpan.className = 'feed-item-status';
+      if (isStaticFeed(feed)) {
+        const eventCount = feed.lastRefresh ? feed.lastRefresh.eventCount : 0;
+        statusSpan.textContent = `Imported · ${eventCount} events`;
+      } else if (!feed.lastRefresh) {
+        statusSpan.textContent = 'Not refreshed';
+      } else if (feed.lastRefresh.status === 'error') {
+        statusSpan.classList.add('error');
+        statusSpan.textContent = 'Refresh failed';
+        statusSpan.title = feed.lastRefresh.error || '';
+      } else {
+        statusSpan.textContent = `${feed.lastRefresh.eventCount} events · ${getTimeAgo(feed.lastRefresh.timestamp)}`;
+      }
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'feed-remove-btn';
+      removeBtn.title = 'Remove calendar';
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', () => this.handleRemoveFeed(feed));
+
+      feedDiv.appendChild(enabledInput);
+      feedDiv.appendChild(colorInput);
+      feedDiv.appendChild(nameInput);
+      feedDiv.appendChild(statusSpan);
+      feedDiv.appendChild(removeBtn);
+      this.feedListDiv.appendChild(feedDiv);
+    });
   }
 
-  // Migrate from old format { "MATH": "#color" } to new format { "MATH": { color: "#color", displayName: "MATH" } }
-  migrateSubjectTagsFormat() {
-    let needsSave = false;
-    for (const key in this.subjectTags) {
-      if (typeof this.subjectTags[key] === 'string') {
-        // Old format - migrate to new
-        this.subjectTags[key] = {
-          color: this.subjectTags[key],
-          displayName: key
-        };
-        needsSave = true;
+  async handleAddFeed() {
+    const url = this.newFeedUrlInput.value.trim();
+    const urlError = this.validateFeedUrl(url);
+    if (urlError) {
+      alert(urlError);
+      return;
+    }
+
+    const { feeds, feed } = await addFeed({ url, name: this.newFeedNameInput.value });
+    this.feeds = feeds;
+    this.newFeedNameInput.value = '';
+    this.newFeedUrlInput.value = '';
+    this.displayFeeds();
+
+    this.addFeedBtn.disabled = true;
+    this.addFeedBtn.textContent = 'Adding...';
+    try {
+      await this.requestBackgroundRefresh(feed.id);
+    } finally {
+      this.addFeedBtn.disabled = false;
+      this.addFeedBtn.textContent = 'Add Calendar';
+    }
+  }
+
+  async handleToggleFeed(feed, enabled) {
+    this.feeds = await updateFeed(feed.id, { enabled });
+    // Fetch right away when re-enabling so the calendar isn't stale
+    if (enabled && !isStaticFeed(feed)) {
+      await this.requestBackgroundRefresh(feed.id);
+    }
+  }
+
+  async handleRemoveFeed(feed) {
+    if (!confirm(`Remove "${feed.name}"? Its events and their completion status will be deleted.`)) {
+      return;
+    }
+    const { feeds } = await removeFeed(feed.id);
+    this.feeds = feeds;
+    this.displayFeeds();
+  }
+
+  /**
+   * Wire up a calendar import block: drop zone, file picker and paste textarea
+   * @param {HTMLElement|null} container - Element holding the [data-import] controls
+   */
+  setupIcsImport(container) {
+    if (!container) return;
+
+    const dropZone = container.querySelector('[data-import="drop"]');
+    const fileInput = container.querySelector('[data-import="file"]');
+    const fileBtn = container.querySelector('[data-import="file-btn"]');
+    const textArea = container.querySelector('[data-import="text"]');
+    const textBtn = container.querySelector('[data-import="text-btn"]');
+
+    const importFile = async (file) => {
+      if (!file) return;
+      const content = await file.text();
+      await this.handleImportIcs(content, file.name.replace(/\.ics$/i, ''));
+    };
+
+    fileBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      await importFile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+    dropZone.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('drag-over');
+      await importFile(e.dataTransfer.files[0]);
+    });
+
+    textBtn.addEventListener('click', async () => {
+      const content = textArea.value.trim();
+      if (!content) return;
+      if (await this.handleImportIcs(content, 'Pasted calendar')) {
+        textArea.value = '';
       }
+    });
+  }
+
+  /**
+   * Import calendar content from a file or pasted text as a static feed
+   * Re-importing under the same name replaces that feed's events
+   * @param {string} content - Raw iCal content
+   * @param {string} name - Name for the imported calendar
+   * @returns {Promise<boolean>} True if events were imported
+   */
+  async handleImportIcs(content, name) {
+    const fromSetup = !this.isSettingsView;
+    const reportError = (message) => {
+      if (fromSetup) {
+        this.showError(message);
+      } else {
+        alert(message);
+      }
+    };
+
+    if (!/BEGIN:VCALENDAR/i.test(content)) {
+      reportError('That doesn\'t look like a calendar file (.ics)');
+      return false;
     }
-    if (needsSave) {
-      saveSubjectTags(this.subjectTags);
+
+    let parsedEvents;
+    try {
+      parsedEvents = ICalParser.parseICalContent(content);
+    } catch (error) {
+      console.error('Import error:', error);
+      reportError(`Failed to read calendar: ${error.message}`);
+      return false;
+    }
+    if (parsedEvents.length === 0) {
+      reportError('No events found in the calendar file');
+      return false;
+    }
+
+    this.clearError();
+    const { feed } = await addStaticFeed(name);
+    const events = await saveFeedEvents(feed, parsedEvents);
+    this.feeds = await loadFeeds();
+
+    if (fromSetup) {
+      this.displayEvents(events);
+      await this.handleSaveSettings();
+      await this.showTutorial();
+    } else {
+      this.displayFeeds();
     }
+    this.eventRenderer.showMessageToast(`Imported ${parsedEvents.length} events from "${feed.name}"`);
+    return true;
+  }
+
+  async loadSubjectTags() {
+    const data = await chrome.storage.local.get(['subjectTags']);
+    this.subjectTags = data.subjectTags || {};
+    this.displaySubjectTags();
   }
 
   displaySubjectTags() {
@@ -1322,8 +2165,26 @@ export class UIController {
       tagName.className = 'tag-name';
       tagName.textContent = displayName;
 
+      // Reminder profile for the course ('' follows the major/other assignment profiles)
+      const profileSelect = document.createElement('select');
+      profileSelect.className = 'tag-profile-select';
+      profileSelect.title = 'Reminders for this course';
+      const profileOptions = [['', 'Auto reminders'], [STANDARD_PROFILE_ID, 'Standard']]
+        .concat(Object.entries(DEFAULT_REMINDER_PROFILES).map(([id, profile]) => [id, profile.name]));
+      profileOptions.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.value = (typeof tagData === 'object' && tagData.reminderProfile) || '';
+      profileSelect.addEventListener('change', () => {
+        this.updateSubjectTagProfile(originalName, profileSelect.value);
+      });
+
       tagDiv.appendChild(colorInput);
       tagDiv.appendChild(tagName);
+      tagDiv.appendChild(profileSelect);
       this.subjectTagsDiv.appendChild(tagDiv);
     });
   }
@@ -1340,20 +2201,28 @@ export class UIController {
     }
   }
 
-  getSubjectFromTitle(title) {
-    const subjectMatch = title.match(/^(?:ADV\.\s+)?([A-Z][A-Z\s]*[A-Z])(?:[\s:\/]|[0-9]|$)/);
-    if (subjectMatch) {
-      let subject = subjectMatch[1].trim();
-      subject = subject.replace(/\s+\d+$/, '');
+  async updateSubjectTagProfile(originalName, profileId) {
+    const tag = this.subjectTags[originalName];
+    if (!tag || typeof tag !== 'object') return;
+    if (profileId) {
+      tag.reminderProfile = profileId;
+    } else {
+      delete tag.reminderProfile;
+    }
+    await saveSubjectTags(this.subjectTags);
+    await syncReminders();
+  }
 
+  getSubjectFromTitle(title) {
+    const subject = extractSubject(title);
+    if (subject) {
       // Check if extracted subject matches any existing tag (by original key)
-      for (const originalKey in this.subjectTags) {
-        if (subject.includes(originalKey) || originalKey.includes(subject)) {
-          const tagData = this.subjectTags[originalKey];
-          const color = typeof tagData === 'object' ? tagData.color : tagData;
-          const displayName = typeof tagData === 'object' ? tagData.displayName : originalKey;
-          return { name: displayName, color: color };
-        }
+      const originalKey = findSubjectTagKey(subject, this.subjectTags);
+      if (originalKey) {
+        const tagData = this.subjectTags[originalKey];
+        const color = typeof tagData === 'object' ? tagData.color : tagData;
+        const displayName = typeof tagData === 'object' ? tagData.displayName : originalKey;
+        return { name: displayName, color: color };
       }
 
       // No match found - create new tag with extracted subject as both key and displayName
@@ -1365,6 +2234,18 @@ export class UIController {
     return null;
   }
 
+  /**
+   * Get the color of the subject tag a title belongs to, without creating a tag for a new subject
+   * @param {string} title - Assignment title
+   * @returns {string|null} Tag color, or null if the subject has no tag
+   */
+  getSubjectTagColor(title) {
+    const tagKey = findSubjectTagKey(extractSubject(title || ''), this.subjectTags);
+    const tagData = tagKey ? this.subjectTags[tagKey] : null;
+    if (!tagData) return null;
+    return typeof tagData === 'object' ? tagData.color : tagData;
+  }
+
   ensureSubjectTags(events) {
     if (!events) return;
     events.forEach(ev => this.getSubjectFromTitle(ev.title || ''));
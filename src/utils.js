@@ -1,5 +1,7 @@
 // Utility helper functions
 
+import { MAJOR_ASSIGNMENT_KEYWORDS } from './constants.js';
+
 /**
  * Escape HTML special characters to prevent XSS
  * @param {string} text - The text to escape
@@ -165,6 +167,38 @@ export function getCourseName(title) {
   return coursePart.replace(/[\-:;\|\/]\s*$/, '').trim();
 }
 
+/**
+ * Extract the subject prefix from a title (e.g. "BIO" from "BIO: Lab report")
+ * @param {string} title - The full title
+ * @returns {string|null} Subject, or null if the title has no subject prefix
+ */
+export function extractSubject(title) {
+  const subjectMatch = (title || '').match(/^(?:ADV\.\s+)?([A-Z][A-Z\s]*[A-Z])(?:[\s:\/]|[0-9]|$)/);
+  if (!subjectMatch) return null;
+  return subjectMatch[1].trim().replace(/\s+\d+$/, '');
+}
+
+/**
+ * Find the subject tag a subject belongs to (tags match when either name contains the other)
+ * @param {string|null} subject - Subject from extractSubject()
+ * @param {Object} subjectTags - Subject tags keyed by their original name
+ * @returns {string|null} Key of the matching tag, or null if there is none
+ */
+export function findSubjectTagKey(subject, subjectTags) {
+  if (!subject) return null;
+  return Object.keys(subjectTags || {}).find(key => subject.includes(key) || key.includes(subject)) || null;
+}
+
+/**
+ * Check whether an event is a major assessment (test, essay, project...) rather than everyday homework
+ * @param {Object} event - The event object
+ * @returns {boolean} True for major assessments that weren't cancelled
+ */
+export function isMajorAssignment(event) {
+  if (!event || isCancelledEvent(event)) return false;
+  return MAJOR_ASSIGNMENT_KEYWORDS.test(`${event.title || ''} ${event.description || ''}`);
+}
+
 /**
  * Get unique event ID from event object
  * @param {Object} event - The event object
@@ -173,3 +207,113 @@ export function getCourseName(title) {
 export function getEventId(event) {
   return event.uid || `${event.title}_${event.dueRaw || event.startRaw}`;
 }
+
+/**
+ * Check whether the calendar marked an event as cancelled (STATUS:CANCELLED)
+ * @param {Object} event - The event object
+ * @returns {boolean} True if cancelled
+ */
+export function isCancelledEvent(event) {
+  return !!event && event.status === 'CANCELLED';
+}
+
+/**
+ * Check whether the calendar marked an event as not yet confirmed (STATUS:TENTATIVE)
+ * @param {Object} event - The event object
+ * @returns {boolean} True if tentative
+ */
+export function isTentativeEvent(event) {
+  return !!event && event.status === 'TENTATIVE';
+}
+
+/**
+ * Split an iCal date or date-time value into its fields
+ * Accepts YYYYMMDD, YYYYMMDDTHHMMSS and YYYYMMDDTHHMMSSZ
+ * @param {string} value - The raw iCal value
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, isDate: boolean, isUtc: boolean}|null}
+ */
+export function parseDateFields(value) {
+  if (!value) return null;
+  const match = value.trim().replace(/[-:]/g, '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?/i);
+  if (!match) return null;
+  return {
+    year: parseInt(match[1], 10),
+    month: parseInt(match[2], 10) - 1,
+    day: parseInt(match[3], 10),
+    hour: parseInt(match[4] || '0', 10),
+    minute: parseInt(match[5] || '0', 10),
+    second: parseInt(match[6] || '0', 10),
+    isDate: !match[4],
+    isUtc: !!match[7]
+  };
+}
+
+/**
+ * Format date fields back into an iCal value
+ * @param {Object} fields - Fields as returned by parseDateFields
+ * @returns {string} YYYYMMDD, YYYYMMDDTHHMMSS or YYYYMMDDTHHMMSSZ
+ */
+export function formatDateFields(fields) {
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  const date = `${pad(fields.year, 4)}${pad(fields.month + 1)}${pad(fields.day)}`;
+  if (fields.isDate) return date;
+  return `${date}T${pad(fields.hour)}${pad(fields.minute)}${pad(fields.second)}${fields.isUtc ? 'Z' : ''}`;
+}
+
+/**
+ * Build date fields from wall-clock milliseconds (inverse of wallClockMs)
+ * @param {number} ms - Wall-clock milliseconds
+ * @param {Object} [template] - Fields whose isDate/isUtc flags should be kept
+ * @returns {Object} Date fields
+ */
+export function fieldsFromWallClockMs(ms, template = {}) {
+  const d = new Date(ms);
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth(),
+    day: d.getUTCDate(),
+    hour: d.getUTCHours(),
+    minute: d.getUTCMinutes(),
+    second: d.getUTCSeconds(),
+    isDate: !!template.isDate,
+    isUtc: !!template.isUtc
+  };
+}
+
+/**
+ * Wall-clock fields expressed as milliseconds, as if the wall clock were UTC
+ * Used to compare and shift local times without the browser's own DST rules
+ * @param {Object} fields - Fields from parseDateFields
+ * @returns {number} Wall-clock milliseconds
+ */
+export function wallClockMs(fields) {
+  return Date.UTC(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second);
+}
+
+/**
+ * Parse an iCal DURATION value (e.g. "-PT12H", "P1D", "-P1DT30M", "P2W")
+ * @param {string} value - The raw duration value
+ * @returns {number|null} Signed duration in milliseconds, or null if invalid
+ */
+export function parseDuration(value) {
+  if (!value) return null;
+  const match = value.trim().toUpperCase().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match || value.trim().toUpperCase().replace(/^[+-]/, '') === 'P') return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((parseInt(weeks || '0', 10) * 7 + parseInt(days || '0', 10)) * 24 * 3600 +
+    parseInt(hours || '0', 10) * 3600 +
+    parseInt(minutes || '0', 10) * 60 +
+    parseInt(seconds || '0', 10)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Hash text content (SHA-256) so unchanged feed bodies can be detected cheaply
+ * @param {string} text - Content to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashContent(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
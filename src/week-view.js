@@ -1,8 +1,8 @@
 // Week View - Handles calendar week view rendering and navigation
 
 import { DAY_NAMES, MONTH_NAMES } from './constants.js';
-import { getWeekStart, getEventId } from './utils.js';
-import { ICalParser } from './ical-parser.js';
+import { getWeekStart, getEventId, isCancelledEvent } from './utils.js';
+import { getEventDate, getEventTime } from './event-model.js';
 import { saveEventOrder, loadEventOrder } from './storage-manager.js';
 
 export class WeekView {
@@ -100,7 +100,8 @@ export class WeekView {
 
       // Get events for this day
       const eventsForDay = this.getEventsForDate(date);
-      const pendingCount = eventsForDay.filter(e => !e.isCompleted).length;
+      // Cancelled events stay listed (struck through) but aren't pending
+      const pendingCount = eventsForDay.filter(e => !e.isCompleted && !isCancelledEvent(e)).length;
 
       // Day name
       const dayName = document.createElement('div');
@@ -234,8 +235,8 @@ export class WeekView {
         eventsForDay.sort((a, b) => {
           if (a.isCompleted && !b.isCompleted) return 1;
           if (!a.isCompleted && b.isCompleted) return -1;
-          const ta = ICalParser.iCalDateToTimestamp(a.dueRaw || a.startRaw);
-          const tb = ICalParser.iCalDateToTimestamp(b.dueRaw || b.startRaw);
+          const ta = getEventTime(a);
+          const tb = getEventTime(b);
           return ta - tb;
         });
       }
@@ -372,26 +373,14 @@ export class WeekView {
  * @returns {Array} Events for that date
  */
 export function getEventsForDate(events, date) {
-  // Create date string in local timezone (YYYY-MM-DD)
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const dateStr = `${year}${month}${day}`;
-
+  // Timed events are grouped by the local day of their due (or start) time,
+  // so UTC and TZID-qualified times land on the day the student sees them;
+  // all-day events stay on their calendar date
   return events.filter(event => {
-    // Check for DUE date first, then fall back to START date
-    const eventDateRaw = event.dueRaw || event.startRaw;
-
-    if (!eventDateRaw) {
-      return false;
-    }
-
-    // Extract just the date part (YYYYMMDD or YYYYMMDDTHHMMSS)
-    const eventDatePart = eventDateRaw.split('T')[0];
-
-    // Remove any non-digit characters
-    const eventDateStr = eventDatePart.replace(/\D/g, '').substring(0, 8);
-
-    return eventDateStr === dateStr;
+    const eventDate = getEventDate(event);
+    return !!eventDate &&
+           eventDate.getFullYear() === date.getFullYear() &&
+           eventDate.getMonth() === date.getMonth() &&
+           eventDate.getDate() === date.getDate();
   });
 }
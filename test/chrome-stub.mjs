@@ -0,0 +1,42 @@
+// Chrome stub - In-memory chrome.storage for tests of modules that read and write storage
+
+/**
+ * Install a global `chrome` whose storage areas live in memory
+ * Values are cloned on the way in and out, like the real storage API
+ * @param {Object} [local] - Initial chrome.storage.local contents
+ * @param {Object} [sync] - Initial chrome.storage.sync contents
+ * @returns {{local: Object, sync: Object, alarms: Map}} The backing objects, for assertions
+ */
+export function installChromeStub(local = {}, sync = {}) {
+  const alarms = new Map();
+  const area = (store) => ({
+    async get(keys) {
+      if (keys === null || keys === undefined) return structuredClone(store);
+      const result = {};
+      [].concat(keys).forEach(key => {
+        if (key in store) result[key] = structuredClone(store[key]);
+      });
+      return result;
+    },
+    async set(items) {
+      Object.assign(store, structuredClone(items));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete store[key]);
+    }
+  });
+
+  globalThis.chrome = {
+    storage: {
+      local: area(local),
+      sync: { ...area(sync), QUOTA_BYTES: 102400, QUOTA_BYTES_PER_ITEM: 8192 },
+      onChanged: { addListener() {} }
+    },
+    alarms: {
+      async create(name, info) { alarms.set(name, info); },
+      async clear(name) { return alarms.delete(name); },
+      async getAll() { return [...alarms].map(([name, info]) => ({ name, scheduledTime: info.when })); }
+    }
+  };
+  return { local, sync, alarms };
+}
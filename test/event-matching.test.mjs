@@ -0,0 +1,73 @@
+// Event Matching tests - pairing removed and added events that are the same assignment
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchChangedEvents } from '../src/event-matching.js';
+
+const NOW = Date.UTC(2025, 8, 1, 12);
+
+/**
+ * Build a UID-less feed assignment, identified by title and date like the school feed's
+ * @param {string} title - Event title
+ * @param {number} day - Day of September 2025
+ * @returns {Object} Event
+ */
+function assignment(title, day) {
+  const dueRaw = `202509${String(day).padStart(2, '0')}T235900Z`;
+  return { title, dueRaw, startRaw: dueRaw, dueAt: Date.UTC(2025, 8, day, 23, 59), allDay: false, isAssignment: true };
+}
+
+const pairs = (matches) => matches.map(match => [match.from.title, match.to.title]);
+
+test('pairs an assignment that moved to another day', () => {
+  const removed = assignment('BIO: Lab report', 10);
+  const added = assignment('BIO: Lab report', 12);
+
+  const [match] = matchChangedEvents([removed], [added], [added], NOW);
+
+  assert.equal(match.fromId, 'BIO: Lab report_20250910T235900Z');
+  assert.equal(match.toId, 'BIO: Lab report_20250912T235900Z');
+  assert.equal(match.moved, true);
+  assert.equal(match.renamed, false);
+});
+
+test('pairs an assignment renamed on the same day', () => {
+  const removed = assignment('HISTORY: Read chapter 4', 10);
+  const added = assignment('HISTORY: Read chapter 4 and take notes', 10);
+
+  const [match] = matchChangedEvents([removed], [added], [added], NOW);
+
+  assert.equal(match.renamed, true);
+  assert.equal(match.moved, false);
+});
+
+test('never pairs assignments from different courses', () => {
+  const matches = matchChangedEvents([assignment('BIO: Quiz', 10)], [assignment('CHEM: Quiz', 10)], undefined, NOW);
+  assert.deepEqual(matches, []);
+});
+
+test('leaves past-due and far-moved assignments unpaired', () => {
+  const pastDue = { ...assignment('MATH: Problem set', 1), dueAt: NOW - 60 * 60 * 1000 };
+  const farMoved = assignment('ENGLISH: Essay', 10);
+  const added = [assignment('MATH: Problem set', 3), assignment('ENGLISH: Essay', 17)];
+
+  assert.deepEqual(matchChangedEvents([pastDue, farMoved], added, added, NOW), []);
+});
+
+test('leaves a recurring title unpaired while another copy is still in the feed', () => {
+  const removed = assignment('SPANISH: Vocab quiz', 10);
+  const added = assignment('SPANISH: Vocab quiz', 12);
+  const stillThere = assignment('SPANISH: Vocab quiz', 5);
+
+  assert.deepEqual(matchChangedEvents([removed], [added], [added, stillThere], NOW), []);
+});
+
+test('gives each added event to its best match', () => {
+  const removed = [assignment('BIO: Lab report draft', 10), assignment('BIO: Lab report', 10)];
+  const added = [assignment('BIO: Lab report', 11), assignment('BIO: Lab report final draft', 10)];
+
+  assert.deepEqual(pairs(matchChangedEvents(removed, added, added, NOW)), [
+    ['BIO: Lab report', 'BIO: Lab report'],
+    ['BIO: Lab report draft', 'BIO: Lab report final draft']
+  ]);
+});
@@ -0,0 +1,99 @@
+// iCal Parser tests - content lines, component tree and event fields
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ICalParser } from '../src/ical-parser.js';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('unfolds continuation lines and drops blank lines', () => {
+  const lines = ICalParser.unfoldLines('SUMMARY:Lab re\r\n port\r\n\r\nDESCRIPTION:a\n\tb\rLOCATION:Room 4');
+  assert.deepEqual(lines, ['SUMMARY:Lab report', 'DESCRIPTION:ab', 'LOCATION:Room 4']);
+});
+
+test('splits a content line into name, parameters and value', () => {
+  const property = ICalParser.parseContentLine('dtstart;TZID="America/New_York";VALUE=DATE-TIME:20250910T083000');
+  assert.deepEqual(property, {
+    name: 'DTSTART',
+    params: { TZID: 'America/New_York', VALUE: 'DATE-TIME' },
+    value: '20250910T083000'
+  });
+});
+
+test('keeps ":" and ";" inside quoted parameter values', () => {
+  const property = ICalParser.parseContentLine('ORGANIZER;CN="Smith; J: Biology":mailto:smith@example.org');
+  assert.equal(property.params.CN, 'Smith; J: Biology');
+  assert.equal(property.value, 'mailto:smith@example.org');
+});
+
+test('rejects lines without a value or a name', () => {
+  assert.equal(ICalParser.parseContentLine('NOT A PROPERTY'), null);
+  assert.equal(ICalParser.parseContentLine(':value'), null);
+});
+
+test('builds nested components and keeps alarm properties out of the event', () => {
+  const root = ICalParser.parseComponents(calendar(
+    'BEGIN:VEVENT',
+    'SUMMARY:Quiz',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Reminder',
+    'END:VALARM',
+    'UID:quiz-1',
+    'END:VEVENT'
+  ));
+  const [event] = ICalParser.findComponents(root, 'VEVENT');
+  assert.deepEqual(event.properties.map(p => p.name), ['SUMMARY', 'UID']);
+  assert.equal(ICalParser.findComponents(event, 'VALARM').length, 1);
+});
+
+test('closes unbalanced components at the matching END', () => {
+  const root = ICalParser.parseComponents(calendar(
+    'BEGIN:VEVENT',
+    'SUMMARY:First',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Second',
+    'END:VEVENT'
+  ));
+  const titles = ICalParser.findComponents(root, 'VEVENT')
+    .map(component => ICalParser.getProperty(component, 'SUMMARY').value);
+  assert.deepEqual(titles, ['First', 'Second']);
+});
+
+test('parses event text fields and unescapes them', () => {
+  const [event] = ICalParser.parseICalContent(calendar(
+    'BEGIN:VEVENT',
+    'UID:essay-7@school',
+    'SUMMARY:ENGLISH 11 - C2: Essay draft\\, outline',
+    'DESCRIPTION:Bring notes\\nand sources\\; cite\\\\quote',
+    'LOCATION:Room 204',
+    'DTSTART;VALUE=DATE:20250910',
+    'STATUS:confirmed',
+    'END:VEVENT'
+  ));
+  assert.equal(event.uid, 'essay-7@school');
+  assert.equal(event.title, 'ENGLISH 11 - C2: Essay draft, outline');
+  assert.equal(event.description, 'Bring notes\nand sources; cite\\quote');
+  assert.equal(event.location, 'Room 204');
+  assert.equal(event.status, 'CONFIRMED');
+  assert.equal(event.isAssignment, true);
+  assert.deepEqual(event.params.DTSTART, { VALUE: 'DATE' });
+});
+
+test('parses every VEVENT and falls back to a placeholder title', () => {
+  const events = ICalParser.parseICalContent(calendar(
+    'BEGIN:VEVENT',
+    'UID:a',
+    'DTSTART:20250910T120000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:b',
+    'SUMMARY:Assembly',
+    'DTSTART:20250911T120000Z',
+    'END:VEVENT'
+  ));
+  assert.deepEqual(events.map(event => [event.uid, event.title]), [['a', 'Untitled Event'], ['b', 'Assembly']]);
+});
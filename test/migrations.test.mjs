@@ -0,0 +1,80 @@
+// Migrations tests - ordered steps, skipped newer schemas and rollback of a failed step
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeStub } from './chrome-stub.mjs';
+
+// runMigrations() runs once per module instance, so each test imports its own copy
+let instance = 0;
+const loadMigrations = () => import(`../src/migrations.js?instance=${++instance}`);
+
+test('brings pre-schema storage up to the current version', async () => {
+  const { local } = installChromeStub({
+    icalUrl: 'webcal://calendar.example.org/school.ics',
+    subjectTags: { BIO: '#33aa55', CHEM: { color: '#ff0000', displayName: 'Chemistry' } },
+    events: [{ uid: 'lab', title: 'BIO: Lab report', startRaw: '20250910T140000Z', dueRaw: '20250910T140000Z' }]
+  });
+  const { runMigrations, CURRENT_SCHEMA_VERSION } = await loadMigrations();
+
+  const result = await runMigrations();
+
+  assert.deepEqual(result, { from: 0, to: CURRENT_SCHEMA_VERSION, error: null });
+  assert.equal(local.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal('icalUrl' in local, false);
+  assert.equal(local.feeds.length, 1);
+  assert.equal(local.feeds[0].url, 'webcal://calendar.example.org/school.ics');
+  assert.equal(local.feeds[0].name, 'calendar.example.org');
+  assert.deepEqual(local.subjectTags, {
+    BIO: { color: '#33aa55', displayName: 'BIO' },
+    CHEM: { color: '#ff0000', displayName: 'Chemistry' }
+  });
+  assert.equal(local.events[0].dueAt, Date.UTC(2025, 8, 10, 14));
+  assert.equal(local.events[0].allDay, false);
+});
+
+test('keeps an existing feed list when dropping the old URL', async () => {
+  const feeds = [{ id: 'feed-1', name: 'School', url: 'https://example.org/a.ics', enabled: true }];
+  const { local } = installChromeStub({ schemaVersion: 0, icalUrl: 'https://example.org/old.ics', feeds });
+  const { runMigrations } = await loadMigrations();
+
+  await runMigrations();
+
+  assert.deepEqual(local.feeds, feeds);
+  assert.equal('icalUrl' in local, false);
+});
+
+test('leaves storage from a newer version alone', async () => {
+  const { local } = installChromeStub({ schemaVersion: 999, subjectTags: { BIO: '#33aa55' } });
+  const { runMigrations } = await loadMigrations();
+
+  const result = await runMigrations();
+
+  assert.deepEqual(result, { from: 999, to: 999, error: null });
+  assert.deepEqual(local.subjectTags, { BIO: '#33aa55' });
+});
+
+test('runs the steps once per instance', async () => {
+  installChromeStub({});
+  const { runMigrations } = await loadMigrations();
+  const run = runMigrations();
+  assert.equal(runMigrations(), run);
+  await run;
+});
+
+test('rolls a failed step back and stops at the last version that applied', async () => {
+  const { local } = installChromeStub({ icalUrl: 'https://example.org/school.ics' });
+  // Step 1 removes icalUrl after writing the feed list; make that removal fail
+  const remove = chrome.storage.local.remove;
+  chrome.storage.local.remove = async (keys) => {
+    if ([].concat(keys).includes('icalUrl')) throw new Error('quota');
+    return remove(keys);
+  };
+  const { runMigrations } = await loadMigrations();
+
+  const result = await runMigrations();
+
+  assert.deepEqual(result, { from: 0, to: 0, error: 'quota' });
+  assert.equal(local.schemaVersion, 0);
+  assert.equal(local.icalUrl, 'https://example.org/school.ics');
+  assert.equal('feeds' in local, false);
+});
@@ -0,0 +1,101 @@
+// Recurrence tests - RRULE parsing and expansion, and recurring events in the parser
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandRRule, getMatchingMonthDays, parseRRule } from '../src/recurrence.js';
+import { ICalParser } from '../src/ical-parser.js';
+import { parseDateFields, wallClockMs } from '../src/utils.js';
+
+// Treat occurrence fields as UTC so expected timestamps don't depend on the machine's zone
+const expandUtc = (dtstart, rrule, windowStart = 0, windowEnd = Date.UTC(2100, 0, 1)) =>
+  expandRRule(parseDateFields(dtstart), parseRRule(rrule), { windowStart, windowEnd, toTimestamp: wallClockMs })
+    .map(occ => new Date(occ.timestamp).toISOString().substring(0, 10));
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('parses rule parts, including BYDAY ordinals', () => {
+  const rule = parseRRule('FREQ=MONTHLY;INTERVAL=2;BYDAY=2SU,-1FR;COUNT=6;WKST=SU');
+  assert.equal(rule.freq, 'MONTHLY');
+  assert.equal(rule.interval, 2);
+  assert.equal(rule.count, 6);
+  assert.equal(rule.weekStart, 0);
+  assert.deepEqual(rule.byDay, [{ ordinal: 2, weekday: 0 }, { ordinal: -1, weekday: 5 }]);
+});
+
+test('rejects rules without a supported frequency', () => {
+  assert.equal(parseRRule('FREQ=HOURLY;COUNT=3'), null);
+  assert.equal(parseRRule('COUNT=3'), null);
+  assert.equal(parseRRule(''), null);
+});
+
+test('matches ordinal weekdays and negative month days', () => {
+  // September 2025: Sundays are 7, 14, 21, 28; Fridays 5, 12, 19, 26
+  assert.deepEqual(getMatchingMonthDays(2025, 8, { byDay: [{ ordinal: 2, weekday: 0 }], byMonthDay: [] }), [14]);
+  assert.deepEqual(getMatchingMonthDays(2025, 8, { byDay: [{ ordinal: -1, weekday: 5 }], byMonthDay: [] }), [26]);
+  assert.deepEqual(getMatchingMonthDays(2025, 1, { byDay: [], byMonthDay: [-1] }), [28]);
+});
+
+test('expands weekly rules on several weekdays up to COUNT', () => {
+  assert.deepEqual(expandUtc('20250901T083000Z', 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5'),
+    ['2025-09-01', '2025-09-03', '2025-09-08', '2025-09-10', '2025-09-15']);
+});
+
+test('skips months without the start day instead of clamping', () => {
+  assert.deepEqual(expandUtc('20250131T120000Z', 'FREQ=MONTHLY;COUNT=4'),
+    ['2025-01-31', '2025-03-31', '2025-05-31', '2025-07-31']);
+});
+
+test('includes the whole UNTIL day for date-only UNTIL values', () => {
+  assert.deepEqual(expandUtc('20250901T150000', 'FREQ=DAILY;INTERVAL=2;UNTIL=20250907'),
+    ['2025-09-01', '2025-09-03', '2025-09-05', '2025-09-07']);
+});
+
+test('counts COUNT from DTSTART even when the window starts later', () => {
+  assert.deepEqual(expandUtc('20250901T083000Z', 'FREQ=DAILY;COUNT=5', Date.UTC(2025, 8, 4)),
+    ['2025-09-04', '2025-09-05']);
+});
+
+test('expands a series with EXDATE, RDATE and a moved occurrence', () => {
+  const events = ICalParser.parseICalContent(calendar(
+    'BEGIN:VEVENT',
+    'UID:club',
+    'SUMMARY:Robotics club',
+    'DTSTART:20250901T190000Z',
+    'DTEND:20250901T200000Z',
+    'RRULE:FREQ=WEEKLY;COUNT=4',
+    'EXDATE:20250908T190000Z',
+    'RDATE:20250903T190000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:club',
+    'RECURRENCE-ID:20250915T190000Z',
+    'SUMMARY:Robotics club (moved)',
+    'DTSTART:20250916T190000Z',
+    'DTEND:20250916T200000Z',
+    'END:VEVENT'
+  ), { now: Date.UTC(2025, 8, 1) });
+
+  assert.deepEqual(events.map(event => [event.uid, event.title, event.startRaw, event.endRaw]), [
+    ['club', 'Robotics club', '20250901T190000Z', '20250901T200000Z'],
+    ['club_20250903T190000Z', 'Robotics club', '20250903T190000Z', '20250903T200000Z'],
+    ['club_20250915T190000Z', 'Robotics club (moved)', '20250916T190000Z', '20250916T200000Z'],
+    ['club_20250922T190000Z', 'Robotics club', '20250922T190000Z', '20250922T200000Z']
+  ]);
+  assert.ok(events.every(event => event.seriesUid === 'club'));
+});
+
+test('only expands occurrences inside the recurrence window', () => {
+  const events = ICalParser.parseICalContent(calendar(
+    'BEGIN:VEVENT',
+    'UID:standup',
+    'SUMMARY:Homeroom',
+    'DTSTART:20200106T080000Z',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO',
+    'END:VEVENT'
+  ), { now: Date.UTC(2025, 8, 1) });
+
+  // 90 days back and 365 ahead of Mon 1 Sep 2025
+  assert.equal(events[0].startRaw, '20250609T080000Z');
+  assert.equal(events[events.length - 1].startRaw, '20260831T080000Z');
+  assert.equal(events.length, 65);
+});
@@ -0,0 +1,132 @@
+// Sync tests - two devices merging through one chrome.storage.sync area
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeStub } from './chrome-stub.mjs';
+
+const syncArea = {};
+installChromeStub({}, syncArea);
+const { syncNow } = await import('../src/sync.js');
+const { CURRENT_SCHEMA_VERSION } = await import('../src/migrations.js');
+
+// Every pass stamps edits with Date.now(), so tests move the clock forward between edits
+const realNow = Date.now;
+let clock;
+
+/**
+ * Create a device with its own local storage
+ * @param {Object} [local] - Initial local values
+ * @returns {{local: Object, sync: Function}} The device's storage and a function running one sync pass on it
+ */
+function createDevice(local = {}) {
+  const device = { local: { schemaVersion: CURRENT_SCHEMA_VERSION, syncEnabled: true, ...local } };
+  device.sync = async () => {
+    clock += 1000;
+    installChromeStub(device.local, syncArea);
+    await syncNow();
+  };
+  return device;
+}
+
+beforeEach(() => {
+  Object.keys(syncArea).forEach(key => delete syncArea[key]);
+  clock = Date.UTC(2025, 8, 1);
+  Date.now = () => clock;
+});
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+test('copies status and pins to a device joining sync', async () => {
+  const done = { completedDate: '2025-08-30T10:00:00.000Z', title: 'BIO: Lab report' };
+  const pin = { pinnedDate: '2025-08-30T11:00:00.000Z', title: 'CHEM: Quiz' };
+  const laptop = createDevice({ completedAssignments: { lab: done }, pinnedAssignments: { quiz: pin } });
+  const desktop = createDevice();
+
+  await laptop.sync();
+  await desktop.sync();
+
+  assert.deepEqual(desktop.local.completedAssignments, { lab: done });
+  assert.deepEqual(desktop.local.pinnedAssignments, { quiz: pin });
+  assert.equal(desktop.local.syncStatus.status, 'ok');
+});
+
+test('keeps the later of two edits to the same assignment', async () => {
+  const laptop = createDevice();
+  const desktop = createDevice();
+  await laptop.sync();
+  await desktop.sync();
+
+  desktop.local.inProgressAssignments = { essay: { inProgressDate: '2025-09-01T00:00:02.000Z' } };
+  await desktop.sync();
+  laptop.local.completedAssignments = { essay: { completedDate: '2025-09-01T00:00:03.000Z' } };
+  await laptop.sync();
+  await desktop.sync();
+
+  for (const device of [laptop, desktop]) {
+    assert.deepEqual(device.local.completedAssignments, { essay: { completedDate: '2025-09-01T00:00:03.000Z' } });
+    assert.equal((device.local.inProgressAssignments || {}).essay, undefined);
+  }
+});
+
+test('clears status removed on another device', async () => {
+  const laptop = createDevice({ completedAssignments: { lab: { completedDate: '2025-08-30T10:00:00.000Z' } } });
+  const desktop = createDevice();
+  await laptop.sync();
+  await desktop.sync();
+  assert.ok(desktop.local.completedAssignments.lab);
+
+  laptop.local.completedAssignments = {};
+  await laptop.sync();
+  await desktop.sync();
+
+  assert.deepEqual(desktop.local.completedAssignments, {});
+});
+
+test('keeps status on other devices when a refresh archives the assignment', async () => {
+  const done = { completedDate: '2025-08-30T10:00:00.000Z' };
+  const laptop = createDevice({ completedAssignments: { lab: done } });
+  const desktop = createDevice();
+  await laptop.sync();
+  await desktop.sync();
+
+  // The laptop's feed dropped the event: its status moved into the archive
+  laptop.local.completedAssignments = {};
+  laptop.local.archivedEvents = { lab: { event: { title: 'BIO: Lab report' }, completed: done } };
+  await laptop.sync();
+  await desktop.sync();
+
+  assert.deepEqual(desktop.local.completedAssignments, { lab: done });
+});
+
+test('syncs custom assignments without their derived status fields', async () => {
+  const custom = { uid: 'custom_1756700000000', title: 'Study group', isCustom: true, dueAt: Date.UTC(2025, 8, 5) };
+  const laptop = createDevice({ events: [{ ...custom, isCompleted: true, completedDate: 'x' }] });
+  const desktop = createDevice({ events: [{ uid: 'feed-event', title: 'Assembly' }] });
+
+  await laptop.sync();
+  await desktop.sync();
+
+  assert.deepEqual(desktop.local.events, [{ uid: 'feed-event', title: 'Assembly' }, custom]);
+});
+
+test('gives a device joining sync the synced settings instead of its own', async () => {
+  const laptop = createDevice({ theme: 'midnight', autoRefresh: true });
+  const desktop = createDevice({ theme: 'default' });
+
+  await laptop.sync();
+  await desktop.sync();
+
+  assert.equal(desktop.local.theme, 'midnight');
+  assert.equal(desktop.local.autoRefresh, true);
+});
+
+test('leaves sync storage alone while sync is off', async () => {
+  const laptop = createDevice({ syncEnabled: false, completedAssignments: { lab: { completedDate: 'x' } } });
+
+  await laptop.sync();
+
+  assert.deepEqual(syncArea, {});
+  assert.equal('syncState' in laptop.local, false);
+});